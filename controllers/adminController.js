@@ -0,0 +1,428 @@
+const mongoose = require("mongoose");
+const Joi = require("joi");
+const { User, ROLE_PERMISSIONS } = require("../models/user");
+const { getQueueStats } = require("../queues/imageQueue");
+const { listAuditEvents } = require("../service/auditService");
+const {
+  listEvents,
+  replayEvent,
+  getEventStats,
+} = require("../service/stripeEventService");
+const { resolveRange, getUsageReport } = require("../service/usageService");
+const {
+  BUDGET_KEYS,
+  getBudgetStatus,
+  setAiPaused,
+  updateBudgets,
+} = require("../service/budgetService");
+const {
+  AI_OPERATIONS,
+  AI_CONFIG_FIELDS,
+  getAiConfigStatus,
+  updateAiConfig,
+} = require("../service/aiConfigService");
+const { TEMPLATES, listPrompts } = require("../prompts");
+const {
+  ExperimentError,
+  listExperiments,
+  createExperiment,
+  startExperiment,
+  stopExperiment,
+  getExperimentReport,
+} = require("../service/experimentService");
+
+// Get image queue statistics
+const getQueueStatistics = async (req, res) => {
+  try {
+    const stats = await getQueueStats();
+    res.status(200).json({ code: "00", stats });
+  } catch (error) {
+    console.error("Error getting queue stats:", error);
+    res.status(500).json({ message: "Failed to get queue stats" });
+  }
+};
+
+// Change a user's role and extra permissions
+const updateUserRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
+
+    const { error } = roleValidate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (req.body.role) user.role = req.body.role;
+    if (req.body.permissions) user.permissions = req.body.permissions;
+    await user.save();
+
+    res.status(200).json({
+      code: "00",
+      message: "User role updated",
+      user: {
+        id: user._id,
+        username: user.username,
+        role: user.role,
+        permissions: user.permissions,
+      },
+    });
+  } catch (error) {
+    console.error("Error updating user role:", error);
+    res.status(500).json({ message: "Failed to update user role" });
+  }
+};
+
+// List authentication audit events, newest first
+const getAuditLog = async (req, res) => {
+  try {
+    const { userId, username, event, limit } = req.query;
+
+    if (userId && !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
+
+    const events = await listAuditEvents({ userId, username, event }, limit);
+    res.status(200).json({ code: "00", events });
+  } catch (error) {
+    console.error("Error fetching audit log:", error);
+    res.status(500).json({ message: "Failed to fetch audit log" });
+  }
+};
+
+// List received Stripe webhook events, newest first
+const getStripeEvents = async (req, res) => {
+  try {
+    const { status, type, limit } = req.query;
+    const events = await listEvents({ status, type }, limit);
+    res.status(200).json({ code: "00", events });
+  } catch (error) {
+    console.error("Error fetching Stripe events:", error);
+    res.status(500).json({ message: "Failed to fetch Stripe events" });
+  }
+};
+
+// Re-run a failed Stripe webhook event from its stored payload
+const replayStripeEvent = async (req, res) => {
+  try {
+    const record = await replayEvent(req.params.eventId);
+    if (!record) {
+      return res
+        .status(404)
+        .json({ message: "No failed event with that ID" });
+    }
+
+    const { payload, ...event } = record.toObject();
+    res.status(record.status === "failed" ? 500 : 200).json({
+      code: record.status === "failed" ? "01" : "00",
+      message:
+        record.status === "failed" ? "Replay failed" : "Event replayed",
+      event,
+    });
+  } catch (error) {
+    console.error("Error replaying Stripe event:", error);
+    res.status(500).json({ message: "Failed to replay Stripe event" });
+  }
+};
+
+// Stripe webhook counts and processing lag
+const getStripeEventStats = async (req, res) => {
+  try {
+    const hours = Math.min(Math.max(Number(req.query.hours) || 24, 1), 24 * 90);
+    const stats = await getEventStats(hours);
+    res.status(200).json({ code: "00", stats });
+  } catch (error) {
+    console.error("Error getting Stripe event stats:", error);
+    res.status(500).json({ message: "Failed to get Stripe event stats" });
+  }
+};
+
+// AI usage and estimated cost across all users, by day and model
+const getAiUsageReport = async (req, res) => {
+  try {
+    const range = resolveRange(req.query);
+    if (!range) {
+      return res
+        .status(400)
+        .json({ message: "Invalid date range (max 366 days)" });
+    }
+
+    const report = await getUsageReport(range);
+    res.status(200).json({ code: "00", report });
+  } catch (error) {
+    console.error("Error building usage report:", error);
+    res.status(500).json({ message: "Failed to build usage report" });
+  }
+};
+
+// Kill switch state, budgets and today's/this month's spend
+const getAiStatus = async (req, res) => {
+  try {
+    const status = await getBudgetStatus();
+    res.status(200).json({ code: "00", status });
+  } catch (error) {
+    console.error("Error getting AI status:", error);
+    res.status(500).json({ message: "Failed to get AI status" });
+  }
+};
+
+// Stop all AI calls immediately
+const pauseAi = async (req, res) => {
+  try {
+    const { error } = pauseValidate(req.body || {});
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const settings = await setAiPaused(true, {
+      by: req.user._id,
+      reason: req.body?.reason,
+    });
+    console.warn(`[Budget] AI paused by ${req.user._id}`);
+    res.status(200).json({ code: "00", message: "AI calls paused", settings });
+  } catch (error) {
+    console.error("Error pausing AI:", error);
+    res.status(500).json({ message: "Failed to pause AI" });
+  }
+};
+
+// Allow AI calls again
+const resumeAi = async (req, res) => {
+  try {
+    const settings = await setAiPaused(false);
+    console.warn(`[Budget] AI resumed by ${req.user._id}`);
+    res.status(200).json({ code: "00", message: "AI calls resumed", settings });
+  } catch (error) {
+    console.error("Error resuming AI:", error);
+    res.status(500).json({ message: "Failed to resume AI" });
+  }
+};
+
+// Change spend budgets (USD); null reverts a budget to its env default
+const updateAiBudgets = async (req, res) => {
+  try {
+    const { error } = budgetValidate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const settings = await updateBudgets(req.body);
+    res.status(200).json({ code: "00", message: "Budgets updated", settings });
+  } catch (error) {
+    console.error("Error updating AI budgets:", error);
+    res.status(500).json({ message: "Failed to update AI budgets" });
+  }
+};
+
+// Effective model settings per AI operation and the allowed values
+const getAiConfiguration = async (req, res) => {
+  try {
+    const config = await getAiConfigStatus();
+    res.status(200).json({ code: "00", config });
+  } catch (error) {
+    console.error("Error getting AI config:", error);
+    res.status(500).json({ message: "Failed to get AI config" });
+  }
+};
+
+// Override model settings per operation; null reverts to the env/default value
+const updateAiConfiguration = async (req, res) => {
+  try {
+    const { error } = aiConfigValidate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const config = await updateAiConfig(req.body);
+    console.warn(`[AI Config] Updated by ${req.user._id}: ${JSON.stringify(req.body)}`);
+    res.status(200).json({ code: "00", message: "AI config updated", config });
+  } catch (error) {
+    console.error("Error updating AI config:", error);
+    res.status(500).json({ message: "Failed to update AI config" });
+  }
+};
+
+// Prompt templates, their versions and which one is live
+const getPromptTemplates = async (req, res) => {
+  try {
+    res.status(200).json({ code: "00", prompts: listPrompts() });
+  } catch (error) {
+    console.error("Error listing prompts:", error);
+    res.status(500).json({ message: "Failed to list prompts" });
+  }
+};
+
+// Prompt/model experiments on recipe generation
+const getExperiments = async (req, res) => {
+  try {
+    const experiments = await listExperiments();
+    res.status(200).json({ code: "00", experiments });
+  } catch (error) {
+    console.error("Error listing experiments:", error);
+    res.status(500).json({ message: "Failed to list experiments" });
+  }
+};
+
+const addExperiment = async (req, res) => {
+  try {
+    const { error, value } = experimentValidate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const experiment = await createExperiment(value, req.user._id);
+    res.status(201).json({ code: "00", message: "Experiment created", experiment });
+  } catch (error) {
+    if (error instanceof ExperimentError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Error creating experiment:", error);
+    res.status(500).json({ message: "Failed to create experiment" });
+  }
+};
+
+const beginExperiment = async (req, res) => {
+  try {
+    const experiment = await startExperiment(req.params.key);
+    console.warn(`[Experiment] "${experiment.key}" started by ${req.user._id}`);
+    res.status(200).json({ code: "00", message: "Experiment started", experiment });
+  } catch (error) {
+    if (error instanceof ExperimentError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Error starting experiment:", error);
+    res.status(500).json({ message: "Failed to start experiment" });
+  }
+};
+
+const endExperiment = async (req, res) => {
+  try {
+    const experiment = await stopExperiment(req.params.key);
+    console.warn(`[Experiment] "${experiment.key}" stopped by ${req.user._id}`);
+    res.status(200).json({ code: "00", message: "Experiment stopped", experiment });
+  } catch (error) {
+    if (error instanceof ExperimentError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Error stopping experiment:", error);
+    res.status(500).json({ message: "Failed to stop experiment" });
+  }
+};
+
+// Average rating, save rate and failure rate per variant
+const getExperimentResults = async (req, res) => {
+  try {
+    const report = await getExperimentReport(req.params.key);
+    if (!report) {
+      return res.status(404).json({ message: "Experiment not found" });
+    }
+    res.status(200).json({ code: "00", report });
+  } catch (error) {
+    console.error("Error building experiment report:", error);
+    res.status(500).json({ message: "Failed to build experiment report" });
+  }
+};
+
+const pauseValidate = (data) => {
+  const schema = Joi.object({
+    reason: Joi.string().max(200).label("Reason"),
+  });
+  return schema.validate(data);
+};
+
+const budgetValidate = (data) => {
+  const schema = Joi.object(
+    Object.fromEntries(
+      BUDGET_KEYS.map((key) => [key, Joi.number().min(0).allow(null).label(key)])
+    )
+  ).min(1);
+  return schema.validate(data);
+};
+
+const aiConfigValidate = (data) => {
+  const operationSchema = (operation) =>
+    Joi.object(
+      Object.fromEntries(
+        Object.entries(AI_CONFIG_FIELDS[operation]).map(([field, rule]) => [
+          field,
+          rule.allow(null),
+        ])
+      )
+    )
+      .min(1)
+      .allow(null)
+      .label(operation);
+
+  const schema = Joi.object(
+    Object.fromEntries(AI_OPERATIONS.map((operation) => [operation, operationSchema(operation)]))
+  ).min(1);
+  return schema.validate(data);
+};
+
+const experimentValidate = (data) => {
+  const { model, temperature } = AI_CONFIG_FIELDS.recipe;
+  const promptVersions = Object.keys(TEMPLATES.recipe.versions).map(Number);
+
+  const variant = Joi.object({
+    key: Joi.string().pattern(/^[a-z0-9-]+$/).max(30).required().label("Variant key"),
+    weight: Joi.number().integer().min(1).max(100).default(1).label("Weight"),
+    promptVersion: Joi.number()
+      .valid(...promptVersions)
+      .label("Prompt version"),
+    model,
+    temperature,
+  });
+
+  const schema = Joi.object({
+    key: Joi.string().pattern(/^[a-z0-9-]+$/).max(50).required().label("Key"),
+    description: Joi.string().max(500).allow("").label("Description"),
+    variants: Joi.array()
+      .items(variant)
+      .min(2)
+      .max(5)
+      .unique("key")
+      .required()
+      .label("Variants"),
+  });
+  return schema.validate(data);
+};
+
+const roleValidate = (data) => {
+  const schema = Joi.object({
+    role: Joi.string()
+      .valid(...Object.keys(ROLE_PERMISSIONS))
+      .label("Role"),
+    permissions: Joi.array().items(Joi.string()).label("Permissions"),
+  }).or("role", "permissions");
+  return schema.validate(data);
+};
+
+module.exports = {
+  getQueueStatistics,
+  updateUserRole,
+  getAuditLog,
+  getStripeEvents,
+  replayStripeEvent,
+  getStripeEventStats,
+  getAiUsageReport,
+  getAiStatus,
+  pauseAi,
+  resumeAi,
+  updateAiBudgets,
+  getAiConfiguration,
+  updateAiConfiguration,
+  getPromptTemplates,
+  getExperiments,
+  addExperiment,
+  beginExperiment,
+  endExperiment,
+  getExperimentResults,
+};
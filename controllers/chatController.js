@@ -3,6 +3,7 @@ const {
   generateRecipeResponse, 
   generateRecipeResponseStream 
 } = require("../service/chatService");
+const { handleAiUnavailable } = require("../utils/aiHelpers");
 
 /**
  * Controller for chat functionality (non-streaming)
@@ -20,7 +21,8 @@ const handleRecipeChat = async (req, res) => {
 
     const responseMessage = await generateRecipeResponse(
       message,
-      recipeContext
+      recipeContext,
+      { userId: req.user._id }
     );
 
     return res.status(200).json({
@@ -28,6 +30,7 @@ const handleRecipeChat = async (req, res) => {
       message: responseMessage,
     });
   } catch (error) {
+    if (handleAiUnavailable(res, error)) return;
     console.error("Chat controller error:", error);
     return res.status(500).json({
       code: "01",
@@ -53,9 +56,12 @@ const handleRecipeChatStream = async (req, res) => {
     }
 
     // This function handles streaming directly to res
-    await generateRecipeResponseStream(message, recipeContext, res);
+    await generateRecipeResponseStream(message, recipeContext, res, {
+      userId: req.user._id,
+    });
 
   } catch (error) {
+    if (handleAiUnavailable(res, error)) return;
     console.error("Chat stream controller error:", error);
     
     // Only send error if headers haven't been sent
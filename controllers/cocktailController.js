@@ -1,11 +1,21 @@
 const { 
   generateCocktail,
-  generateCocktailStream
+  generateCocktailStream,
+  generateCocktailVariations,
+  generateRecipeImage,
+  generationTags,
+  variationCount,
+  variationQuota,
+  MAX_VARIATIONS,
+  RecipeGenerationError
 } = require("../service/cocktailService");
+const { getSurpriseRecipe, getSurprisePoolStatus } = require("../service/surpriseService");
 const { recipeCache, imageAnalysisCache } = require("../utils/cache");
 const { Cocktail, Collection } = require("../models/cocktailModel");
 const { v4: uuidv4 } = require("uuid");
 const mongoose = require("mongoose");
+const { ownedBy, subjectUserId } = require("../middleware/ownership");
+const { handleAiUnavailable } = require("../utils/aiHelpers");
 
 const getCocktail = async (req, res) => {
   try {
@@ -19,7 +29,8 @@ const getCocktail = async (req, res) => {
     // Generate the cocktail recipe (includes image generation)
     // If newRecipe=true, skip cache and always generate fresh
     const recipe = await generateCocktail(ingredients, flavors, dietaryNeeds, {
-      skipCache: newRecipe === true
+      skipCache: newRecipe === true,
+      userId: req.user._id
     });
 
     // Return the complete recipe with image
@@ -33,11 +44,129 @@ const getCocktail = async (req, res) => {
     });
 
   } catch (error) {
+    if (handleAiUnavailable(res, error)) return;
     console.error("Error in getCocktailRecipe:", error);
+    if (error instanceof RecipeGenerationError) {
+      return res.status(error.status).json({
+        code: "01",
+        message: error.message,
+        reason: error.reason,
+      });
+    }
     res.status(500).json({ message: "Failed to generate cocktail recipe" });
   }
 };
 
+// Generate several distinct recipes for the same preferences in one call
+const getCocktailVariations = async (req, res) => {
+  try {
+    const { ingredients, flavors, dietaryNeeds, deferImages } = req.body;
+
+    if (!ingredients || !flavors || !dietaryNeeds) {
+      return res.status(400).json({ message: "Missing required fields" });
+    }
+
+    const count = variationCount(req.body.count);
+    if (!count) {
+      return res
+        .status(400)
+        .json({ message: `count must be a whole number from 2 to ${MAX_VARIATIONS}` });
+    }
+
+    const defer = deferImages !== false;
+    const { recipes, failed, duplicatesRemoved } = await generateCocktailVariations(
+      ingredients,
+      flavors,
+      dietaryNeeds,
+      { count, deferImages: defer, userId: req.user._id }
+    );
+
+    // Only the variations (and images) returned count against the quota
+    const images = defer ? 0 : recipes.filter((recipe) => recipe.imageUrl).length;
+    res.locals.unusedQuota = variationQuota(count, defer) - recipes.length - images;
+
+    res.status(200).json({
+      code: "00",
+      recipes,
+      requested: count,
+      failed,
+      duplicatesRemoved,
+      message:
+        recipes.length === count
+          ? "Variations generated successfully!"
+          : `Generated ${recipes.length} of ${count} variations`,
+    });
+  } catch (error) {
+    if (handleAiUnavailable(res, error)) return;
+    console.error("Error in getCocktailVariations:", error);
+    if (error instanceof RecipeGenerationError) {
+      return res.status(error.status).json({
+        code: "01",
+        message: error.message,
+        reason: error.reason,
+      });
+    }
+    res.status(500).json({ message: "Failed to generate cocktail variations" });
+  }
+};
+
+// Generate the image for a saved variation whose image was deferred
+const getVariationImage = async (req, res) => {
+  try {
+    const { cocktailId } = req.body;
+
+    if (!cocktailId || typeof cocktailId !== "string") {
+      return res.status(400).json({ code: "01", message: "cocktailId is required" });
+    }
+
+    // Save the picked variation first - the image is stored with it
+    const cocktail = await Cocktail.findOne(ownedBy(req, { cocktailId }));
+    if (!cocktail) {
+      return res.status(404).json({ code: "01", message: "Saved cocktail not found" });
+    }
+
+    const imageUrls = await generateRecipeImage(cocktail, { userId: req.user._id });
+    await cocktail.save();
+
+    res.status(200).json({
+      code: "00",
+      message: "Image generated successfully!",
+      imageUrl: cocktail.imageUrl,
+      imageUrls,
+      cocktail,
+    });
+  } catch (error) {
+    if (handleAiUnavailable(res, error)) return;
+    console.error("Error in getVariationImage:", error);
+    res.status(500).json({ code: "01", message: "Failed to generate the cocktail image" });
+  }
+};
+
+// A random recipe, served from the pre-generated pool when possible
+const getSurpriseCocktail = async (req, res) => {
+  try {
+    const recipe = await getSurpriseRecipe(req.user._id);
+
+    res.status(200).json({
+      code: "00",
+      recipe,
+      fromPool: recipe.fromPool,
+      message: "Surprise!",
+    });
+  } catch (error) {
+    if (handleAiUnavailable(res, error)) return;
+    console.error("Error in getSurpriseCocktail:", error);
+    if (error instanceof RecipeGenerationError) {
+      return res.status(error.status).json({
+        code: "01",
+        message: error.message,
+        reason: error.reason,
+      });
+    }
+    res.status(500).json({ message: "Failed to get a surprise recipe" });
+  }
+};
+
 // Generate cocktail with streaming response (SSE)
 // Note: This streams the recipe text but image is still generated after
 const getCocktailStream = async (req, res) => {
@@ -50,9 +179,12 @@ const getCocktailStream = async (req, res) => {
     }
 
     // Generate with streaming - this handles the response directly
-    await generateCocktailStream(ingredients, flavors, dietaryNeeds, res);
+    await generateCocktailStream(ingredients, flavors, dietaryNeeds, res, {
+      userId: req.user._id
+    });
 
   } catch (error) {
+    if (handleAiUnavailable(res, error)) return;
     console.error("Error in getCocktailStream:", error);
     // Only send error if headers haven't been sent
     if (!res.headersSent) {
@@ -71,6 +203,9 @@ const saveCocktail = async (req, res) => {
       instructions,
       tip,
       description,
+      glassware,
+      technique,
+      servingTemp,
       cocktailId,
       healthRating,
       healthNotes,
@@ -81,16 +216,29 @@ const saveCocktail = async (req, res) => {
       return res.status(400).json({ message: "Missing required fields" });
     }
 
+    // How the recipe was generated comes from our own records, never the client,
+    // since experiment reports are built from it
+    const { promptVersion, imagePromptVersion, experiment } = await generationTags(
+      cocktailId,
+      userId
+    );
+
     const cocktail = new Cocktail({
       name,
       ingredients,
       instructions,
       description,
       tip,
+      glassware,
+      technique,
+      servingTemp,
       cocktailId,
       healthRating,
       healthNotes,
       imageUrl, 
+      promptVersion,
+      imagePromptVersion,
+      experiment,
       userId,
     });
 
@@ -115,18 +263,15 @@ const savedCocktail = async (req, res) => {
 // Save to collection
 const saveToCollection = async (req, res) => {
   try {
-    const { cocktail, cocktailId, collectionName, userId } = req.body;
+    const { cocktail, cocktailId, collectionName } = req.body;
+    // The caller, or the user an admin names in body.userId
+    const userId = subjectUserId(req);
 
     // Validate required fields
-    if ((!cocktail && !cocktailId) || !collectionName || !userId) {
+    if ((!cocktail && !cocktailId) || !collectionName) {
       return res.status(400).json({ message: "Missing required fields" });
     }
 
-    // Validate userId as a valid ObjectId
-    if (!mongoose.isValidObjectId(userId)) {
-      return res.status(400).json({ message: "Invalid userId" });
-    }
-
     // Find or create the collection
     let collection = await Collection.findOne({ name: collectionName, userId });
 
@@ -155,8 +300,12 @@ const saveToCollection = async (req, res) => {
       }
     } else if (cocktailId) {
       // If we just have a cocktailId (from a saved cocktail)
-      // Find the cocktail in the database
-      const savedCocktail = await Cocktail.findById(cocktailId);
+      if (!mongoose.isValidObjectId(cocktailId)) {
+        return res.status(400).json({ message: "Invalid cocktail ID" });
+      }
+
+      // Find the cocktail in the database - only the same user's saved cocktails
+      const savedCocktail = await Cocktail.findOne({ _id: cocktailId, userId });
 
       if (!savedCocktail) {
         return res.status(404).json({ message: "Cocktail not found" });
@@ -193,7 +342,6 @@ const saveToCollection = async (req, res) => {
 const deleteCocktail = async (req, res) => {
   try {
     const { cocktailId } = req.params; 
-    const userId = req.user._id; 
 
     // Validate the cocktail ID
     if (!mongoose.isValidObjectId(cocktailId)) {
@@ -201,10 +349,9 @@ const deleteCocktail = async (req, res) => {
     }
 
     // Find and delete the cocktail
-    const deletedCocktail = await Cocktail.findOneAndDelete({
-      _id: cocktailId,
-      userId: userId, 
-    });
+    const deletedCocktail = await Cocktail.findOneAndDelete(
+      ownedBy(req, { _id: cocktailId })
+    );
 
     if (!deletedCocktail) {
       return res.status(404).json({ message: "Cocktail not found" });
@@ -223,7 +370,6 @@ const deleteCocktail = async (req, res) => {
 const deleteCollection = async (req, res) => {
   try {
     const { collectionId } = req.params; 
-    const userId = req.user._id; 
 
     // Validate the collection ID
     if (!mongoose.isValidObjectId(collectionId)) {
@@ -231,10 +377,9 @@ const deleteCollection = async (req, res) => {
     }
 
     // Find and delete the collection
-    const deletedCollection = await Collection.findOneAndDelete({
-      _id: collectionId,
-      userId: userId, 
-    });
+    const deletedCollection = await Collection.findOneAndDelete(
+      ownedBy(req, { _id: collectionId })
+    );
 
     if (!deletedCollection) {
       return res.status(404).json({ message: "Collection not found" });
@@ -307,6 +452,7 @@ const getCacheStats = async (req, res) => {
     const stats = {
       recipeCache: recipeCache.getStats(),
       imageAnalysisCache: imageAnalysisCache.getStats(),
+      surprisePool: getSurprisePoolStatus(),
       timestamp: new Date().toISOString()
     };
 
@@ -317,7 +463,7 @@ const getCacheStats = async (req, res) => {
   }
 };
 
-// Clear caches (admin only)
+// Clear caches (requires cache:manage)
 const clearCaches = async (req, res) => {
   try {
     recipeCache.clear();
@@ -335,6 +481,9 @@ const clearCaches = async (req, res) => {
 
 module.exports = {
   getCocktail,
+  getCocktailVariations,
+  getVariationImage,
+  getSurpriseCocktail,
   getCocktailStream,
   saveCocktail,
   saveToCollection,
@@ -1,4 +1,6 @@
+const mongoose = require("mongoose");
 const { Collection, Cocktail } = require("../models/cocktailModel");
+const { ownedBy } = require("../middleware/ownership");
 
 const createCollection = async (req, res) => {
   try {
@@ -25,12 +27,10 @@ const createCollection = async (req, res) => {
   }
 };
 
-// Get all collections for a user
+// Get all collections for the logged-in user
 const getUserCollections = async (req, res) => {
   try {
-    const { userId } = req.params;
-
-    const collections = await Collection.find({ userId });
+    const collections = await Collection.find(ownedBy(req));
     res.status(200).json({ collections });
   } catch (error) {
     console.error("Error fetching collections:", error);
@@ -38,12 +38,10 @@ const getUserCollections = async (req, res) => {
   }
 };
 
-// Get all saved recipes for a user
+// Get all saved recipes for the logged-in user
 const getUserRecipes = async (req, res) => {
   try {
-    const { userId } = req.params;
-
-    const recipes = await Cocktail.find({ userId });
+    const recipes = await Cocktail.find(ownedBy(req));
     res.status(200).json({ recipes });
   } catch (error) {
     console.error("Error fetching saved recipes:", error);
@@ -56,9 +54,14 @@ const getRecipesInCollection = async (req, res) => {
   try {
     const { collectionId } = req.params;
 
-    const collection = await Collection.findById(collectionId).populate(
-      "cocktails"
-    );
+    if (!mongoose.isValidObjectId(collectionId)) {
+      return res.status(400).json({ message: "Invalid collection ID" });
+    }
+
+    // Other users' collections are reported as not found
+    const collection = await Collection.findOne(
+      ownedBy(req, { _id: collectionId })
+    ).populate("cocktails");
 
     if (!collection) {
       return res.status(404).json({ message: "Collection not found" });
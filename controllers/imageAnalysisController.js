@@ -1,5 +1,6 @@
 // controllers/imageAnalysisController.js
 const { analyzeCocktailImage } = require("../service/imageAnalysisService");
+const { handleAiUnavailable } = require("../utils/aiHelpers");
 
 /**
  * Controller for handling cocktail image analysis
@@ -15,13 +16,16 @@ const handleCocktailImageAnalysis = async (req, res) => {
       });
     }
 
-    const analysisResult = await analyzeCocktailImage(imageData);
+    const analysisResult = await analyzeCocktailImage(imageData, {
+      userId: req.user._id,
+    });
 
     return res.status(200).json({
       code: "00",
       analysis: analysisResult,
     });
   } catch (error) {
+    if (handleAiUnavailable(res, error)) return;
     console.error("Image analysis controller error:", error);
     return res.status(500).json({
       code: "01",
@@ -1,9 +1,11 @@
-const { OpenAI } = require("openai");
-const { executeWithResilience, AI_TIMEOUTS } = require("../utils/aiHelpers");
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const {
+  executeWithResilience,
+  handleAiUnavailable,
+  AI_TIMEOUTS,
+} = require("../utils/aiHelpers");
+const { recordAiUsage } = require("../service/usageService");
+const { getProvider } = require("../providers");
+const { getAiConfig } = require("../service/aiConfigService");
 
 /**
  * Controller for generating cocktail images
@@ -19,54 +21,43 @@ const generateCocktailImage = async (req, res) => {
       });
     }
 
-    // Image quality from env or request
-    const imageQuality = req.body.quality || process.env.IMAGE_QUALITY || "balanced";
-    
-    const imageSettings = {
-      fast: {
-        model: "dall-e-2",
-        size: "512x512",
-      },
-      balanced: {
-        model: "dall-e-3",
-        size: "1024x1024",
-        quality: "standard",
-        style: "natural",
-      },
-      quality: {
-        model: "dall-e-3",
-        size: "1024x1024",
-        quality: "hd",
-        style: "vivid",
-      }
-    };
-
-    const settings = imageSettings[imageQuality] || imageSettings.balanced;
+    // Preset from the request, falling back to the configured one
+    const settings = await getAiConfig("image", { preset: req.body.quality });
 
-    // Generate image using OpenAI DALL-E with timeout and retry
+    // Generate image with timeout and retry
     const response = await executeWithResilience(
-      () => openai.images.generate({
+      () => getProvider().generateImage({
         prompt: prompt,
-        n: 1,
         ...settings,
       }),
       {
         timeout: AI_TIMEOUTS.IMAGE_GENERATION,
         maxRetries: 2,
-        operationName: 'Image Generation'
+        operationName: 'Image Generation',
+        userId: req.user._id
       }
     );
     
-    console.log(`[Image] Generated with "${imageQuality}" quality`);
+    console.log(`[Image] Generated with "${settings.preset}" preset`);
+
+    await recordAiUsage({
+      userId: req.user._id,
+      operation: "image",
+      model: settings.model,
+      images: 1,
+      size: settings.size,
+      quality: settings.quality,
+    });
 
     // Extract the image URL from the response
-    const imageUrl = response.data[0].url;
+    const imageUrl = response.url;
 
     return res.status(200).json({
       code: "00",
       imageUrl: imageUrl,
     });
   } catch (error) {
+    if (handleAiUnavailable(res, error)) return;
     console.error("Image generation error:", error);
     return res.status(500).json({
       code: "01",
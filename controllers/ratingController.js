@@ -4,10 +4,11 @@ const mongoose = require("mongoose");
 
 // Submit a rating and feedback
 const submitRating = async (req, res) => {
-  const { userId, recipeId, rating, feedback } = req.body;
+  const { recipeId, rating, feedback } = req.body;
+  const userId = req.user._id;
 
   try {
-    if (!userId || !recipeId || !rating) {
+    if (!recipeId || !rating) {
       return res.status(400).json({ message: "Missing required fields" });
     }
 
@@ -1,55 +1,184 @@
-const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const {
+  hasSubscription,
+  resolvePriceId,
+  planForPrice,
+  createCheckoutSession: createSubscriptionCheckout,
+  getSubscriptionSummary,
+  setCancelAtPeriodEnd,
+  switchPlan,
+  createPortalSession: createBillingPortalSession,
+  constructWebhookEvent,
+} = require("../service/subscriptionService");
+const { recordAndProcessEvent } = require("../service/stripeEventService");
+const { getQuotaUsage } = require("../service/quotaService");
 
-// Create a Stripe Checkout Session
+// Create a Stripe Checkout Session for the logged-in user
 const createCheckoutSession = async (req, res) => {
-  const { priceId } = req.body;
-
-  try {
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types: ["card"],
-      line_items: [
-        {
-          price: priceId, // Use the Stripe Price ID for monthly/yearly plans
-          quantity: 1,
-        },
-      ],
-      mode: "subscription",
-      success_url: `${process.env.FRONTEND_URL}/success?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${process.env.FRONTEND_URL}/cancel`,
-    });
+  const priceId = resolvePriceId(req.body);
+  if (!priceId) {
+    return res
+      .status(400)
+      .json({ error: "Unknown plan. Use \"monthly\" or \"yearly\"." });
+  }
+
+  if (req.user.subscriptionStatus === "active") {
+    return res
+      .status(409)
+      .json({ error: "You already have an active subscription" });
+  }
 
-    res.status(200).json({ id: session.id });
+  try {
+    const session = await createSubscriptionCheckout(req.user, priceId);
+    res.status(200).json({ id: session.id, url: session.url });
   } catch (error) {
     console.error("Error creating Stripe session:", error);
     res.status(500).json({ error: "Failed to create Stripe session" });
   }
 };
 
+// Current plan, billing period and today's quota usage
+const getSubscription = async (req, res) => {
+  try {
+    const usage = await getQuotaUsage(req.user);
+    res.status(200).json({
+      code: "00",
+      subscription: getSubscriptionSummary(req.user),
+      tier: usage.plan,
+      quotas: usage.quotas,
+      quotaResetAt: usage.resetAt,
+    });
+  } catch (error) {
+    console.error("Error fetching subscription:", error);
+    res.status(500).json({ error: "Failed to fetch subscription" });
+  }
+};
+
+// Stop the subscription from renewing; access continues until the period ends
+const cancelSubscription = async (req, res) => {
+  if (!hasSubscription(req.user)) {
+    return res.status(404).json({ error: "No active subscription" });
+  }
+
+  try {
+    const subscription = await setCancelAtPeriodEnd(req.user, true);
+    res.status(200).json({
+      code: "00",
+      message: "Your subscription will end at the close of the billing period",
+      subscription,
+    });
+  } catch (error) {
+    console.error("Error cancelling subscription:", error);
+    res.status(500).json({ error: "Failed to cancel subscription" });
+  }
+};
+
+// Undo a pending cancellation
+const resumeSubscription = async (req, res) => {
+  if (!hasSubscription(req.user)) {
+    return res.status(404).json({ error: "No active subscription" });
+  }
+  if (!req.user.subscriptionCancelAtPeriodEnd) {
+    return res
+      .status(409)
+      .json({ error: "Your subscription isn't set to cancel" });
+  }
+
+  try {
+    const subscription = await setCancelAtPeriodEnd(req.user, false);
+    res.status(200).json({
+      code: "00",
+      message: "Your subscription will renew as normal",
+      subscription,
+    });
+  } catch (error) {
+    console.error("Error resuming subscription:", error);
+    res.status(500).json({ error: "Failed to resume subscription" });
+  }
+};
+
+// Switch between the monthly and yearly plans
+const switchSubscriptionPlan = async (req, res) => {
+  const priceId = resolvePriceId(req.body);
+  if (!priceId) {
+    return res
+      .status(400)
+      .json({ error: "Unknown plan. Use \"monthly\" or \"yearly\"." });
+  }
+  if (!hasSubscription(req.user)) {
+    return res.status(404).json({ error: "No active subscription" });
+  }
+  if (req.user.subscriptionPriceId === priceId) {
+    return res
+      .status(409)
+      .json({ error: `You're already on the ${planForPrice(priceId)} plan` });
+  }
+
+  try {
+    const subscription = await switchPlan(req.user, priceId);
+    res.status(200).json({
+      code: "00",
+      message: `Switched to the ${subscription.plan} plan`,
+      subscription,
+    });
+  } catch (error) {
+    console.error("Error switching plan:", error);
+    res.status(500).json({ error: "Failed to switch plan" });
+  }
+};
+
+// Stripe-hosted page for payment methods and invoices
+const createPortalSession = async (req, res) => {
+  if (!req.user.stripeCustomerId) {
+    return res.status(404).json({ error: "No billing account yet" });
+  }
+
+  try {
+    const session = await createBillingPortalSession(req.user);
+    res.status(200).json({ code: "00", url: session.url });
+  } catch (error) {
+    console.error("Error creating billing portal session:", error);
+    res.status(500).json({ error: "Failed to create billing portal session" });
+  }
+};
+
 const handleStripeWebhook = async (req, res) => {
   const sig = req.headers["stripe-signature"];
-  const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
 
   let event;
 
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
+    event = constructWebhookEvent(req.body, sig);
   } catch (err) {
     console.error("Webhook error:", err);
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  // Handle the event
-  switch (event.type) {
-    case "checkout.session.completed":
-      const session = event.data.object;
-      // Update user subscription status in your database
-      console.log("Subscription successful:", session);
-      break;
-    default:
+  try {
+    const { duplicate, record } = await recordAndProcessEvent(event);
+    if (duplicate) {
+      return res.json({ received: true, duplicate: true });
+    }
+    if (record.status === "ignored") {
       console.log(`Unhandled event type: ${event.type}`);
+    }
+    if (record.status === "failed") {
+      // A non-2xx response makes Stripe retry the delivery
+      return res.status(500).json({ error: "Failed to process event" });
+    }
+  } catch (error) {
+    console.error(`Failed to record Stripe event ${event.id}:`, error);
+    return res.status(500).json({ error: "Failed to process event" });
   }
 
   res.json({ received: true });
 };
 
-module.exports = { createCheckoutSession, handleStripeWebhook };
+module.exports = {
+  createCheckoutSession,
+  getSubscription,
+  cancelSubscription,
+  resumeSubscription,
+  switchSubscriptionPlan,
+  createPortalSession,
+  handleStripeWebhook,
+};
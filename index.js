@@ -8,13 +8,30 @@ const authRoutes = require("./routes/auth");
 const cocktailRoutes = require("./routes/cocktail");
 const collectionRoutes = require("./routes/collectionRoutes");
 const healthRoutes = require("./routes/health");
+const adminRoutes = require("./routes/admin");
+const stripeRoutes = require("./routes/stripe");
 const swaggerJsdoc = require("swagger-jsdoc");
 const swaggerUi = require("swagger-ui-express");
 const swaggerOptions = require("./swaggerOptions");
+const { startDeletionSweeper } = require("./service/accountDeletionService");
+const { startSurpriseRefiller } = require("./service/surpriseService");
+const { getProvider } = require("./providers");
+const { getTransport } = require("./utils/mailer");
+const { parseTrustProxy } = require("./utils/trustProxy");
 
 //db connection
 connection();
 
+// Resolve the LLM provider up front so a bad LLM_PROVIDER fails at startup
+console.log(`LLM provider: ${getProvider().name}`);
+// Same for mail - a production deploy must not silently drop or log emails
+console.log(`Mail transport: ${getTransport().name}`);
+
+// Behind a reverse proxy req.ip (used for login lockouts) needs TRUST_PROXY set
+const trustProxy = parseTrustProxy(process.env.TRUST_PROXY);
+if (trustProxy !== undefined) app.set("trust proxy", trustProxy);
+console.log(`Trust proxy: ${trustProxy ?? "off"}`);
+
 const allowedOrigins = [
   "http://localhost:5173",
   "https://cocktailrecipegen.netlify.app",
@@ -30,8 +47,15 @@ app.use(
       }
     },
     credentials: true,
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
+    exposedHeaders: [
+      "Retry-After",
+      "X-Plan",
+      "X-Quota-Limit",
+      "X-Quota-Remaining",
+      "X-Quota-Reset",
+    ],
   })
 );
 
@@ -46,6 +70,9 @@ app.options("*", cors());
 //   })
 // );
 
+// Stripe webhooks need the raw body, so mount before express.json()
+app.use("/api/stripe", stripeRoutes);
+
 // middlewares
 app.use(express.json());
 
@@ -59,6 +86,11 @@ app.use("/api/auth", authRoutes);
 app.use("/api/cocktail", cocktailRoutes);
 app.use("/api", collectionRoutes);
 app.use("/api/health", healthRoutes);
+app.use("/api/admin", adminRoutes);
+
+// background jobs
+startDeletionSweeper();
+startSurpriseRefiller();
 
 const port = process.env.PORT || 8090;
 app.listen(port, () => console.log(`Listening on port ${port}...`));
@@ -1,8 +1,42 @@
 const jwt = require("jsonwebtoken");
 const { User } = require("../models/user");
+const { isApiKey, authenticateApiKey } = require("../service/apiKeyService");
+
+// Personal API keys are accepted as "Authorization: Bearer ck_..." or "X-API-Key: ck_..."
+// but only on routes that opt in with allowApiKey(scope)
+const authenticateWithApiKey = async (key, req, res, next) => {
+  if (!req.allowedApiKeyScope) {
+    return res
+      .status(403)
+      .json({ message: "API keys can't be used for this endpoint." });
+  }
+
+  const result = await authenticateApiKey(key, req.ip);
+  if (!result) {
+    return res.status(401).json({ message: "Invalid API key." });
+  }
+
+  if (!result.apiKey.scopes.includes(req.allowedApiKeyScope)) {
+    return res.status(403).json({
+      message: `API key is missing the "${req.allowedApiKeyScope}" scope.`,
+    });
+  }
+
+  req.user = result.user;
+  req.apiKey = result.apiKey;
+  next();
+};
+
+// Let personal API keys with the given scope use the route
+// Must run before authMiddleware
+exports.allowApiKey = (scope) => (req, res, next) => {
+  req.allowedApiKeyScope = scope;
+  next();
+};
 
 exports.authMiddleware = async (req, res, next) => {
-  const token = req.header("Authorization")?.split(" ")[1];
+  const token =
+    req.header("Authorization")?.split(" ")[1] || req.header("X-API-Key");
 
   if (!token) {
     return res
@@ -11,15 +45,74 @@ exports.authMiddleware = async (req, res, next) => {
   }
 
   try {
+    if (isApiKey(token)) {
+      return await authenticateWithApiKey(token, req, res, next);
+    }
+
     console.log("Token being verified:", token);
     console.log("Secret key exists:", !!process.env.JWTPRIVATEKEY);
     const decoded = jwt.verify(token, process.env.JWTPRIVATEKEY);
     console.log("Decoded token:", decoded);
 
-    req.user = await User.findById(decoded._id);
+    // Purpose-bound tokens (e.g. the 2FA login challenge) aren't access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({ message: "Invalid token." });
+    }
+
+    const user = await User.findById(decoded._id);
+    if (!user) {
+      return res.status(401).json({ message: "Invalid token." });
+    }
+
+    // Tokens issued before a "log out all devices" are no longer valid
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({ message: "Token has been revoked." });
+    }
+
+    req.user = user;
     next();
   } catch (error) {
     console.log("Token verification error:", error);
+    // Let clients know they should use their refresh token
+    if (error.name === "TokenExpiredError") {
+      return res.status(401).json({ message: "Token expired." });
+    }
     res.status(400).json({ message: "Invalid token." });
   }
 };
+
+// Block AI generation for unverified emails when REQUIRE_EMAIL_VERIFICATION=true
+// Must run after authMiddleware
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (
+    process.env.REQUIRE_EMAIL_VERIFICATION === "true" &&
+    req.user.emailVerified === false
+  ) {
+    return res.status(403).json({
+      code: "01",
+      message: "Please verify your email address to use this feature.",
+    });
+  }
+  next();
+};
+
+// Restrict a route to users with one of the given roles
+// Must run after authMiddleware
+exports.requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ message: "Access denied." });
+  }
+  next();
+};
+
+// Restrict a route to users holding every given permission
+// Must run after authMiddleware
+exports.requirePermission = (...permissions) => (req, res, next) => {
+  if (
+    !req.user ||
+    !permissions.every((permission) => req.user.hasPermission(permission))
+  ) {
+    return res.status(403).json({ message: "Access denied." });
+  }
+  next();
+};
@@ -0,0 +1,42 @@
+/**
+ * Ownership checks - identity always comes from req.user (set by authMiddleware),
+ * never from the URL or request body.
+ *
+ * Users with the "resources:any" permission (admins) may act on other users'
+ * resources. API keys never can, even an admin's - they only act for their owner.
+ */
+const actsForAnyone = (req) => !req.apiKey && req.user.hasPermission("resources:any");
+
+// The user named in :userId or body.userId, if any
+const claimedUserId = (req) => req.params.userId ?? req.body?.userId;
+
+// Reject requests that name a different user in :userId or body.userId.
+// Older clients still send their own id, so a matching id is accepted.
+exports.requireSelf = (field = "userId") => (req, res, next) => {
+  const claimed = req.params[field] ?? req.body?.[field];
+
+  if (
+    claimed !== undefined &&
+    String(claimed) !== req.user._id.toString() &&
+    !actsForAnyone(req)
+  ) {
+    return res
+      .status(403)
+      .json({ message: "You can only access your own resources." });
+  }
+  next();
+};
+
+// The user whose resources the request is about: the caller, or for admins
+// the user they name in :userId or body.userId
+exports.subjectUserId = (req) => {
+  const claimed = claimedUserId(req);
+  return claimed !== undefined && actsForAnyone(req) ? claimed : req.user._id;
+};
+
+// Query filter that limits a lookup to documents owned by the current user.
+// Admins aren't limited unless they name a user, so they can reach any document by ID.
+exports.ownedBy = (req, filter = {}) => {
+  if (actsForAnyone(req) && claimedUserId(req) === undefined) return { ...filter };
+  return { ...filter, userId: exports.subjectUserId(req) };
+};
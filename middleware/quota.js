@@ -0,0 +1,83 @@
+/**
+ * Plan entitlements and daily quotas for AI operations
+ */
+const { consumeQuota, refundQuota, currentDay } = require("../service/quotaService");
+
+const OPERATION_LABELS = {
+  recipe: "recipe generation",
+  image: "image generation",
+  imageAnalysis: "image analysis",
+  chat: "recipe chat",
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const setQuotaHeaders = (res, quota) => {
+  res.set({
+    "X-Plan": quota.plan,
+    "X-Quota-Limit": String(quota.limit),
+    "X-Quota-Remaining": String(quota.remaining),
+    "X-Quota-Reset": String(Math.floor(quota.resetAt.getTime() / 1000)),
+  });
+};
+
+// Count the request against the user's daily quota for `operation`.
+// Responds 402 when the plan doesn't include it and 429 when the quota is used up.
+// Users with the "quota:unlimited" permission (e.g. admins) are never limited.
+// `cost(req)` sets how many units the request uses (default 1); a handler can
+// give back units it didn't use by setting res.locals.unusedQuota.
+// Must run after authMiddleware
+exports.requireQuota = (operation, { cost } = {}) => async (req, res, next) => {
+  if (req.user.hasPermission("quota:unlimited")) return next();
+
+  try {
+    const amount = cost ? cost(req) : 1;
+    const quota = await consumeQuota(req.user, operation, amount);
+    setQuotaHeaders(res, quota);
+
+    if (!quota.allowed && quota.limit === 0) {
+      return res.status(402).json({
+        code: "01",
+        message:
+          req.user.subscriptionStatus === "past_due"
+            ? `Your last payment failed. Update your payment details to keep using ${OPERATION_LABELS[operation]}.`
+            : `${capitalize(OPERATION_LABELS[operation])} is only available with a subscription.`,
+        plan: quota.plan,
+        operation,
+      });
+    }
+
+    if (!quota.allowed) {
+      res.set(
+        "Retry-After",
+        String(Math.ceil((quota.resetAt.getTime() - Date.now()) / 1000))
+      );
+      return res.status(429).json({
+        code: "01",
+        message:
+          quota.remaining > 0
+            ? `Not enough ${OPERATION_LABELS[operation]} quota left today: this request needs ${amount} and ${quota.remaining} of ${quota.limit} remain.`
+            : `Daily ${OPERATION_LABELS[operation]} limit of ${quota.limit} reached.`,
+        plan: quota.plan,
+        operation,
+        resetAt: quota.resetAt,
+      });
+    }
+
+    // Failed requests don't count against the quota
+    const day = currentDay();
+    res.on("finish", () => {
+      const unused = res.statusCode >= 400 ? amount : res.locals.unusedQuota || 0;
+      if (unused > 0) {
+        refundQuota(req.user, operation, day, Math.min(unused, amount)).catch((error) =>
+          console.error("[Quota] Failed to refund quota:", error)
+        );
+      }
+    });
+
+    next();
+  } catch (error) {
+    console.error("[Quota] Quota check failed:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// Runtime AI controls shared by every instance (a single document, key "global")
+const AiSettingsSchema = new mongoose.Schema({
+  key: { type: String, default: "global", unique: true },
+  // Kill switch - when set, every AI call is refused
+  paused: { type: Boolean, default: false },
+  pausedAt: Date,
+  pausedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  pauseReason: String,
+  // Spend limits in USD; null falls back to the AI_BUDGET_* env vars, 0 means no limit
+  budgets: {
+    globalDaily: { type: Number, default: null },
+    globalMonthly: { type: Number, default: null },
+    userDaily: { type: Number, default: null },
+    userMonthly: { type: Number, default: null },
+  },
+  // Model/parameter overrides per operation, e.g. { recipe: { model: "gpt-4o" } }
+  // (see service/aiConfigService.js); unset fields fall back to env/defaults
+  aiConfig: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Budget alerts already sent, e.g. "global:daily:2025-01-31:warning"
+  alertsSent: { type: [String], default: [] },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+const AiSettings = mongoose.model("AiSettings", AiSettingsSchema);
+
+module.exports = { AiSettings };
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// One document per billable OpenAI call
+const AiUsageSchema = new mongoose.Schema({
+  // Cleared (not deleted) when the account is purged so cost reports stay accurate
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+  // The user-facing operation that triggered the call: recipe, chat, imageAnalysis, image
+  operation: { type: String, required: true, index: true },
+  model: { type: String, required: true },
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  totalTokens: { type: Number, default: 0 },
+  images: { type: Number, default: 0 },
+  // Estimated cost in USD, from the pricing table in service/usageService.js
+  cost: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now, index: true },
+});
+
+AiUsageSchema.index({ userId: 1, createdAt: -1 });
+
+const AiUsage = mongoose.model("AiUsage", AiUsageSchema);
+
+module.exports = { AiUsage };
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+const Joi = require("joi");
+
+// Scopes a personal API key can be granted
+const API_KEY_SCOPES = [
+  "recipes:read",     // list saved recipes, collections and ratings
+  "recipes:write",    // save/delete recipes, manage collections, rate
+  "recipes:generate", // AI recipe generation, chat, image analysis/generation
+];
+
+const ApiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  name: { type: String, required: true },
+  // Shown in listings so users can tell keys apart; the full key is never stored
+  prefix: { type: String, required: true },
+  keyHash: { type: String, required: true, unique: true },
+  scopes: { type: [String], enum: API_KEY_SCOPES, default: [] },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  expiresAt: Date,
+  revokedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+});
+
+const ApiKey = mongoose.model("ApiKey", ApiKeySchema);
+
+const apiKeyValidate = (data) => {
+  const schema = Joi.object({
+    name: Joi.string().max(100).required().label("Name"),
+    scopes: Joi.array()
+      .items(Joi.string().valid(...API_KEY_SCOPES))
+      .min(1)
+      .unique()
+      .required()
+      .label("Scopes"),
+    expiresInDays: Joi.number().integer().min(1).max(365).label("Expires In Days"),
+  });
+  return schema.validate(data);
+};
+
+module.exports = { ApiKey, API_KEY_SCOPES, apiKeyValidate };
@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Security-relevant authentication events, kept for 90 days
+const AuthAuditSchema = new mongoose.Schema({
+  event: { type: String, required: true, index: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+  username: String,
+  ip: String,
+  userAgent: String,
+  details: { type: mongoose.Schema.Types.Mixed },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: { expires: 90 * 24 * 60 * 60 },
+  },
+});
+
+const AuthAudit = mongoose.model("AuthAudit", AuthAuditSchema);
+
+module.exports = { AuthAudit };
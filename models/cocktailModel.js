@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const Joi = require("joi");
 const User = require("./user");
 
 const CocktailSchema = new mongoose.Schema({
@@ -7,11 +8,22 @@ const CocktailSchema = new mongoose.Schema({
   instructions: { type: [String], required: true },
   description: String,
   tip: String,
+  glassware: String,
+  technique: String,
+  servingTemp: String,
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
-  cocktailId: String,
+  cocktailId: { type: String, index: true },
   imageUrl: { type: String, required: false },
   healthRating: { type: Number, min: 1, max: 10, default: null },
   healthNotes: { type: String, default: "" },
+  // Prompt template versions that produced the recipe, e.g. "recipe@1" (see prompts/)
+  promptVersion: { type: String, index: true },
+  imagePromptVersion: String,
+  // Experiment variant that produced the recipe (see models/experiment.js)
+  experiment: {
+    key: String,
+    variant: String,
+  },
 });
 
 const Cocktail = mongoose.model("Cocktail", CocktailSchema);
@@ -38,4 +50,23 @@ const RatingSchema = new mongoose.Schema({
 
 const Rating = mongoose.model("Rating", RatingSchema);
 
-module.exports = { Cocktail, Collection, Rating };
+// Shape of a generated recipe; AI output is checked against this before it's returned
+const recipeSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  ingredients: Joi.array().items(Joi.string().trim().max(200)).min(3).max(20).required(),
+  instructions: Joi.array().items(Joi.string().trim().max(500)).min(5).max(15).required(),
+  description: Joi.string().trim().max(1000).required(),
+  tip: Joi.string().trim().max(500).required(),
+  glassware: Joi.string().trim().max(60).required(),
+  technique: Joi.string().trim().max(60).required(),
+  servingTemp: Joi.string().trim().max(60).required(),
+  healthRating: Joi.number().integer().min(1).max(10).required(),
+  healthNotes: Joi.string().trim().max(1500).required(),
+});
+
+// Reports every problem (not just the first) and drops unexpected keys
+const validateRecipe = (data) => {
+  return recipeSchema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+module.exports = { Cocktail, Collection, Rating, recipeSchema, validateRecipe };
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// A user's personal data export, built in the background
+const DataExportSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "processing", "complete", "failed"],
+    default: "pending",
+  },
+  json: { type: String, select: false },
+  zip: { type: Buffer, select: false },
+  error: String,
+  createdAt: { type: Date, default: Date.now },
+  completedAt: Date,
+  // Finished exports are removed automatically after 7 days
+  expiresAt: {
+    type: Date,
+    default: () => Date.now() + 7 * 24 * 60 * 60 * 1000,
+    index: { expires: 0 },
+  },
+});
+
+const DataExport = mongoose.model("DataExport", DataExportSchema);
+
+module.exports = { DataExport };
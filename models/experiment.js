@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// Prompt/model A/B test for recipe generation. At most one runs at a time.
+const ExperimentSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  description: String,
+  status: {
+    type: String,
+    enum: ["draft", "running", "stopped"],
+    default: "draft",
+    index: true,
+  },
+  // Users are split across variants in proportion to their weights. Unset
+  // fields fall back to the live prompt version and the configured model.
+  variants: [
+    {
+      _id: false,
+      key: { type: String, required: true },
+      weight: { type: Number, default: 1 },
+      promptVersion: Number,
+      model: String,
+      temperature: Number,
+    },
+  ],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+  startedAt: Date,
+  stoppedAt: Date,
+});
+
+const Experiment = mongoose.model("Experiment", ExperimentSchema);
+
+// One document per recipe generated under an experiment
+const ExperimentExposureSchema = new mongoose.Schema({
+  experimentKey: { type: String, required: true },
+  variant: { type: String, required: true },
+  // Cleared (not deleted) when the account is purged so reports stay accurate
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+  // Matches Cocktail.cocktailId once the recipe is saved
+  cocktailId: String,
+  outcome: { type: String, enum: ["success", "failure"], required: true },
+  // RecipeGenerationError reason for failures
+  failureReason: String,
+  fromCache: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+});
+
+ExperimentExposureSchema.index({ experimentKey: 1, variant: 1 });
+
+const ExperimentExposure = mongoose.model("ExperimentExposure", ExperimentExposureSchema);
+
+module.exports = { Experiment, ExperimentExposure };
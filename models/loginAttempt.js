@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+
+// Failed login counters, keyed by "user:<username>" or "ip:<address>"
+const LoginAttemptSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  firstAttemptAt: Date,
+  lastAttemptAt: Date,
+  lockedUntil: Date,
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+});
+
+const LoginAttempt = mongoose.model("LoginAttempt", LoginAttemptSchema);
+
+module.exports = { LoginAttempt };
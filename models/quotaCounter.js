@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// Per-user daily usage counters for quota-limited operations
+const QuotaCounterSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  operation: { type: String, required: true },
+  // UTC day, e.g. "2025-01-31"
+  day: { type: String, required: true },
+  count: { type: Number, default: 0 },
+  // Counters are only needed for the current day
+  expiresAt: { type: Date, index: { expires: 0 } },
+});
+
+QuotaCounterSchema.index({ userId: 1, operation: 1, day: 1 }, { unique: true });
+
+const QuotaCounter = mongoose.model("QuotaCounter", QuotaCounterSchema);
+
+module.exports = { QuotaCounter };
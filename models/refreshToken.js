@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Refresh tokens rotate on every use. Each login starts a new "family";
+// presenting an already-rotated token revokes the whole family.
+const RefreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  tokenHash: { type: String, required: true, unique: true },
+  family: { type: String, required: true, index: true },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String },
+  replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: "RefreshToken" },
+  userAgent: String,
+  ip: String,
+  createdAt: { type: Date, default: Date.now },
+});
+
+const RefreshToken = mongoose.model("RefreshToken", RefreshTokenSchema);
+
+module.exports = { RefreshToken };
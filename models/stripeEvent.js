@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// Every Stripe webhook event received, kept for 90 days
+const StripeEventSchema = new mongoose.Schema({
+  eventId: { type: String, required: true, unique: true },
+  type: { type: String, required: true, index: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: {
+    type: String,
+    enum: ["received", "processing", "processed", "ignored", "failed"],
+    default: "received",
+    index: true,
+  },
+  error: String,
+  attempts: { type: Number, default: 0 },
+  // When Stripe created the event, as opposed to when we received it
+  stripeCreatedAt: Date,
+  processingStartedAt: Date,
+  processedAt: Date,
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+    index: { expires: 90 * 24 * 60 * 60 },
+  },
+});
+
+const StripeEvent = mongoose.model("StripeEvent", StripeEventSchema);
+
+module.exports = { StripeEvent };
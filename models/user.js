@@ -4,6 +4,12 @@ const Joi = require("joi");
 const passwordComplexity = require("joi-password-complexity");
 const crypto = require("crypto");
 
+// Permissions granted by each role. "*" grants everything.
+const ROLE_PERMISSIONS = {
+  user: [],
+  admin: ["*"],
+};
+
 const UserSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -18,43 +24,108 @@ const UserSchema = new mongoose.Schema({
       return this.signupMethod !== "google";
     },
   },
+  // Kept in sync by the Stripe webhook (see service/subscriptionService.js)
   subscriptionStatus: {
     type: String,
-    enum: ["active", "inactive"],
+    enum: ["active", "past_due", "inactive"],
     default: "inactive",
   },
   subscriptionId: String,
-  // signupMethod: {
-  //   type: String,
-  //   enum: ["local", "google"],
-  //   default: "google",
-  // },
-  // googleId: {
-  //   type: String,
-  //   unique: true,
-  //   sparse: true,
-  // },
-  // resetPasswordToken: { type: String },
-  // resetPasswordExpires: { type: Date },
+  stripeCustomerId: { type: String, index: true },
+  subscriptionPriceId: String,
+  subscriptionCurrentPeriodEnd: Date,
+  subscriptionCancelAtPeriodEnd: { type: Boolean, default: false },
+  // Creation time of the last Stripe event applied, so late deliveries are ignored
+  subscriptionSyncedAt: Date,
+  // Incremented to invalidate every access token issued so far
+  tokenVersion: { type: Number, default: 0 },
+  signupMethod: {
+    type: String,
+    enum: ["local", "google"],
+    default: "local",
+  },
+  // Subject ("sub") from the configured OpenID Connect issuer
+  googleId: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+  resetPasswordToken: { type: String },
+  resetPasswordExpires: { type: Date },
+  // No default on purpose: accounts created before verification existed
+  // have no value and are treated as verified
+  emailVerified: { type: Boolean },
+  emailVerificationToken: { type: String },
+  emailVerificationExpires: { type: Date },
+  role: {
+    type: String,
+    enum: Object.keys(ROLE_PERMISSIONS),
+    default: "user",
+  },
+  // Extra grants on top of the role, e.g. "cache:read"
+  permissions: { type: [String], default: [] },
+  // Set while an account deletion is pending; signing in again cancels it
+  deletionRequestedAt: { type: Date },
+  deletionScheduledFor: { type: Date, index: true },
+  // True if requesting deletion turned off renewal, so cancelling it turns renewal back on
+  deletionStoppedRenewal: { type: Boolean },
+  // Emailed when the account is locked after too many failed logins
+  unlockToken: { type: String },
+  unlockExpires: { type: Date },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    // TOTP secrets are stored encrypted (see utils/totp.js)
+    secret: { type: String },
+    pendingSecret: { type: String },
+    // sha256 hashes of the unused recovery codes
+    recoveryCodes: { type: [String], default: [] },
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: { type: Number },
+  },
 });
 
 UserSchema.methods.generateAuthToken = function () {
-  const token = jwt.sign({ _id: this._id }, process.env.JWTPRIVATEKEY, {
-    expiresIn: "7d",
-  });
+  const token = jwt.sign(
+    { _id: this._id, tv: this.tokenVersion || 0 },
+    process.env.JWTPRIVATEKEY,
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || "15m" }
+  );
   return token;
 };
 
+UserSchema.methods.hasPermission = function (permission) {
+  const granted = [
+    ...(ROLE_PERMISSIONS[this.role] || []),
+    ...(this.permissions || []),
+  ];
+  return granted.includes("*") || granted.includes(permission);
+};
+
+// Only the sha256 of one-time tokens is ever stored
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
 UserSchema.methods.generateResetToken = function () {
   const resetToken = crypto.randomBytes(32).toString("hex");
-  this.resetPasswordToken = crypto
-    .createHash("sha256")
-    .update(resetToken)
-    .digest("hex");
+  this.resetPasswordToken = hashToken(resetToken);
   this.resetPasswordExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
   return resetToken;
 };
 
+UserSchema.methods.generateUnlockToken = function () {
+  const unlockToken = crypto.randomBytes(32).toString("hex");
+  this.unlockToken = hashToken(unlockToken);
+  this.unlockExpires = Date.now() + 60 * 60 * 1000; // 1 hour
+  return unlockToken;
+};
+
+UserSchema.methods.generateEmailVerificationToken = function () {
+  const verificationToken = crypto.randomBytes(32).toString("hex");
+  this.emailVerificationToken = hashToken(verificationToken);
+  this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+  return verificationToken;
+};
+
 const User = mongoose.model("User", UserSchema);
 
 const validate = (data) => {
@@ -80,9 +151,39 @@ const resetPasswordValidate = (data) => {
   return schema.validate(data);
 };
 
+const updateProfileValidate = (data) => {
+  const schema = Joi.object({
+    username: Joi.string().label("Username"),
+    email: Joi.string().email().label("Email"),
+  }).or("username", "email");
+  return schema.validate(data);
+};
+
+const changePasswordValidate = (data) => {
+  const schema = Joi.object({
+    currentPassword: Joi.string().required().label("Current Password"),
+    newPassword: passwordComplexity().required().label("New Password"),
+  });
+  return schema.validate(data);
+};
+
+const deleteAccountValidate = (data) => {
+  const schema = Joi.object({
+    password: Joi.string().label("Password"),
+    // Accounts without a password (Google sign-in) confirm with their email
+    confirmEmail: Joi.string().email().label("Email"),
+  }).xor("password", "confirmEmail");
+  return schema.validate(data);
+};
+
 module.exports = {
   User,
+  ROLE_PERMISSIONS,
+  hashToken,
   validate,
   forgotPasswordValidate,
   resetPasswordValidate,
+  updateProfileValidate,
+  changePasswordValidate,
+  deleteAccountValidate,
 };
@@ -0,0 +1,101 @@
+/**
+ * Prompt templates
+ *
+ * Each template has numbered versions whose fields (system, user, prompt...)
+ * are rendered with {{variable}} interpolation; arrays are joined with ", ".
+ * Rendered prompts carry an id like "recipe@2" that is stored on generated
+ * recipes, so results can be traced back to the exact prompt text.
+ *
+ * Never edit a version that has been live - add a new one and make it
+ * active instead. The active version comes from the template, and can be
+ * pinned per deployment with PROMPT_<NAME>_VERSION (e.g. PROMPT_RECIPE_IMAGE_VERSION=1)
+ * to roll a change back.
+ */
+const TEMPLATES = {
+  recipe: require("./recipe"),
+  recipeImage: require("./recipeImage"),
+  recipeRepair: require("./recipeRepair"),
+  recipeVariation: require("./recipeVariation"),
+};
+
+const envName = (name) =>
+  `PROMPT_${name.replace(/[A-Z]/g, (c) => `_${c}`).toUpperCase()}_VERSION`;
+
+// Invalid pins are logged once, not on every render
+const warnedPins = new Set();
+
+const getTemplate = (name) => {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown prompt template "${name}"`);
+  return template;
+};
+
+/**
+ * The version used when none is requested
+ * @param {string} name - Template name
+ * @returns {number}
+ */
+const getActiveVersion = (name) => {
+  const template = getTemplate(name);
+  const pinned = process.env[envName(name)];
+  if (pinned) {
+    if (template.versions[pinned]) return Number(pinned);
+    if (!warnedPins.has(name)) {
+      warnedPins.add(name);
+      console.error(`[Prompts] Ignoring ${envName(name)}=${pinned}: no such version of "${name}"`);
+    }
+  }
+  return template.active;
+};
+
+const interpolate = (text, variables, id) =>
+  text.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+    const value = variables[key];
+    if (value === undefined || value === null) {
+      throw new Error(`Prompt ${id} is missing variable "${key}"`);
+    }
+    return Array.isArray(value) ? value.join(", ") : String(value);
+  });
+
+/**
+ * Render a template
+ * @param {string} name - Template name
+ * @param {Object} variables - Values for the {{placeholders}}
+ * @param {Object} options - { version } to render a specific version instead of the active one
+ * @returns {Object} - { id, name, version, ...rendered fields }
+ */
+const renderPrompt = (name, variables = {}, { version } = {}) => {
+  const template = getTemplate(name);
+  const selected = version || getActiveVersion(name);
+  const fields = template.versions[selected];
+  if (!fields) throw new Error(`Unknown version ${selected} of prompt "${name}"`);
+
+  const id = `${name}@${selected}`;
+  const rendered = { id, name, version: Number(selected) };
+  for (const [field, text] of Object.entries(fields)) {
+    rendered[field] = interpolate(text, variables, id);
+  }
+  return rendered;
+};
+
+/**
+ * Every template with its versions and the active one
+ * @returns {Array<Object>}
+ */
+const listPrompts = () =>
+  Object.values(TEMPLATES).map((template) => ({
+    name: template.name,
+    activeVersion: getActiveVersion(template.name),
+    defaultVersion: template.active,
+    versions: Object.keys(template.versions).map(Number),
+    pinnedBy: template.versions[process.env[envName(template.name)]]
+      ? envName(template.name)
+      : null,
+  }));
+
+module.exports = {
+  TEMPLATES,
+  getActiveVersion,
+  renderPrompt,
+  listPrompts,
+};
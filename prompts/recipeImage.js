@@ -0,0 +1,19 @@
+/**
+ * Image prompt for a generated recipe
+ * Variables: name, glassware, keyIngredients, description
+ */
+module.exports = {
+  name: "recipeImage",
+  active: 1,
+  versions: {
+    1: {
+      prompt: `A stunning, professional photograph of a {{name}} cocktail in a {{glassware}}.
+
+The cocktail is made with {{keyIngredients}} and features {{description}}.
+
+Shot with professional studio lighting, shallow depth of field, on a sophisticated bar counter with premium bar tools visible in the background. The drink should look refreshing and appetizing with perfect garnish placement.
+
+Style: high-end cocktail photography, dramatic lighting, rich colors, photorealistic, 4K quality.`,
+    },
+  },
+};
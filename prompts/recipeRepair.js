@@ -0,0 +1,16 @@
+/**
+ * Follow-up sent when a generated recipe fails validation
+ * Variables: errors
+ */
+module.exports = {
+  name: "recipeRepair",
+  active: 1,
+  versions: {
+    1: {
+      user: `Your response failed validation:
+{{errors}}
+
+Reply with the complete corrected recipe as ONLY valid JSON in the same format, with every field filled in.`,
+    },
+  },
+};
@@ -0,0 +1,14 @@
+/**
+ * Added to the recipe prompt when several variations are generated at once,
+ * so each one heads in a different direction
+ * Variables: index, count, style
+ */
+module.exports = {
+  name: "recipeVariation",
+  active: 1,
+  versions: {
+    1: {
+      user: `This is variation {{index}} of {{count}} for the same preferences. Give it a {{style}} direction: a different name, base spirit or structure, and character from the usual take on these ingredients.`,
+    },
+  },
+};
@@ -0,0 +1,59 @@
+/**
+ * LLM providers
+ *
+ * Every provider exposes the same async interface:
+ * - chat({ model, messages, temperature, maxTokens, responseFormat, operation }) -> { content, usage, model }
+ * - chatStream(same params) -> async iterable of { content } chunks followed by one { usage }
+ * - vision({ model, system, prompt, imageUrl, temperature, maxTokens, responseFormat, operation }) -> { content, usage, model }
+ * - generateImage({ prompt, model, size, quality, style }) -> { url, model }
+ *
+ * Messages use the OpenAI chat format and usage uses OpenAI's
+ * { prompt_tokens, completion_tokens, total_tokens } shape. `operation`
+ * (recipe, chat, imageAnalysis) is a hint only the mock provider uses.
+ *
+ * Select with LLM_PROVIDER ("openai" or "mock"); tests default to mock.
+ */
+const openaiProvider = require("./openaiProvider");
+const mockProvider = require("./mockProvider");
+
+const PROVIDERS = {
+  openai: openaiProvider,
+  mock: mockProvider,
+};
+
+let activeProvider = null;
+
+/**
+ * Resolve the provider configured in the environment
+ * @returns {Object}
+ */
+const getProvider = () => {
+  if (activeProvider) return activeProvider;
+
+  const name =
+    process.env.LLM_PROVIDER ||
+    (process.env.NODE_ENV === "test" ? "mock" : "openai");
+
+  if (!PROVIDERS[name]) {
+    throw new Error(
+      `Unknown LLM_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`
+    );
+  }
+
+  activeProvider = PROVIDERS[name];
+  return activeProvider;
+};
+
+/**
+ * Override the active provider (useful for tests)
+ * @param {Object|null} provider - Provider implementation, or null to reset
+ */
+const setProvider = (provider) => {
+  activeProvider = provider;
+};
+
+module.exports = {
+  PROVIDERS,
+  getProvider,
+  setProvider,
+};
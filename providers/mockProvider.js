@@ -0,0 +1,116 @@
+/**
+ * Deterministic offline provider backed by the fixtures in ./fixtures
+ *
+ * Responses are picked by hashing the request, so the same input always
+ * returns the same output and nothing leaves the process. Token usage is
+ * estimated from text length (about 4 characters per token) so metering
+ * and budgets behave as they would against a real provider.
+ */
+const crypto = require("crypto");
+
+const FIXTURES = {
+  recipe: require("./fixtures/recipe.json"),
+  chat: require("./fixtures/chat.json"),
+  imageAnalysis: require("./fixtures/imageAnalysis.json"),
+};
+
+// Streamed content is split into chunks of this many characters
+const STREAM_CHUNK_SIZE = 24;
+
+const seedFor = (value) =>
+  crypto.createHash("sha256").update(JSON.stringify(value)).digest().readUInt32BE(0);
+
+const pick = (list, value) => list[seedFor(value) % list.length];
+
+// Text of a message, skipping image parts
+const textOf = (content) =>
+  typeof content === "string"
+    ? content
+    : (content || []).filter((part) => part.type === "text").map((part) => part.text).join("\n");
+
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+const usageFor = (messages, content) => {
+  const prompt_tokens = estimateTokens(messages.map((m) => textOf(m.content)).join("\n"));
+  const completion_tokens = estimateTokens(content);
+  return { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens };
+};
+
+const respond = ({ operation = "chat", messages }) => {
+  const fixtures = FIXTURES[operation] || FIXTURES.chat;
+  const fixture = pick(fixtures, { operation, messages: messages.map((m) => textOf(m.content)) });
+  return typeof fixture === "string" ? fixture : JSON.stringify(fixture, null, 2);
+};
+
+/**
+ * Chat completion
+ * @param {Object} params - { model, messages, operation } (operation selects the fixture set)
+ * @returns {Promise<Object>} - { content, usage, model }
+ */
+const chat = async ({ model, messages, operation }) => {
+  const content = respond({ operation, messages });
+  return { content, usage: usageFor(messages, content), model };
+};
+
+/**
+ * Streaming chat completion - the same content as chat(), in small chunks
+ * @param {Object} params - Same as chat()
+ * @returns {Promise<AsyncIterable<Object>>} - Yields { content } chunks, then one { usage }
+ */
+const chatStream = async ({ messages, operation }) => {
+  const content = respond({ operation, messages });
+
+  return (async function* () {
+    for (let i = 0; i < content.length; i += STREAM_CHUNK_SIZE) {
+      // Yield to the event loop between chunks like a network stream would
+      await new Promise((resolve) => setImmediate(resolve));
+      yield { content: content.slice(i, i + STREAM_CHUNK_SIZE) };
+    }
+    yield { usage: usageFor(messages, content) };
+  })();
+};
+
+/**
+ * Vision request - picks an analysis fixture by hashing the image
+ * @param {Object} params - { model, system, prompt, imageUrl, operation }
+ * @returns {Promise<Object>} - { content, usage, model }
+ */
+const vision = async ({ model, system, prompt, imageUrl, operation = "imageAnalysis" }) => {
+  const fixtures = FIXTURES[operation] || FIXTURES.imageAnalysis;
+  const content = JSON.stringify(pick(fixtures, imageUrl), null, 2);
+  const messages = [{ content: system || "" }, { content: prompt || "" }];
+  return { content, usage: usageFor(messages, content), model };
+};
+
+const escapeXml = (text) =>
+  text.replace(/[<>&"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Image generation - returns an SVG placeholder as a data URL
+ * @param {Object} params - { prompt, model, size }
+ * @returns {Promise<Object>} - { url, model }
+ */
+const generateImage = async ({ prompt, model, size = "1024x1024" }) => {
+  const [width, height] = size.split("x").map(Number);
+  const hue = seedFor(prompt) % 360;
+  const label = escapeXml(prompt.trim().split(/\s+/).slice(0, 8).join(" "));
+
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<rect width="100%" height="100%" fill="hsl(${hue},55%,45%)"/>` +
+    `<text x="50%" y="50%" fill="#fff" font-family="sans-serif" font-size="${Math.round(width / 28)}" ` +
+    `text-anchor="middle">${label}</text></svg>`;
+
+  return {
+    url: `data:image/svg+xml;base64,${Buffer.from(svg).toString("base64")}`,
+    model,
+  };
+};
+
+module.exports = {
+  name: "mock",
+  chat,
+  chatStream,
+  vision,
+  generateImage,
+};
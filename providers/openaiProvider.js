@@ -0,0 +1,106 @@
+/**
+ * OpenAI implementation of the LLM provider interface
+ */
+const { OpenAI } = require("openai");
+
+let client = null;
+
+// Created on first use so the app can start without OPENAI_API_KEY when another provider is selected
+const getClient = () => {
+  if (!client) {
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return client;
+};
+
+const chatParams = ({ model, messages, temperature, maxTokens, responseFormat }) => ({
+  model,
+  messages,
+  ...(temperature != null && { temperature }),
+  ...(maxTokens != null && { max_tokens: maxTokens }),
+  ...(responseFormat && { response_format: responseFormat }),
+});
+
+/**
+ * Chat completion
+ * @param {Object} params - { model, messages, temperature, maxTokens, responseFormat }
+ * @returns {Promise<Object>} - { content, usage, model }
+ */
+const chat = async (params) => {
+  const response = await getClient().chat.completions.create(chatParams(params));
+  return {
+    content: response.choices[0].message.content,
+    usage: response.usage,
+    model: response.model,
+  };
+};
+
+/**
+ * Streaming chat completion
+ * @param {Object} params - Same as chat()
+ * @returns {Promise<AsyncIterable<Object>>} - Yields { content } chunks, then one { usage }
+ */
+const chatStream = async (params) => {
+  const stream = await getClient().chat.completions.create({
+    ...chatParams(params),
+    stream: true,
+    stream_options: { include_usage: true },
+  });
+
+  return (async function* () {
+    for await (const chunk of stream) {
+      const content = chunk.choices[0]?.delta?.content;
+      if (content) yield { content };
+      // The final chunk carries token usage and no choices
+      if (chunk.usage) yield { usage: chunk.usage };
+    }
+  })();
+};
+
+/**
+ * Ask a vision model about an image
+ * @param {Object} params - { model, system, prompt, imageUrl (http or data URL), temperature, maxTokens, responseFormat }
+ * @returns {Promise<Object>} - { content, usage, model }
+ */
+const vision = ({ model, system, prompt, imageUrl, temperature, maxTokens, responseFormat }) =>
+  chat({
+    model,
+    temperature,
+    maxTokens,
+    responseFormat,
+    messages: [
+      ...(system ? [{ role: "system", content: system }] : []),
+      {
+        role: "user",
+        content: [
+          { type: "image_url", image_url: { url: imageUrl } },
+          { type: "text", text: prompt },
+        ],
+      },
+    ],
+  });
+
+/**
+ * Generate one image
+ * @param {Object} params - { prompt, model, size, quality, style }
+ * @returns {Promise<Object>} - { url, model }
+ */
+const generateImage = async ({ prompt, model, size, quality, style }) => {
+  const response = await getClient().images.generate({
+    prompt,
+    n: 1,
+    model,
+    ...(size && { size }),
+    ...(quality && { quality }),
+    ...(style && { style }),
+  });
+  return { url: response.data?.[0]?.url || null, model };
+};
+
+module.exports = {
+  name: "openai",
+  chat,
+  chatStream,
+  vision,
+  generateImage,
+};
@@ -0,0 +1,544 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getQueueStatistics,
+  updateUserRole,
+  getAuditLog,
+  getStripeEvents,
+  replayStripeEvent,
+  getStripeEventStats,
+  getAiUsageReport,
+  getAiStatus,
+  pauseAi,
+  resumeAi,
+  updateAiBudgets,
+  getAiConfiguration,
+  updateAiConfiguration,
+  getPromptTemplates,
+  getExperiments,
+  addExperiment,
+  beginExperiment,
+  endExperiment,
+  getExperimentResults,
+} = require("../controllers/adminController");
+const { authMiddleware, requireRole } = require("../middleware/auth");
+
+// Everything under /api/admin is admin only
+router.use(authMiddleware, requireRole("admin"));
+
+/**
+ * @swagger
+ * /api/admin/queue/stats:
+ *   get:
+ *     summary: Get image generation queue statistics
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Queue statistics
+ *       403:
+ *         description: Access denied
+ */
+router.get("/queue/stats", getQueueStatistics);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/role:
+ *   patch:
+ *     summary: Change a user's role or extra permissions
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, admin]
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["cache:read"]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: User not found
+ */
+router.patch("/users/:userId/role", updateUserRole);
+
+/**
+ * @swagger
+ * /api/admin/audit:
+ *   get:
+ *     summary: List authentication audit events
+ *     description: Logins, failures, lockouts, unlocks and password resets, newest first.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: username
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *           example: login_failure
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Audit events
+ *       403:
+ *         description: Access denied
+ */
+router.get("/audit", getAuditLog);
+
+/**
+ * @swagger
+ * /api/admin/stripe/events:
+ *   get:
+ *     summary: List received Stripe webhook events
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [received, processing, processed, ignored, failed]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           example: invoice.payment_failed
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Stripe events (without payloads)
+ *       403:
+ *         description: Access denied
+ */
+router.get("/stripe/events", getStripeEvents);
+
+/**
+ * @swagger
+ * /api/admin/stripe/events/{eventId}/replay:
+ *   post:
+ *     summary: Replay a failed Stripe webhook event
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: evt_1PZ...
+ *     responses:
+ *       200:
+ *         description: Event processed
+ *       404:
+ *         description: No failed event with that ID
+ *       500:
+ *         description: Event failed again
+ */
+router.post("/stripe/events/:eventId/replay", replayStripeEvent);
+
+/**
+ * @swagger
+ * /api/admin/stripe/stats:
+ *   get:
+ *     summary: Stripe webhook counts and processing lag
+ *     description: |
+ *       Counts by status plus average/max lag from Stripe creating an event
+ *       to it being processed, and the oldest event still unprocessed.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: hours
+ *         schema:
+ *           type: integer
+ *           default: 24
+ *     responses:
+ *       200:
+ *         description: Webhook statistics
+ */
+router.get("/stripe/stats", getStripeEventStats);
+
+/**
+ * @swagger
+ * /api/admin/usage:
+ *   get:
+ *     summary: AI usage and estimated cost by day and model
+ *     description: Requests, tokens, images, estimated cost and distinct users for each day/model pair.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Usage report
+ *       400:
+ *         description: Invalid date range
+ */
+router.get("/usage", getAiUsageReport);
+
+/**
+ * @swagger
+ * /api/admin/ai:
+ *   get:
+ *     summary: AI kill switch state, spend budgets and current spend
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: AI status
+ */
+router.get("/ai", getAiStatus);
+
+/**
+ * @swagger
+ * /api/admin/ai/pause:
+ *   post:
+ *     summary: Pause all AI calls (kill switch)
+ *     description: Every AI endpoint returns 503 until resumed. Takes effect on all instances within a few seconds.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: AI paused
+ */
+router.post("/ai/pause", pauseAi);
+
+/**
+ * @swagger
+ * /api/admin/ai/resume:
+ *   post:
+ *     summary: Resume AI calls
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: AI resumed
+ */
+router.post("/ai/resume", resumeAi);
+
+/**
+ * @swagger
+ * /api/admin/ai/budget:
+ *   patch:
+ *     summary: Change AI spend budgets (USD)
+ *     description: 0 means no limit; null reverts to the AI_BUDGET_* env default.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               globalDaily:
+ *                 type: number
+ *                 nullable: true
+ *               globalMonthly:
+ *                 type: number
+ *                 nullable: true
+ *               userDaily:
+ *                 type: number
+ *                 nullable: true
+ *               userMonthly:
+ *                 type: number
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Budgets updated
+ *       400:
+ *         description: Validation error
+ */
+router.patch("/ai/budget", updateAiBudgets);
+
+/**
+ * @swagger
+ * /api/admin/ai/config:
+ *   get:
+ *     summary: Model settings per AI operation
+ *     description: Effective model, temperature and maxTokens for recipe, recipeStream, chat and vision, and the image preset, each with its source (default, env or override), plus the allowed values.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: AI configuration
+ *   patch:
+ *     summary: Override model settings per AI operation
+ *     description: Takes effect on all instances within a few seconds. null reverts a field, or a whole operation, to its env/default value.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             example:
+ *               recipe:
+ *                 model: gpt-4o
+ *                 temperature: 0.9
+ *               chat: null
+ *               image:
+ *                 preset: fast
+ *             properties:
+ *               recipe:
+ *                 type: object
+ *                 nullable: true
+ *                 description: model, temperature (0-2) and maxTokens (1-4096)
+ *               recipeStream:
+ *                 type: object
+ *                 nullable: true
+ *                 description: model, temperature (0-2) and maxTokens (1-4096)
+ *               chat:
+ *                 type: object
+ *                 nullable: true
+ *                 description: model, temperature (0-2) and maxTokens (1-4096)
+ *               vision:
+ *                 type: object
+ *                 nullable: true
+ *                 description: model, temperature (0-2) and maxTokens (1-4096)
+ *               image:
+ *                 type: object
+ *                 nullable: true
+ *                 properties:
+ *                   preset:
+ *                     type: string
+ *                     enum: [fast, balanced, quality]
+ *                     nullable: true
+ *     responses:
+ *       200:
+ *         description: AI config updated
+ *       400:
+ *         description: Validation error (e.g. a model that isn't allowed)
+ */
+router.get("/ai/config", getAiConfiguration);
+router.patch("/ai/config", updateAiConfiguration);
+
+/**
+ * @swagger
+ * /api/admin/ai/prompts:
+ *   get:
+ *     summary: Prompt templates and their versions
+ *     description: Shows the live version of each template and whether it is pinned by a PROMPT_*_VERSION env var. Generated recipes record the version they used in promptVersion / imagePromptVersion.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Prompt templates
+ */
+router.get("/ai/prompts", getPromptTemplates);
+
+/**
+ * @swagger
+ * /api/admin/experiments:
+ *   get:
+ *     summary: List prompt experiments
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Experiments, newest first
+ *   post:
+ *     summary: Create a prompt experiment
+ *     description: Creates a draft A/B test on recipe generation. Once started, each user is assigned a variant (stable per user, in proportion to the weights) and their generated recipes use that variant's prompt version, model and temperature. Unset variant fields use the live settings.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - key
+ *               - variants
+ *             example:
+ *               key: recipe-prompt-v2
+ *               description: New recipe prompt against the current one
+ *               variants:
+ *                 - key: control
+ *                 - key: v2
+ *                   promptVersion: 2
+ *                   temperature: 0.7
+ *             properties:
+ *               key:
+ *                 type: string
+ *                 description: Lowercase letters, digits and dashes
+ *               description:
+ *                 type: string
+ *               variants:
+ *                 type: array
+ *                 minItems: 2
+ *                 maxItems: 5
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - key
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                     weight:
+ *                       type: integer
+ *                       minimum: 1
+ *                       maximum: 100
+ *                       default: 1
+ *                     promptVersion:
+ *                       type: integer
+ *                       description: Version of the recipe prompt template
+ *                     model:
+ *                       type: string
+ *                     temperature:
+ *                       type: number
+ *                       minimum: 0
+ *                       maximum: 2
+ *     responses:
+ *       201:
+ *         description: Experiment created
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: An experiment with this key already exists
+ */
+router.get("/experiments", getExperiments);
+router.post("/experiments", addExperiment);
+
+/**
+ * @swagger
+ * /api/admin/experiments/{key}/start:
+ *   post:
+ *     summary: Start a draft experiment
+ *     description: Only one experiment can run at a time. Takes effect on all instances within a few seconds.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Experiment started
+ *       404:
+ *         description: No draft experiment with this key
+ *       409:
+ *         description: Another experiment is already running
+ */
+router.post("/experiments/:key/start", beginExperiment);
+
+/**
+ * @swagger
+ * /api/admin/experiments/{key}/stop:
+ *   post:
+ *     summary: Stop a running experiment
+ *     description: Stopped experiments can't be restarted, but their report stays available.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Experiment stopped
+ *       404:
+ *         description: No running experiment with this key
+ */
+router.post("/experiments/:key/stop", endExperiment);
+
+/**
+ * @swagger
+ * /api/admin/experiments/{key}/report:
+ *   get:
+ *     summary: Experiment results per variant
+ *     description: For each variant - generations, failures and failureRate, how many generated recipes were saved and saveRate (saved / successful generations), and the number of ratings and averageRating of the saved recipes.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Experiment report
+ *       404:
+ *         description: Experiment not found
+ */
+router.get("/experiments/:key/report", getExperimentResults);
+
+module.exports = router;
@@ -1,8 +1,43 @@
 const router = require("express").Router();
 const jwt = require("jsonwebtoken");
-const { User } = require("../models/user");
+const {
+  User,
+  hashToken,
+  forgotPasswordValidate,
+  resetPasswordValidate,
+} = require("../models/user");
 const Joi = require("joi");
 const bcrypt = require("bcrypt");
+const { sendMail } = require("../utils/mailer");
+const { authMiddleware } = require("../middleware/auth");
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllForUser,
+} = require("../service/tokenService");
+const {
+  createAuthorizationUrl,
+  exchangeCode,
+  findOrCreateUser,
+} = require("../service/oidcService");
+const { cancelDeletion } = require("../service/accountDeletionService");
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockUsername,
+} = require("../service/loginProtectionService");
+const { recordAuditEvent } = require("../service/auditService");
+const {
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  createChallengeToken,
+  verifyChallengeToken,
+} = require("../service/twoFactorService");
 
 /**
  * @swagger
@@ -54,13 +89,28 @@ const bcrypt = require("bcrypt");
  *                     username:
  *                       type: string
  *                       example: johndoe
+ *                     emailVerified:
+ *                       type: boolean
  *                     token:
  *                       type: string
+ *                       description: Short-lived access token
  *                       example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Single-use token for POST /api/auth/refresh
+ *                 twoFactorRequired:
+ *                   type: boolean
+ *                   description: |
+ *                     When true, no user/tokens are returned. Send `challengeToken`
+ *                     with a TOTP or recovery code to POST /api/auth/2fa/verify.
+ *                 challengeToken:
+ *                   type: string
  *       400:
  *         description: Validation error (e.g., missing username/password)
  *       401:
  *         description: Invalid username or password
+ *       429:
+ *         description: Too many failed attempts (see Retry-After header)
  *       500:
  *         description: Internal server error
  */
@@ -71,33 +121,844 @@ router.post("/", async (req, res) => {
     if (error)
       return res.status(400).send({ message: error.details[0].message });
 
-    const user = await User.findOne({ username: req.body.username });
-    if (!user)
+    const { username } = req.body;
+    const attempt = { username, ip: req.ip };
+
+    const check = await checkLoginAllowed(attempt);
+    if (!check.allowed) {
+      await recordAuditEvent(req, "login_blocked", {
+        username,
+        details: { reason: check.reason },
+      });
+      res.set("Retry-After", String(check.retryAfter));
+      return res.status(429).send({
+        message:
+          check.reason === "locked"
+            ? "Too many failed attempts. Try again later or use the unlock link sent to your email."
+            : "Too many failed attempts. Please wait before trying again.",
+        retryAfter: check.retryAfter,
+      });
+    }
+
+    const user = await User.findOne({ username });
+    // Accounts created through Google sign-in have no password
+    const validPassword =
+      user &&
+      user.password &&
+      (await bcrypt.compare(req.body.password, user.password));
+
+    if (!validPassword) {
+      await handleFailedLogin(req, user, attempt);
       return res.status(401).send({ message: "Invalid Username or Password" });
+    }
+
+    // Password was right - the second factor is still needed
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(200).send({
+        code: "00",
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        challengeToken: createChallengeToken(user),
+      });
+    }
+
+    await completeLogin(req, res, user, attempt);
+  } catch (error) {
+    res.status(500).send({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link
+ *     description: |
+ *       Emails a single-use reset link valid for 10 minutes. Always responds
+ *       with 200 so the endpoint can't be used to discover registered emails.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: johndoe@example.com
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Validation error
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const { error } = forgotPasswordValidate(req.body);
+    if (error)
+      return res.status(400).send({ message: error.details[0].message });
+
+    const user = await User.findOne({ email: req.body.email });
+    if (user) {
+      const resetToken = user.generateResetToken();
+      await user.save();
+
+      const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
+      await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: `Hi ${user.username || "there"},\n\nWe received a request to reset your password. Use the link below within 10 minutes to choose a new one:\n\n${resetUrl}\n\nIf you didn't request this, you can ignore this email.`,
+      });
+    }
 
-    const validPassword = await bcrypt.compare(
-      req.body.password,
-      user.password
+    res.status(200).send({
+      code: "00",
+      message: "If an account with that email exists, a reset link has been sent",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).send({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password/{token}:
+ *   post:
+ *     summary: Reset password using an emailed token
+ *     tags:
+ *       - Authentication
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Validation error or invalid/expired token
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/reset-password/:token", async (req, res) => {
+  try {
+    const { error } = resetPasswordValidate(req.body);
+    if (error)
+      return res.status(400).send({ message: error.details[0].message });
+
+    const user = await User.findOne({
+      resetPasswordToken: hashToken(req.params.token),
+      resetPasswordExpires: { $gt: Date.now() },
+    });
+    if (!user)
+      return res
+        .status(400)
+        .send({ message: "Reset link is invalid or has expired" });
+
+    const salt = await bcrypt.genSalt(Number(process.env.SALT));
+    user.password = await bcrypt.hash(req.body.password, salt);
+
+    // Tokens are single use
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
+    await user.save();
+
+    // Sessions opened with the old password shouldn't survive a reset
+    await revokeAllForUser(user._id, "password-reset");
+    await unlockUsername(user.username);
+    await recordAuditEvent(req, "password_reset", {
+      userId: user._id,
+      username: user.username,
+    });
+
+    res
+      .status(200)
+      .send({ code: "00", message: "Password has been reset successfully" });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).send({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for new tokens
+ *     description: |
+ *       Refresh tokens are single use - every call returns a new pair.
+ *       Presenting a token that was already used revokes every token
+ *       issued from the same login.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Refresh token is invalid, expired or revoked
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/refresh", async (req, res) => {
+  try {
+    const { error } = refreshTokenValidate(req.body);
+    if (error)
+      return res.status(400).send({ message: error.details[0].message });
+
+    const result = await rotateRefreshToken(
+      req.body.refreshToken,
+      clientContext(req)
     );
-    if (!validPassword)
-      return res.status(401).send({ message: "Invalid Username or Password" });
+    if (!result)
+      return res
+        .status(401)
+        .send({ message: "Invalid or expired refresh token" });
 
-    const token = user.generateAuthToken();
     res.status(200).send({
       code: "00",
-      message: "Logged in successfully",
-      user: {
-        id: user._id,
-        email: user.email,
+      message: "Token refreshed successfully",
+      token: result.token,
+      refreshToken: result.refreshToken,
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res.status(500).send({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out the current device
+ *     description: Revokes the refresh token and every token rotated from the same login.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       400:
+ *         description: Validation error
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/logout", async (req, res) => {
+  try {
+    const { error } = refreshTokenValidate(req.body);
+    if (error)
+      return res.status(400).send({ message: error.details[0].message });
+
+    await revokeRefreshToken(req.body.refreshToken);
+    res.status(200).send({ code: "00", message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).send({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out all devices
+ *     description: Revokes every refresh token and invalidates all access tokens for the user.
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out everywhere
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/logout-all", authMiddleware, async (req, res) => {
+  try {
+    await revokeAllForUser(req.user._id);
+    res
+      .status(200)
+      .send({ code: "00", message: "Logged out from all devices" });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).send({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/login:
+ *   get:
+ *     summary: Start Google / OpenID Connect sign-in
+ *     description: |
+ *       Redirects the browser to the identity provider (authorization code flow with PKCE)
+ *       and sets a short-lived httpOnly `oidc_login` cookie. The callback only completes
+ *       in the browser holding that cookie.
+ *     tags:
+ *       - Authentication
+ *     responses:
+ *       302:
+ *         description: Redirect to the identity provider
+ *       500:
+ *         description: Sign-in is not configured or the provider is unreachable
+ */
+router.get("/oidc/login", async (req, res) => {
+  try {
+    const { url, loginToken } = await createAuthorizationUrl();
+    // Ties the callback to this browser; Lax so it survives the provider's redirect back
+    res.cookie(OIDC_LOGIN_COOKIE, loginToken, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: process.env.NODE_ENV === "production",
+      maxAge: 10 * 60 * 1000,
+      path: `${req.baseUrl}/oidc`,
+    });
+    res.redirect(url);
+  } catch (error) {
+    console.error("OIDC login error:", error);
+    res.status(500).send({ message: "Unable to start sign-in" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/callback:
+ *   get:
+ *     summary: Identity provider callback
+ *     description: |
+ *       Exchanges the authorization code, links or creates the user by verified
+ *       email, and redirects to `FRONTEND_URL/auth/callback` with the tokens in
+ *       the URL fragment (or an `error` on failure).
+ *     tags:
+ *       - Authentication
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect back to the frontend
+ */
+router.get("/oidc/callback", async (req, res) => {
+  const callbackUrl = `${process.env.FRONTEND_URL}/auth/callback`;
+  const loginToken = readCookie(req, OIDC_LOGIN_COOKIE);
+  // A login can only be finished once
+  res.clearCookie(OIDC_LOGIN_COOKIE, { path: `${req.baseUrl}/oidc` });
+
+  try {
+    if (req.query.error) {
+      throw new Error(`Identity provider returned "${req.query.error}"`);
+    }
+
+    const claims = await exchangeCode(req.query.code, req.query.state, loginToken);
+    const user = await findOrCreateUser(claims);
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      const challenge = new URLSearchParams({
+        twoFactorRequired: "true",
+        challengeToken: createChallengeToken(user),
+      });
+      return res.redirect(`${callbackUrl}#${challenge.toString()}`);
+    }
+
+    await cancelDeletion(user);
+    await recordAuditEvent(req, "login_success", {
+      userId: user._id,
+      username: user.username,
+      details: { method: "oidc" },
+    });
+    const { token, refreshToken } = await issueTokens(user, clientContext(req));
+
+    // Tokens go in the fragment so they never reach server logs
+    const fragment = new URLSearchParams({
+      token,
+      refreshToken,
+      id: user._id.toString(),
+    });
+    res.redirect(`${callbackUrl}#${fragment.toString()}`);
+  } catch (error) {
+    console.error("OIDC callback error:", error);
+    res.redirect(`${callbackUrl}#error=sign_in_failed`);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/unlock/{token}:
+ *   post:
+ *     summary: Unlock an account after too many failed logins
+ *     description: Uses the single-use link emailed when the account was locked.
+ *     tags:
+ *       - Authentication
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       400:
+ *         description: Unlock link is invalid or has expired
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/unlock/:token", async (req, res) => {
+  try {
+    const user = await User.findOne({
+      unlockToken: hashToken(req.params.token),
+      unlockExpires: { $gt: Date.now() },
+    });
+    if (!user)
+      return res
+        .status(400)
+        .send({ message: "Unlock link is invalid or has expired" });
+
+    await unlockUsername(user.username);
+    user.unlockToken = undefined;
+    user.unlockExpires = undefined;
+    await user.save();
+
+    await recordAuditEvent(req, "account_unlocked", {
+      userId: user._id,
+      username: user.username,
+    });
+
+    res.status(200).send({ code: "00", message: "Your account has been unlocked" });
+  } catch (error) {
+    console.error("Unlock account error:", error);
+    res.status(500).send({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete a login with a second factor
+ *     description: Exchanges the `challengeToken` from POST /api/auth plus a TOTP code or recovery code for tokens.
+ *     tags:
+ *       - Two-Factor Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: abcd-efgh-ijkl
+ *     responses:
+ *       200:
+ *         description: Logged in (same body as POST /api/auth)
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Challenge expired or code invalid
+ *       429:
+ *         description: Too many failed attempts
+ */
+router.post("/2fa/verify", async (req, res) => {
+  try {
+    const { error } = twoFactorLoginValidate(req.body);
+    if (error)
+      return res.status(400).send({ message: error.details[0].message });
+
+    const challenge = verifyChallengeToken(req.body.challengeToken);
+    const user = challenge && (await User.findById(challenge.sub));
+    if (!user || challenge.tv !== (user.tokenVersion || 0))
+      return res
+        .status(401)
+        .send({ message: "Login session expired, please sign in again" });
+
+    const attempt = { username: user.username, ip: req.ip };
+    const check = await checkLoginAllowed(attempt);
+    if (!check.allowed) {
+      res.set("Retry-After", String(check.retryAfter));
+      return res.status(429).send({
+        message: "Too many failed attempts. Please wait before trying again.",
+        retryAfter: check.retryAfter,
+      });
+    }
+
+    const verified = await verifySecondFactor(user, req.body);
+    if (!verified) {
+      await handleFailedLogin(req, user, attempt);
+      return res.status(401).send({ message: "Invalid authentication code" });
+    }
+
+    if (req.body.recoveryCode) {
+      await recordAuditEvent(req, "recovery_code_used", {
+        userId: user._id,
         username: user.username,
-        token,
-      },
+        details: { remaining: user.twoFactor.recoveryCodes.length },
+      });
+    }
+
+    await completeLogin(req, res, user, attempt);
+  } catch (error) {
+    console.error("2FA verify error:", error);
+    res.status(500).send({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: |
+ *       Returns a new TOTP secret as an `otpauth://` URI and a QR code data URL
+ *       for authenticator apps. 2FA is not active until POST /api/auth/2fa/enable.
+ *     tags:
+ *       - Two-Factor Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Enrollment data
+ *       409:
+ *         description: 2FA is already enabled
+ */
+router.post("/2fa/setup", authMiddleware, async (req, res) => {
+  try {
+    if (req.user.twoFactor.enabled)
+      return res
+        .status(409)
+        .send({ message: "Two-factor authentication is already enabled" });
+
+    const { secret, otpauthUrl, qrCode } = await beginEnrollment(req.user);
+    res.status(200).send({ code: "00", secret, otpauthUrl, qrCode });
+  } catch (error) {
+    console.error("2FA setup error:", error);
+    res.status(500).send({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment and turn on two-factor authentication
+ *     description: Returns recovery codes. They are only shown once.
+ *     tags:
+ *       - Two-Factor Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: 2FA enabled, recovery codes returned
+ *       400:
+ *         description: Invalid code or no enrollment in progress
+ */
+router.post("/2fa/enable", authMiddleware, async (req, res) => {
+  try {
+    const { error } = twoFactorCodeValidate(req.body);
+    if (error)
+      return res.status(400).send({ message: error.details[0].message });
+
+    const recoveryCodes = await confirmEnrollment(req.user, req.body.code);
+    if (!recoveryCodes)
+      return res.status(400).send({ message: "Invalid authentication code" });
+
+    await recordAuditEvent(req, "2fa_enabled", {
+      userId: req.user._id,
+      username: req.user.username,
+    });
+
+    res.status(200).send({
+      code: "00",
+      message: "Two-factor authentication enabled",
+      recoveryCodes,
     });
   } catch (error) {
+    console.error("2FA enable error:", error);
     res.status(500).send({ message: "Internal server error" });
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     description: Requires the account password (if it has one) and a current TOTP or recovery code.
+ *     tags:
+ *       - Two-Factor Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       400:
+ *         description: Validation error or 2FA not enabled
+ *       401:
+ *         description: Password or code is incorrect
+ */
+router.post("/2fa/disable", authMiddleware, async (req, res) => {
+  try {
+    const { error } = twoFactorManageValidate(req.body);
+    if (error)
+      return res.status(400).send({ message: error.details[0].message });
+
+    const user = req.user;
+    if (!user.twoFactor.enabled)
+      return res
+        .status(400)
+        .send({ message: "Two-factor authentication is not enabled" });
+
+    const validPassword =
+      !user.password ||
+      (req.body.password &&
+        (await bcrypt.compare(req.body.password, user.password)));
+    if (!validPassword || !(await verifySecondFactor(user, req.body)))
+      return res
+        .status(401)
+        .send({ message: "Password or authentication code is incorrect" });
+
+    await disableTwoFactor(user);
+    await recordAuditEvent(req, "2fa_disabled", {
+      userId: user._id,
+      username: user.username,
+    });
+
+    res
+      .status(200)
+      .send({ code: "00", message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("2FA disable error:", error);
+    res.status(500).send({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Invalidates all previous recovery codes. Requires a current TOTP code.
+ *     tags:
+ *       - Two-Factor Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Validation error or 2FA not enabled
+ *       401:
+ *         description: Invalid code
+ */
+router.post("/2fa/recovery-codes", authMiddleware, async (req, res) => {
+  try {
+    const { error } = twoFactorCodeValidate(req.body);
+    if (error)
+      return res.status(400).send({ message: error.details[0].message });
+
+    const user = req.user;
+    if (!user.twoFactor.enabled)
+      return res
+        .status(400)
+        .send({ message: "Two-factor authentication is not enabled" });
+
+    if (!(await verifySecondFactor(user, { code: req.body.code })))
+      return res.status(401).send({ message: "Invalid authentication code" });
+
+    const recoveryCodes = await regenerateRecoveryCodes(user);
+    await recordAuditEvent(req, "2fa_recovery_codes_regenerated", {
+      userId: user._id,
+      username: user.username,
+    });
+
+    res.status(200).send({ code: "00", recoveryCodes });
+  } catch (error) {
+    console.error("2FA recovery codes error:", error);
+    res.status(500).send({ message: "Internal server error" });
+  }
+});
+
+// Finish a successful sign-in and send the tokens
+const completeLogin = async (req, res, user, attempt) => {
+  await recordLoginSuccess(attempt);
+  await recordAuditEvent(req, "login_success", {
+    userId: user._id,
+    username: user.username,
+  });
+
+  // Signing in during the grace period keeps the account
+  await cancelDeletion(user);
+
+  const { token, refreshToken } = await issueTokens(user, clientContext(req));
+  res.status(200).send({
+    code: "00",
+    message: "Logged in successfully",
+    user: {
+      id: user._id,
+      email: user.email,
+      username: user.username,
+      emailVerified: user.emailVerified !== false,
+      token,
+      refreshToken,
+    },
+  });
+};
+
+// Count the failure, and email an unlock link when it locks the account
+const handleFailedLogin = async (req, user, attempt) => {
+  const { userLocked, ipLocked, lockedUntil } = await recordLoginFailure(attempt);
+
+  await recordAuditEvent(req, "login_failure", {
+    userId: user?._id,
+    username: attempt.username,
+  });
+
+  if (ipLocked) {
+    await recordAuditEvent(req, "ip_locked", {
+      details: { lockedUntil },
+    });
+  }
+
+  if (userLocked) {
+    await recordAuditEvent(req, "account_locked", {
+      userId: user?._id,
+      username: attempt.username,
+      details: { lockedUntil },
+    });
+
+    if (user) {
+      try {
+        const unlockToken = user.generateUnlockToken();
+        await user.save();
+        await sendMail({
+          to: user.email,
+          subject: "Your account has been locked",
+          text: `Hi ${user.username},\n\nWe temporarily locked your account after several failed sign-in attempts. It will unlock automatically in 15 minutes, or you can unlock it now with the link below (valid for 1 hour):\n\n${process.env.FRONTEND_URL}/unlock-account/${unlockToken}\n\nIf these attempts weren't you, consider resetting your password.`,
+        });
+      } catch (mailError) {
+        console.error("Failed to send unlock email:", mailError);
+      }
+    }
+  }
+};
+
+const OIDC_LOGIN_COOKIE = "oidc_login";
+
+// Value of one cookie from the Cookie header
+const readCookie = (req, name) => {
+  for (const part of (req.get("Cookie") || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+const clientContext = (req) => ({
+  userAgent: req.get("User-Agent"),
+  ip: req.ip,
+});
+
 const validate = (data) => {
   const schema = Joi.object({
     username: Joi.string().required().label("Username"),
@@ -106,4 +967,36 @@ const validate = (data) => {
   return schema.validate(data);
 };
 
+const twoFactorLoginValidate = (data) => {
+  const schema = Joi.object({
+    challengeToken: Joi.string().required().label("Challenge Token"),
+    code: Joi.string().label("Code"),
+    recoveryCode: Joi.string().label("Recovery Code"),
+  }).xor("code", "recoveryCode");
+  return schema.validate(data);
+};
+
+const twoFactorCodeValidate = (data) => {
+  const schema = Joi.object({
+    code: Joi.string().required().label("Code"),
+  });
+  return schema.validate(data);
+};
+
+const twoFactorManageValidate = (data) => {
+  const schema = Joi.object({
+    password: Joi.string().label("Password"),
+    code: Joi.string().label("Code"),
+    recoveryCode: Joi.string().label("Recovery Code"),
+  }).xor("code", "recoveryCode");
+  return schema.validate(data);
+};
+
+const refreshTokenValidate = (data) => {
+  const schema = Joi.object({
+    refreshToken: Joi.string().required().label("Refresh Token"),
+  });
+  return schema.validate(data);
+};
+
 module.exports = router;
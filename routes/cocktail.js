@@ -3,6 +3,9 @@ const router = express.Router();
 
 const {
   getCocktail,
+  getCocktailVariations,
+  getVariationImage,
+  getSurpriseCocktail,
   getCocktailStream,
   saveCocktail,
   saveToCollection,
@@ -22,8 +25,16 @@ const {
 const {
   generateCocktailImage,
 } = require("../controllers/imageGenerationController");
+const { variationCount, variationQuota } = require("../service/cocktailService");
 
-const { authMiddleware } = require("../middleware/auth");
+const {
+  allowApiKey,
+  authMiddleware,
+  requireVerifiedEmail,
+  requirePermission,
+} = require("../middleware/auth");
+const { requireSelf } = require("../middleware/ownership");
+const { requireQuota } = require("../middleware/quota");
 
 // router.post("/cocktail", getCocktail);
 // add auth middleware
@@ -87,8 +98,238 @@ const { authMiddleware } = require("../middleware/auth");
  *                 imageJob:
  *                   type: object
  *                   description: Background image generation job info
+ *       402:
+ *         description: Not included in your plan
+ *       422:
+ *         description: Request rejected by the AI provider's content policy (reason content_rejected)
+ *       429:
+ *         description: Daily quota reached (see X-Quota-* headers)
+ *       502:
+ *         description: The AI output failed validation even after a repair attempt (reason invalid_output), or the provider returned an error (reason provider_error)
+ *       503:
+ *         description: AI is paused, over budget, or the provider is rate limiting (reason rate_limited)
+ *       504:
+ *         description: Generation timed out (reason timeout)
+ */
+router.post(
+  "/",
+  allowApiKey("recipes:generate"),
+  authMiddleware,
+  requireVerifiedEmail,
+  requireQuota("recipe"),
+  getCocktail
+);
+
+/**
+ * @swagger
+ * /api/cocktail/variations:
+ *   post:
+ *     summary: Generate several distinct cocktail recipes at once
+ *     description: |
+ *       Generates `count` recipes for the same preferences concurrently, each taking a
+ *       different direction. Near-duplicates (same name or mostly the same ingredients)
+ *       are dropped and regenerated once. Results are never cached.
+ *
+ *       By default images are deferred: each recipe has `imageStatus: "deferred"` and an
+ *       `imagePrompt`. Once the user picks and saves one, send its `cocktailId` to
+ *       `/api/cocktail/variations/image`, which charges the `image` quota. Set
+ *       `deferImages: false` to generate every image up front.
+ *
+ *       Each variation counts as one recipe generation against the daily quota, and each
+ *       image generated up front as one more (so `deferImages: false` costs twice `count`).
+ *       Variations and images that fail aren't counted.
+ *     tags: [Cocktails]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ingredients
+ *               - flavors
+ *               - dietaryNeeds
+ *             properties:
+ *               ingredients:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["vodka", "lime", "mint"]
+ *               flavors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["sweet", "refreshing"]
+ *               dietaryNeeds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["low-sugar"]
+ *               count:
+ *                 type: integer
+ *                 minimum: 2
+ *                 maximum: 4
+ *                 default: 3
+ *               deferImages:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Generated variations (possibly fewer than requested if some failed)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   example: "00"
+ *                 recipes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 requested:
+ *                   type: integer
+ *                 failed:
+ *                   type: integer
+ *                   description: Variations that failed to generate
+ *                 duplicatesRemoved:
+ *                   type: integer
+ *       400:
+ *         description: Missing fields or invalid count
+ *       402:
+ *         description: Not included in your plan
+ *       429:
+ *         description: Not enough daily quota left for `count` recipes (see X-Quota-* headers)
+ *       502:
+ *         description: Every variation failed (reason invalid_output or provider_error)
+ *       503:
+ *         description: AI is paused, over budget, or the provider is rate limiting (reason rate_limited)
+ */
+router.post(
+  "/variations",
+  allowApiKey("recipes:generate"),
+  authMiddleware,
+  requireVerifiedEmail,
+  requireQuota("recipe", {
+    cost: (req) =>
+      variationQuota(variationCount(req.body.count) || 1, req.body.deferImages !== false),
+  }),
+  getCocktailVariations
+);
+
+/**
+ * @swagger
+ * /api/cocktail/variations/image:
+ *   post:
+ *     summary: Generate the image for a saved variation
+ *     description: |
+ *       Generates the deferred image for a variation the user picked and saved, stores it
+ *       under the recipe's `cocktailId` and sets `imageUrl` on the saved cocktail.
+ *       The prompt is built from the saved recipe.
+ *
+ *       Counts as one image generation against the daily quota, like
+ *       `POST /api/cocktail/generate-image`.
+ *     tags: [Cocktails]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - cocktailId
+ *             properties:
+ *               cocktailId:
+ *                 type: string
+ *                 description: The variation's cocktailId (as saved)
+ *     responses:
+ *       200:
+ *         description: Image generated and saved with the cocktail
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   example: "00"
+ *                 imageUrl:
+ *                   type: string
+ *                 imageUrls:
+ *                   type: object
+ *                 cocktail:
+ *                   type: object
+ *       400:
+ *         description: Missing cocktailId
+ *       402:
+ *         description: Not included in your plan
+ *       404:
+ *         description: No saved cocktail with that cocktailId
+ *       429:
+ *         description: Daily quota reached (see X-Quota-* headers)
+ *       503:
+ *         description: AI is paused or over budget
  */
-router.post("/", authMiddleware, getCocktail);
+router.post(
+  "/variations/image",
+  allowApiKey("recipes:generate"),
+  authMiddleware,
+  requireVerifiedEmail,
+  requireQuota("image"),
+  getVariationImage
+);
+
+/**
+ * @swagger
+ * /api/cocktail/surprise:
+ *   get:
+ *     summary: Get a surprise cocktail recipe
+ *     description: |
+ *       Returns a random recipe, with its image, from a pool that's kept filled in the
+ *       background across a range of themes (when `SURPRISE_POOL_SIZE` is set). When the
+ *       pool is empty or off the recipe is generated on the spot instead
+ *       (`fromPool: false`), which takes longer.
+ *     tags: [Cocktails]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Surprise recipe
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                   example: "00"
+ *                 recipe:
+ *                   type: object
+ *                 fromPool:
+ *                   type: boolean
+ *                   description: Whether the recipe was pre-generated
+ *       402:
+ *         description: Not included in your plan
+ *       429:
+ *         description: Daily quota reached (see X-Quota-* headers)
+ *       502:
+ *         description: Live generation failed (reason invalid_output or provider_error)
+ *       503:
+ *         description: The pool is empty and AI is paused, over budget, or rate limited
+ */
+router.get(
+  "/surprise",
+  allowApiKey("recipes:generate"),
+  authMiddleware,
+  requireVerifiedEmail,
+  requireQuota("recipe"),
+  getSurpriseCocktail
+);
 
 /**
  * @swagger
@@ -109,6 +350,9 @@ router.post("/", authMiddleware, getCocktail);
  *       - `health`: Health rating and notes
  *       - `complete`: Full recipe object
  *       - `error`: Error message if failed
+ *
+ *       The final recipe is validated before `complete` is sent; if it's invalid the
+ *       model is asked once to repair it (a `status` of "Polishing your recipe..." is sent).
  *     tags: [Cocktails]
  *     security:
  *       - bearerAuth: []
@@ -145,8 +389,19 @@ router.post("/", authMiddleware, getCocktail);
  *           text/event-stream:
  *             schema:
  *               type: string
+ *       402:
+ *         description: Not included in your plan
+ *       429:
+ *         description: Daily quota reached (see X-Quota-* headers)
  */
-router.post("/stream", authMiddleware, getCocktailStream);
+router.post(
+  "/stream",
+  allowApiKey("recipes:generate"),
+  authMiddleware,
+  requireVerifiedEmail,
+  requireQuota("recipe"),
+  getCocktailStream
+);
 
 /**
  * @swagger
@@ -160,7 +415,12 @@ router.post("/stream", authMiddleware, getCocktailStream);
  *       200:
  *         description: Cocktail saved successfully
  */
-router.post("/save", authMiddleware, saveCocktail);
+router.post(
+  "/save",
+  allowApiKey("recipes:write"),
+  authMiddleware,
+  saveCocktail
+);
 
 /**
  * @swagger
@@ -174,21 +434,37 @@ router.post("/save", authMiddleware, saveCocktail);
  *       200:
  *         description: List of saved cocktails
  */
-router.get("/save", authMiddleware, savedCocktail);
+router.get(
+  "/save",
+  allowApiKey("recipes:read"),
+  authMiddleware,
+  savedCocktail
+);
 
 /**
  * @swagger
  * /api/cocktail/save-to-collection:
  *   post:
  *     summary: Save a cocktail to a collection
+ *     description: The collection is created for the logged-in user if it doesn't exist.
  *     tags: [Collections]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Cocktail saved to collection
+ *       403:
+ *         description: Body userId belongs to another user
+ *       404:
+ *         description: Saved cocktail not found
  */
-router.post("/save-to-collection", authMiddleware, saveToCollection);
+router.post(
+  "/save-to-collection",
+  allowApiKey("recipes:write"),
+  authMiddleware,
+  requireSelf(),
+  saveToCollection
+);
 
 /**
  * @swagger
@@ -216,8 +492,19 @@ router.post("/save-to-collection", authMiddleware, saveToCollection);
  *     responses:
  *       200:
  *         description: AI response
+ *       402:
+ *         description: Not included in your plan
+ *       429:
+ *         description: Daily quota reached (see X-Quota-* headers)
  */
-router.post("/chat", authMiddleware, handleRecipeChat);
+router.post(
+  "/chat",
+  allowApiKey("recipes:generate"),
+  authMiddleware,
+  requireVerifiedEmail,
+  requireQuota("chat"),
+  handleRecipeChat
+);
 
 /**
  * @swagger
@@ -250,8 +537,19 @@ router.post("/chat", authMiddleware, handleRecipeChat);
  *           text/event-stream:
  *             schema:
  *               type: string
+ *       402:
+ *         description: Not included in your plan
+ *       429:
+ *         description: Daily quota reached (see X-Quota-* headers)
  */
-router.post("/chat/stream", authMiddleware, handleRecipeChatStream);
+router.post(
+  "/chat/stream",
+  allowApiKey("recipes:generate"),
+  authMiddleware,
+  requireVerifiedEmail,
+  requireQuota("chat"),
+  handleRecipeChatStream
+);
 
 /**
  * @swagger
@@ -264,8 +562,19 @@ router.post("/chat/stream", authMiddleware, handleRecipeChatStream);
  *     responses:
  *       200:
  *         description: Analysis result
+ *       402:
+ *         description: Not included in your plan
+ *       429:
+ *         description: Daily quota reached (see X-Quota-* headers)
  */
-router.post("/analyze-image", authMiddleware, handleCocktailImageAnalysis);
+router.post(
+  "/analyze-image",
+  allowApiKey("recipes:generate"),
+  authMiddleware,
+  requireVerifiedEmail,
+  requireQuota("imageAnalysis"),
+  handleCocktailImageAnalysis
+);
 
 /**
  * @swagger
@@ -273,11 +582,24 @@ router.post("/analyze-image", authMiddleware, handleCocktailImageAnalysis);
  *   post:
  *     summary: Generate cocktail image from description
  *     tags: [Image Generation]
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Generated image
+ *       402:
+ *         description: Not included in your plan
+ *       429:
+ *         description: Daily quota reached (see X-Quota-* headers)
  */
-router.post("/generate-image", generateCocktailImage);
+router.post(
+  "/generate-image",
+  allowApiKey("recipes:generate"),
+  authMiddleware,
+  requireVerifiedEmail,
+  requireQuota("image"),
+  generateCocktailImage
+);
 
 /**
  * @swagger
@@ -297,7 +619,12 @@ router.post("/generate-image", generateCocktailImage);
  *       200:
  *         description: Cocktail deleted successfully
  */
-router.delete("/cocktail/:cocktailId", authMiddleware, deleteCocktail); // Delete a cocktail
+router.delete(
+  "/cocktail/:cocktailId",
+  allowApiKey("recipes:write"),
+  authMiddleware,
+  deleteCocktail
+);
 
 /**
  * @swagger
@@ -317,22 +644,36 @@ router.delete("/cocktail/:cocktailId", authMiddleware, deleteCocktail); // Delet
  *       200:
  *         description: Collection deleted successfully
  */
-router.delete("/collection/:collectionId", authMiddleware, deleteCollection);
+router.delete(
+  "/collection/:collectionId",
+  allowApiKey("recipes:write"),
+  authMiddleware,
+  deleteCollection
+);
 
 /**
  * @swagger
  * /api/cocktail/ratings:
  *   post:
  *     summary: Submit a recipe rating and feedback
+ *     description: The rating is recorded for the logged-in user.
  *     tags: [Ratings]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Rating submitted
+ *       403:
+ *         description: Body userId belongs to another user
  */
 // Submit a rating and feedback
-router.post("/ratings", authMiddleware, submitRating);
+router.post(
+  "/ratings",
+  allowApiKey("recipes:write"),
+  authMiddleware,
+  requireSelf(),
+  submitRating
+);
 
 /**
  * @swagger
@@ -353,7 +694,12 @@ router.post("/ratings", authMiddleware, submitRating);
  *         description: List of ratings
  */
 // Fetch all ratings and feedback for a recipe
-router.get("/ratings/:recipeId", authMiddleware, getRatings);
+router.get(
+  "/ratings/:recipeId",
+  allowApiKey("recipes:read"),
+  authMiddleware,
+  getRatings
+);
 
 /**
  * @swagger
@@ -378,29 +724,43 @@ router.get("/shared/:recipeId", getSharedRecipe);
  * /api/cocktail/cache/stats:
  *   get:
  *     summary: Get cache statistics
- *     description: Returns hit/miss rates and cache sizes for monitoring
+ *     description: Returns hit/miss rates and cache sizes for monitoring (requires `cache:read`)
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Cache statistics
+ *       403:
+ *         description: Access denied
  */
-router.get("/cache/stats", authMiddleware, getCacheStats);
+router.get(
+  "/cache/stats",
+  authMiddleware,
+  requirePermission("cache:read"),
+  getCacheStats
+);
 
 /**
  * @swagger
  * /api/cocktail/cache/clear:
  *   post:
  *     summary: Clear all caches
- *     description: Clears recipe and image analysis caches (admin only)
+ *     description: Clears recipe and image analysis caches (requires `cache:manage`)
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Caches cleared
+ *       403:
+ *         description: Access denied
  */
-router.post("/cache/clear", authMiddleware, clearCaches);
+router.post(
+  "/cache/clear",
+  authMiddleware,
+  requirePermission("cache:manage"),
+  clearCaches
+);
 
 module.exports = router;
@@ -6,7 +6,8 @@ const {
   getUserRecipes,
   getRecipesInCollection,
 } = require("../controllers/collectionController");
-const { authMiddleware } = require("../middleware/auth");
+const { allowApiKey, authMiddleware } = require("../middleware/auth");
+const { requireSelf } = require("../middleware/ownership");
 
 /**
  * @swagger
@@ -32,13 +33,19 @@ const { authMiddleware } = require("../middleware/auth");
  *       201:
  *         description: Collection created successfully
  */
-router.post("/collection", authMiddleware, createCollection);
+router.post(
+  "/collection",
+  allowApiKey("recipes:write"),
+  authMiddleware,
+  createCollection
+);
 
 /**
  * @swagger
  * /api/collections/collections/{userId}:
  *   get:
- *     summary: Get all collections for a user
+ *     summary: Get all collections for the logged-in user
+ *     description: "`userId` must be the logged-in user's ID."
  *     tags: [Collections]
  *     security:
  *       - bearerAuth: []
@@ -51,14 +58,23 @@ router.post("/collection", authMiddleware, createCollection);
  *     responses:
  *       200:
  *         description: List of collections
+ *       403:
+ *         description: userId belongs to another user
  */
-router.get("/collections/:userId", authMiddleware, getUserCollections);
+router.get(
+  "/collections/:userId",
+  allowApiKey("recipes:read"),
+  authMiddleware,
+  requireSelf(),
+  getUserCollections
+);
 
 /**
  * @swagger
  * /api/collections/recipes/{userId}:
  *   get:
- *     summary: Get all recipes saved by a user
+ *     summary: Get all recipes saved by the logged-in user
+ *     description: "`userId` must be the logged-in user's ID."
  *     tags: [Collections]
  *     security:
  *       - bearerAuth: []
@@ -71,8 +87,16 @@ router.get("/collections/:userId", authMiddleware, getUserCollections);
  *     responses:
  *       200:
  *         description: List of saved recipes
+ *       403:
+ *         description: userId belongs to another user
  */
-router.get("/recipes/:userId", authMiddleware, getUserRecipes);
+router.get(
+  "/recipes/:userId",
+  allowApiKey("recipes:read"),
+  authMiddleware,
+  requireSelf(),
+  getUserRecipes
+);
 
 /**
  * @swagger
@@ -91,7 +115,14 @@ router.get("/recipes/:userId", authMiddleware, getUserRecipes);
  *     responses:
  *       200:
  *         description: List of recipes in the collection
+ *       404:
+ *         description: Collection not found or owned by another user
  */
-router.get("/collection/:collectionId", authMiddleware, getRecipesInCollection);
+router.get(
+  "/collection/:collectionId",
+  allowApiKey("recipes:read"),
+  authMiddleware,
+  getRecipesInCollection
+);
 
 module.exports = router;
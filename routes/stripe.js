@@ -2,10 +2,176 @@ const express = require("express");
 const router = express.Router();
 const {
   createCheckoutSession,
+  getSubscription,
+  cancelSubscription,
+  resumeSubscription,
+  switchSubscriptionPlan,
+  createPortalSession,
   handleStripeWebhook,
 } = require("../controllers/stripeController");
+const { authMiddleware } = require("../middleware/auth");
 
-router.post("/create-checkout-session", createCheckoutSession);
+// This router is mounted before the global express.json() so the webhook
+// receives the raw body needed for signature verification. Other routes
+// parse JSON themselves.
+
+/**
+ * @swagger
+ * /api/stripe/create-checkout-session:
+ *   post:
+ *     summary: Start a subscription checkout for the logged-in user
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               plan:
+ *                 type: string
+ *                 enum: [monthly, yearly]
+ *               priceId:
+ *                 type: string
+ *                 description: Alternative to plan; must be one of the configured prices
+ *     responses:
+ *       200:
+ *         description: Checkout session ID and URL
+ *       400:
+ *         description: Unknown plan
+ *       409:
+ *         description: Already subscribed
+ */
+router.post(
+  "/create-checkout-session",
+  express.json(),
+  authMiddleware,
+  createCheckoutSession
+);
+
+/**
+ * @swagger
+ * /api/stripe/subscription:
+ *   get:
+ *     summary: View your plan, billing period and today's quota usage
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscription summary
+ */
+router.get("/subscription", authMiddleware, getSubscription);
+
+/**
+ * @swagger
+ * /api/stripe/subscription/cancel:
+ *   post:
+ *     summary: Cancel your subscription at the end of the billing period
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscription set to cancel
+ *       404:
+ *         description: No active subscription
+ */
+router.post("/subscription/cancel", authMiddleware, cancelSubscription);
+
+/**
+ * @swagger
+ * /api/stripe/subscription/resume:
+ *   post:
+ *     summary: Undo a pending cancellation
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscription will renew
+ *       404:
+ *         description: No active subscription
+ *       409:
+ *         description: Subscription isn't set to cancel
+ */
+router.post("/subscription/resume", authMiddleware, resumeSubscription);
+
+/**
+ * @swagger
+ * /api/stripe/subscription/switch:
+ *   post:
+ *     summary: Switch between the monthly and yearly plans
+ *     description: The price difference is prorated on the next invoice.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               plan:
+ *                 type: string
+ *                 enum: [monthly, yearly]
+ *               priceId:
+ *                 type: string
+ *                 description: Alternative to plan; must be one of the configured prices
+ *     responses:
+ *       200:
+ *         description: Plan switched
+ *       400:
+ *         description: Unknown plan
+ *       404:
+ *         description: No active subscription
+ *       409:
+ *         description: Already on that plan
+ */
+router.post(
+  "/subscription/switch",
+  express.json(),
+  authMiddleware,
+  switchSubscriptionPlan
+);
+
+/**
+ * @swagger
+ * /api/stripe/portal:
+ *   post:
+ *     summary: Open the Stripe customer portal (payment methods, invoices)
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Portal URL
+ *       404:
+ *         description: No billing account yet
+ */
+router.post("/portal", authMiddleware, createPortalSession);
+
+/**
+ * @swagger
+ * /api/stripe/webhook:
+ *   post:
+ *     summary: Stripe webhook receiver
+ *     description: |
+ *       Verifies the Stripe-Signature header and keeps the user's subscription
+ *       in sync. Handles checkout.session.completed,
+ *       customer.subscription.created/updated/deleted and invoice.payment_failed.
+ *     tags: [Billing]
+ *     responses:
+ *       200:
+ *         description: Event received
+ *       400:
+ *         description: Invalid signature
+ *       500:
+ *         description: Processing failed; Stripe will retry
+ */
 router.post(
   "/webhook",
   express.raw({ type: "application/json" }),
@@ -1,6 +1,31 @@
 const router = require("express").Router();
-const { User, validate } = require("../models/user");
+const {
+  User,
+  hashToken,
+  validate,
+  forgotPasswordValidate,
+  updateProfileValidate,
+  changePasswordValidate,
+  deleteAccountValidate,
+} = require("../models/user");
 const bcrypt = require("bcrypt");
+const mongoose = require("mongoose");
+const { sendMail } = require("../utils/mailer");
+const { authMiddleware } = require("../middleware/auth");
+const { issueTokens, revokeAllForUser } = require("../service/tokenService");
+const {
+  GRACE_PERIOD_DAYS,
+  requestDeletion,
+} = require("../service/accountDeletionService");
+const { startExport } = require("../service/dataExportService");
+const { DataExport } = require("../models/dataExport");
+const { apiKeyValidate } = require("../models/apiKey");
+const { resolveRange, getUserUsage } = require("../service/usageService");
+const {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+} = require("../service/apiKeyService");
 
 /**
  * @swagger
@@ -31,7 +56,7 @@ const bcrypt = require("bcrypt");
  *                 example: secret123
  *     responses:
  *       201:
- *         description: User created successfully
+ *         description: User created successfully, verification email sent
  *       400:
  *         description: Bad request (e.g., validation error)
  *       409:
@@ -54,11 +79,689 @@ router.post("/", async (req, res) => {
     const salt = await bcrypt.genSalt(Number(process.env.SALT));
     const hashPassword = await bcrypt.hash(req.body.password, salt);
 
-    await new User({ ...req.body, password: hashPassword }).save();
-    res.status(201).send({ code: "00", message: "User created successfully!" });
+    const newUser = new User({
+      ...req.body,
+      password: hashPassword,
+      emailVerified: false,
+    });
+    const verificationToken = newUser.generateEmailVerificationToken();
+    await newUser.save();
+
+    try {
+      await sendVerificationEmail(newUser, verificationToken);
+    } catch (mailError) {
+      // The account exists either way - the user can ask for a new link
+      console.error("Failed to send verification email:", mailError);
+    }
+
+    res.status(201).send({
+      code: "00",
+      message: "User created successfully! Please check your email to verify your account.",
+    });
+  } catch (error) {
+    res.status(500).send({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   get:
+ *     summary: Get the logged-in user's profile
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User profile
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/me", authMiddleware, async (req, res) => {
+  res.status(200).send({ code: "00", user: toProfile(req.user) });
+});
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   patch:
+ *     summary: Update the logged-in user's username or email
+ *     description: Changing the email marks it unverified and sends a new verification link.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 example: johndoe
+ *               email:
+ *                 type: string
+ *                 example: johndoe@example.com
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Username or email already taken
+ *       500:
+ *         description: Internal server error
+ */
+router.patch("/me", authMiddleware, async (req, res) => {
+  try {
+    const { error } = updateProfileValidate(req.body);
+    if (error)
+      return res.status(400).send({ message: error.details[0].message });
+
+    const user = req.user;
+    const { username, email } = req.body;
+
+    if (username && username !== user.username) {
+      const taken = await User.findOne({ username, _id: { $ne: user._id } });
+      if (taken)
+        return res.status(409).send({ message: "Username is already taken" });
+      user.username = username;
+    }
+
+    let verificationToken;
+    if (email && email !== user.email) {
+      const taken = await User.findOne({ email, _id: { $ne: user._id } });
+      if (taken)
+        return res
+          .status(409)
+          .send({ message: "User with given email already exist!" });
+      user.email = email;
+      user.emailVerified = false;
+      verificationToken = user.generateEmailVerificationToken();
+    }
+
+    await user.save();
+
+    if (verificationToken) {
+      try {
+        await sendVerificationEmail(user, verificationToken);
+      } catch (mailError) {
+        console.error("Failed to send verification email:", mailError);
+      }
+    }
+
+    res.status(200).send({
+      code: "00",
+      message: verificationToken
+        ? "Profile updated! Please verify your new email address."
+        : "Profile updated successfully!",
+      user: toProfile(user),
+    });
+  } catch (error) {
+    console.error("Update profile error:", error);
+    res.status(500).send({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/password:
+ *   post:
+ *     summary: Change the logged-in user's password
+ *     description: |
+ *       Requires the current password. Every existing session is revoked;
+ *       the response carries fresh tokens for the current device.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Password changed, new tokens issued
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Current password is incorrect
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/me/password", authMiddleware, async (req, res) => {
+  try {
+    const { error } = changePasswordValidate(req.body);
+    if (error)
+      return res.status(400).send({ message: error.details[0].message });
+
+    const user = req.user;
+    const validPassword =
+      user.password &&
+      (await bcrypt.compare(req.body.currentPassword, user.password));
+    if (!validPassword)
+      return res.status(401).send({ message: "Current password is incorrect" });
+
+    const salt = await bcrypt.genSalt(Number(process.env.SALT));
+    user.password = await bcrypt.hash(req.body.newPassword, salt);
+    await user.save();
+
+    await revokeAllForUser(user._id, "password-change");
+    // revokeAllForUser bumped tokenVersion - reload so the new token carries it
+    const refreshedUser = await User.findById(user._id);
+    const { token, refreshToken } = await issueTokens(refreshedUser, {
+      userAgent: req.get("User-Agent"),
+      ip: req.ip,
+    });
+
+    res.status(200).send({
+      code: "00",
+      message: "Password changed successfully",
+      token,
+      refreshToken,
+    });
   } catch (error) {
+    console.error("Change password error:", error);
     res.status(500).send({ message: "Internal server error" });
   }
 });
 
+/**
+ * @swagger
+ * /api/users/me:
+ *   delete:
+ *     summary: Delete the logged-in user's account
+ *     description: |
+ *       Schedules the account for permanent deletion after a grace period
+ *       (14 days by default), signs out every device and revokes all API keys.
+ *       Signing in again during the grace period cancels the deletion (revoked
+ *       API keys stay revoked). Once the period ends,
+ *       saved cocktails, collections, ratings, uploaded images and any Stripe
+ *       subscription are removed.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               confirmEmail:
+ *                 type: string
+ *                 description: For accounts without a password (Google sign-in)
+ *     responses:
+ *       202:
+ *         description: Deletion scheduled
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Confirmation does not match
+ *       500:
+ *         description: Internal server error
+ */
+router.delete("/me", authMiddleware, async (req, res) => {
+  try {
+    const { error } = deleteAccountValidate(req.body);
+    if (error)
+      return res.status(400).send({ message: error.details[0].message });
+
+    const user = req.user;
+    const confirmed = user.password
+      ? req.body.password &&
+        (await bcrypt.compare(req.body.password, user.password))
+      : req.body.confirmEmail === user.email;
+    if (!confirmed)
+      return res
+        .status(401)
+        .send({ message: "Account deletion could not be confirmed" });
+
+    const scheduledFor = await requestDeletion(user);
+
+    res.status(202).send({
+      code: "00",
+      message: `Your account will be permanently deleted in ${GRACE_PERIOD_DAYS} days. Sign in again before then to cancel.`,
+      deletionScheduledFor: scheduledFor,
+    });
+  } catch (error) {
+    console.error("Delete account error:", error);
+    res.status(500).send({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/export:
+ *   post:
+ *     summary: Request an export of all your data
+ *     description: |
+ *       Starts a background job that collects your profile, saved cocktails,
+ *       collections, ratings and image URLs. Poll the status endpoint and
+ *       download the result as JSON or as a ZIP with a Markdown file per recipe.
+ *       If an export is already running, that export is returned instead.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Export started
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/me/export", authMiddleware, async (req, res) => {
+  try {
+    const job = await startExport(req.user._id);
+    res.status(202).send({
+      code: "00",
+      message: "Your export is being prepared",
+      export: toExportStatus(job),
+    });
+  } catch (error) {
+    console.error("Start export error:", error);
+    res.status(500).send({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/export/{exportId}:
+ *   get:
+ *     summary: Check the status of a data export
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: exportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Export status with download links once complete
+ *       404:
+ *         description: Export not found
+ */
+router.get("/me/export/:exportId", authMiddleware, async (req, res) => {
+  try {
+    const job = await findOwnExport(req);
+    if (!job) return res.status(404).send({ message: "Export not found" });
+
+    res.status(200).send({ code: "00", export: toExportStatus(job) });
+  } catch (error) {
+    console.error("Export status error:", error);
+    res.status(500).send({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/export/{exportId}/download:
+ *   get:
+ *     summary: Download a completed data export
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: exportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, zip]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Export file
+ *       404:
+ *         description: Export not found
+ *       409:
+ *         description: Export is not ready yet
+ */
+router.get("/me/export/:exportId/download", authMiddleware, async (req, res) => {
+  try {
+    const format = req.query.format === "zip" ? "zip" : "json";
+    const job = await findOwnExport(req, `+${format}`);
+    if (!job) return res.status(404).send({ message: "Export not found" });
+
+    if (job.status !== "complete")
+      return res
+        .status(409)
+        .send({ message: "Export is not ready yet", status: job.status });
+
+    const fileName = `cocktail-export-${job.createdAt.toISOString().slice(0, 10)}.${format}`;
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res
+      .status(200)
+      .type(format === "zip" ? "application/zip" : "application/json")
+      .send(job[format]);
+  } catch (error) {
+    console.error("Export download error:", error);
+    res.status(500).send({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/usage:
+ *   get:
+ *     summary: Your AI usage and estimated cost
+ *     description: Token counts, generated images and estimated cost, per operation and per day.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to 30 days before `to`
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to now
+ *     responses:
+ *       200:
+ *         description: Usage summary
+ *       400:
+ *         description: Invalid date range
+ */
+router.get("/me/usage", authMiddleware, async (req, res) => {
+  try {
+    const range = resolveRange(req.query);
+    if (!range)
+      return res
+        .status(400)
+        .send({ message: "Invalid date range (max 366 days)" });
+
+    const usage = await getUserUsage(req.user._id, range);
+    res.status(200).send({ code: "00", usage });
+  } catch (error) {
+    console.error("Usage error:", error);
+    res.status(500).send({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/api-keys:
+ *   get:
+ *     summary: List your personal API keys
+ *     description: Secrets are never returned; keys are identified by their prefix.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active API keys
+ *   post:
+ *     summary: Create a personal API key
+ *     description: |
+ *       The key is only shown once in the response. Send it as
+ *       `X-API-Key: ck_...` (or as a Bearer token). Keys can only reach the
+ *       recipe endpoints covered by their scopes, never account settings.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, scopes]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [recipes:read, recipes:write, recipes:generate]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *     responses:
+ *       201:
+ *         description: API key created
+ *       400:
+ *         description: Validation error or too many keys
+ */
+router.get("/me/api-keys", authMiddleware, async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys(req.user._id);
+    res.status(200).send({ code: "00", apiKeys });
+  } catch (error) {
+    console.error("List API keys error:", error);
+    res.status(500).send({ message: "Internal server error" });
+  }
+});
+
+router.post("/me/api-keys", authMiddleware, async (req, res) => {
+  try {
+    const { error } = apiKeyValidate(req.body);
+    if (error) return res.status(400).send({ message: error.details[0].message });
+
+    const created = await createApiKey(req.user, req.body);
+    if (!created)
+      return res
+        .status(400)
+        .send({ message: "You have reached the maximum number of API keys" });
+
+    const { key, apiKey } = created;
+    res.status(201).send({
+      code: "00",
+      message: "Store this key now - it won't be shown again",
+      key,
+      apiKey: {
+        _id: apiKey._id,
+        name: apiKey.name,
+        prefix: apiKey.prefix,
+        scopes: apiKey.scopes,
+        expiresAt: apiKey.expiresAt,
+        createdAt: apiKey.createdAt,
+      },
+    });
+  } catch (error) {
+    console.error("Create API key error:", error);
+    res.status(500).send({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/api-keys/{keyId}:
+ *   delete:
+ *     summary: Revoke a personal API key
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found
+ */
+router.delete("/me/api-keys/:keyId", authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.keyId))
+      return res.status(404).send({ message: "API key not found" });
+
+    const revoked = await revokeApiKey(req.user._id, req.params.keyId);
+    if (!revoked) return res.status(404).send({ message: "API key not found" });
+
+    res.status(200).send({ code: "00", message: "API key revoked" });
+  } catch (error) {
+    console.error("Revoke API key error:", error);
+    res.status(500).send({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/verify/{token}:
+ *   get:
+ *     summary: Verify an email address
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Verification link is invalid or has expired
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/verify/:token", async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(req.params.token),
+      emailVerificationExpires: { $gt: Date.now() },
+    });
+    if (!user)
+      return res
+        .status(400)
+        .send({ message: "Verification link is invalid or has expired" });
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.status(200).send({ code: "00", message: "Email verified successfully!" });
+  } catch (error) {
+    console.error("Email verification error:", error);
+    res.status(500).send({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/verify/resend:
+ *   post:
+ *     summary: Resend the email verification link
+ *     description: Always responds with 200 so the endpoint can't be used to discover registered emails.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: johndoe@example.com
+ *     responses:
+ *       200:
+ *         description: Verification email sent if the account exists and is unverified
+ *       400:
+ *         description: Validation error
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/verify/resend", async (req, res) => {
+  try {
+    const { error } = forgotPasswordValidate(req.body);
+    if (error)
+      return res.status(400).send({ message: error.details[0].message });
+
+    const user = await User.findOne({ email: req.body.email });
+    if (user && user.emailVerified === false) {
+      const verificationToken = user.generateEmailVerificationToken();
+      await user.save();
+      await sendVerificationEmail(user, verificationToken);
+    }
+
+    res.status(200).send({
+      code: "00",
+      message: "If that account needs verification, a new link has been sent",
+    });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).send({ message: "Internal server error" });
+  }
+});
+
+const toProfile = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  emailVerified: user.emailVerified !== false,
+  role: user.role,
+  signupMethod: user.signupMethod,
+  subscriptionStatus: user.subscriptionStatus,
+});
+
+const findOwnExport = (req, select) => {
+  if (!mongoose.isValidObjectId(req.params.exportId)) return null;
+  const query = DataExport.findOne({
+    _id: req.params.exportId,
+    userId: req.user._id,
+  });
+  return select ? query.select(select) : query;
+};
+
+const toExportStatus = (job) => ({
+  id: job._id,
+  status: job.status,
+  createdAt: job.createdAt,
+  completedAt: job.completedAt,
+  expiresAt: job.expiresAt,
+  error: job.error,
+  downloads:
+    job.status === "complete"
+      ? {
+          json: `/api/users/me/export/${job._id}/download?format=json`,
+          zip: `/api/users/me/export/${job._id}/download?format=zip`,
+        }
+      : undefined,
+});
+
+const sendVerificationEmail = (user, verificationToken) => {
+  const verifyUrl = `${process.env.FRONTEND_URL}/verify-email/${verificationToken}`;
+  return sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.username || "there"},\n\nPlease confirm your email address by opening the link below within 24 hours:\n\n${verifyUrl}\n\nIf you didn't create an account, you can ignore this email.`,
+  });
+};
+
 module.exports = router;
@@ -0,0 +1,54 @@
+/**
+ * Promote a user to admin
+ *
+ * Usage: npm run promote-admin -- <email> [--force]
+ *
+ * Only promotes when no admin exists yet, so it can safely bootstrap the
+ * first admin. Pass --force to promote another user from the command line.
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { User } = require("../models/user");
+
+const promoteAdmin = async () => {
+  const args = process.argv.slice(2);
+  const email = args.find((arg) => !arg.startsWith("--"));
+  const force = args.includes("--force");
+
+  if (!email) {
+    console.error("Usage: npm run promote-admin -- <email> [--force]");
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.DB);
+
+  try {
+    const existingAdmin = await User.findOne({ role: "admin" });
+    if (existingAdmin && !force) {
+      console.error(
+        `An admin already exists (${existingAdmin.email}). Use --force or PATCH /api/admin/users/:userId/role instead.`
+      );
+      process.exitCode = 1;
+      return;
+    }
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      console.error(`No user found with email ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    user.role = "admin";
+    await user.save();
+    console.log(`${user.email} is now an admin`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+promoteAdmin().catch((error) => {
+  console.error("Failed to promote admin:", error);
+  process.exitCode = 1;
+});
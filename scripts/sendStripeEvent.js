@@ -0,0 +1,91 @@
+/**
+ * Send a locally signed Stripe webhook event to the API
+ *
+ * Usage: npm run stripe:event -- <event type> --user <userId> [options]
+ *
+ * Options:
+ *   --customer <id>      Stripe customer ID (default: cus_fixture)
+ *   --subscription <id>  Stripe subscription ID (default: sub_fixture)
+ *   --price <id>         Stripe price ID (default: STRIPE_PRICE_MONTHLY)
+ *   --id <id>            Event ID (default: unique per run; reuse one to test redelivery)
+ *   --url <url>          Webhook URL (default: http://localhost:$PORT/api/stripe/webhook)
+ *
+ * Fixtures live in scripts/fixtures/stripe and are signed with
+ * STRIPE_WEBHOOK_SECRET, exactly like events from the Stripe CLI.
+ */
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY || "sk_test_fixture");
+
+const FIXTURE_DIR = path.join(__dirname, "fixtures", "stripe");
+
+const readOption = (args, name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const sendStripeEvent = async () => {
+  const args = process.argv.slice(2);
+  const type = args[0];
+  const fixtures = fs
+    .readdirSync(FIXTURE_DIR)
+    .map((file) => path.basename(file, ".json"));
+
+  if (!type || !fixtures.includes(type) || !readOption(args, "user")) {
+    console.error("Usage: npm run stripe:event -- <event type> --user <userId> [options]");
+    console.error(`Event types: ${fixtures.join(", ")}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    console.error("STRIPE_WEBHOOK_SECRET must be set");
+    process.exitCode = 1;
+    return;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const replacements = {
+    __USER_ID__: readOption(args, "user"),
+    __CUSTOMER_ID__: readOption(args, "customer", "cus_fixture"),
+    __SUBSCRIPTION_ID__: readOption(args, "subscription", "sub_fixture"),
+    __PRICE_ID__: readOption(args, "price", process.env.STRIPE_PRICE_MONTHLY || "price_fixture"),
+    __PERIOD_END__: String(now + 30 * 24 * 60 * 60),
+  };
+
+  let template = fs.readFileSync(path.join(FIXTURE_DIR, `${type}.json`), "utf8");
+  for (const [placeholder, value] of Object.entries(replacements)) {
+    template = template.split(placeholder).join(value);
+  }
+
+  const event = JSON.parse(template);
+  event.id = readOption(args, "id", `${event.id}_${Date.now()}`);
+  event.created = now;
+  event.livemode = false;
+
+  const payload = JSON.stringify(event);
+  const signature = stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret: process.env.STRIPE_WEBHOOK_SECRET,
+  });
+
+  const url = readOption(
+    args,
+    "url",
+    `http://localhost:${process.env.PORT || 8090}/api/stripe/webhook`
+  );
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "Stripe-Signature": signature },
+    body: payload,
+  });
+
+  console.log(`${event.type} (${event.id}) -> ${response.status} ${await response.text()}`);
+  if (!response.ok) process.exitCode = 1;
+};
+
+sendStripeEvent().catch((error) => {
+  console.error("Failed to send Stripe event:", error);
+  process.exitCode = 1;
+});
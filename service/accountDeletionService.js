@@ -0,0 +1,231 @@
+// service/accountDeletionService.js
+const cloudinary = require("cloudinary").v2;
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const { hasSubscription, setCancelAtPeriodEnd } = require("./subscriptionService");
+const { User } = require("../models/user");
+const { Cocktail, Collection, Rating } = require("../models/cocktailModel");
+const { RefreshToken } = require("../models/refreshToken");
+const { DataExport } = require("../models/dataExport");
+const { ApiKey } = require("../models/apiKey");
+const { QuotaCounter } = require("../models/quotaCounter");
+const { AiUsage } = require("../models/aiUsage");
+const { ExperimentExposure } = require("../models/experiment");
+const { revokeAllForUser } = require("./tokenService");
+const { revokeAllApiKeys } = require("./apiKeyService");
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+const GRACE_PERIOD_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+const SWEEP_INTERVAL = 3600000; // 1 hour
+
+/**
+ * Turn subscription renewal on or off for a pending deletion
+ * Billing problems are logged rather than thrown so they can't block
+ * deleting the account or signing in.
+ * @param {Object} user - The user document
+ * @param {boolean} cancel - True to stop renewal, false to resume it
+ * @returns {Promise<boolean>} - True if Stripe accepted the change
+ */
+const setRenewalForDeletion = async (user, cancel) => {
+  try {
+    await setCancelAtPeriodEnd(user, cancel);
+    return true;
+  } catch (error) {
+    console.error(
+      `[Account] Could not ${cancel ? "stop" : "resume"} renewal for user ${user._id}:`,
+      error.message
+    );
+    return false;
+  }
+};
+
+/**
+ * Schedule an account for deletion after the grace period
+ * Signs the user out everywhere, revokes their API keys and stops the
+ * subscription from renewing. Keys stay revoked if the deletion is cancelled.
+ * @param {Object} user - The user document
+ * @returns {Promise<Date>} - When the account will be deleted
+ */
+const requestDeletion = async (user) => {
+  // Remember whether renewal was on, so cancelling the deletion only undoes our change
+  user.deletionStoppedRenewal =
+    hasSubscription(user) &&
+    !user.subscriptionCancelAtPeriodEnd &&
+    (await setRenewalForDeletion(user, true));
+
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledFor = new Date(
+    Date.now() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000
+  );
+  await user.save();
+
+  await revokeAllForUser(user._id, "account-deletion");
+  await revokeAllApiKeys(user._id);
+  return user.deletionScheduledFor;
+};
+
+/**
+ * Cancel a pending deletion (called when the user signs back in)
+ * @param {Object} user - The user document
+ * @returns {Promise<boolean>} - True if a deletion was cancelled
+ */
+const cancelDeletion = async (user) => {
+  if (!user.deletionScheduledFor) return false;
+
+  const resumeRenewal = user.deletionStoppedRenewal && hasSubscription(user);
+
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  user.deletionStoppedRenewal = undefined;
+  await user.save();
+
+  if (resumeRenewal) await setRenewalForDeletion(user, false);
+
+  console.log(`[Account] Deletion cancelled for user ${user._id}`);
+  return true;
+};
+
+/**
+ * Delete Cloudinary images for the given cocktail IDs
+ * Images are uploaded as cocktail-images/<cocktailId>. Without Cloudinary
+ * configured nothing was uploaded (see storeImage), so there's nothing to delete.
+ * @param {Array<string>} cocktailIds - Recipe UUIDs
+ */
+const deleteImages = async (cocktailIds) => {
+  if (!process.env.CLOUDINARY_CLOUD_NAME) return;
+
+  const publicIds = [...new Set(cocktailIds.filter(Boolean))].map(
+    (cocktailId) => `cocktail-images/${cocktailId}`
+  );
+
+  // The Admin API accepts at most 100 public IDs per call
+  for (let i = 0; i < publicIds.length; i += 100) {
+    await cloudinary.api.delete_resources(publicIds.slice(i, i + 100), {
+      resource_type: "image",
+    });
+  }
+};
+
+/**
+ * Recipe IDs of a user's saved cocktails that no other user still references
+ * Collection entries come from the client and may point at anyone's recipe, so
+ * only the user's own Cocktail documents count, and IDs another user has saved
+ * or collected keep their image.
+ * @param {string} userId - The user ID
+ * @param {Array<Object>} cocktails - The user's Cocktail documents
+ * @returns {Promise<Array<string>>}
+ */
+const unsharedCocktailIds = async (userId, cocktails) => {
+  const cocktailIds = [
+    ...new Set(cocktails.map((cocktail) => cocktail.cocktailId).filter(Boolean)),
+  ];
+  if (!cocktailIds.length) return [];
+
+  const [otherCocktails, otherCollections] = await Promise.all([
+    Cocktail.find(
+      { cocktailId: { $in: cocktailIds }, userId: { $ne: userId } },
+      "cocktailId"
+    ),
+    Collection.find(
+      { "cocktails.cocktailId": { $in: cocktailIds }, userId: { $ne: userId } },
+      "cocktails"
+    ),
+  ]);
+
+  const shared = new Set([
+    ...otherCocktails.map((cocktail) => cocktail.cocktailId),
+    ...otherCollections.flatMap((collection) =>
+      collection.cocktails.map((cocktail) => cocktail && cocktail.cocktailId)
+    ),
+  ]);
+  return cocktailIds.filter((cocktailId) => !shared.has(cocktailId));
+};
+
+/**
+ * Permanently delete a user and everything they own
+ * The user document goes last so a failed purge is retried on the next sweep.
+ * @param {Object} user - The user document
+ */
+const purgeUser = async (user) => {
+  const userId = user._id;
+
+  const cocktails = await Cocktail.find({ userId }, "_id cocktailId");
+
+  await deleteImages(await unsharedCocktailIds(userId, cocktails));
+
+  if (hasSubscription(user)) {
+    try {
+      await stripe.subscriptions.cancel(user.subscriptionId);
+    } catch (error) {
+      // Already cancelled subscriptions can't be cancelled again
+      if (error.code !== "resource_missing") throw error;
+    }
+  }
+
+  await Rating.deleteMany({
+    $or: [
+      { userId },
+      { recipeId: { $in: cocktails.map((cocktail) => cocktail._id) } },
+    ],
+  });
+  await Cocktail.deleteMany({ userId });
+  await Collection.deleteMany({ userId });
+  await RefreshToken.deleteMany({ userId });
+  await DataExport.deleteMany({ userId });
+  await ApiKey.deleteMany({ userId });
+  await QuotaCounter.deleteMany({ userId });
+  // Usage is kept for cost reporting but no longer linked to the user
+  await AiUsage.updateMany({ userId }, { $unset: { userId: 1 } });
+  await ExperimentExposure.updateMany({ userId }, { $unset: { userId: 1 } });
+  await User.deleteOne({ _id: userId });
+
+  console.log(`[Account] Purged user ${userId}`);
+};
+
+/**
+ * Purge every account whose grace period has ended
+ * @returns {Promise<number>} - Number of accounts purged
+ */
+const purgeDueAccounts = async () => {
+  const dueUsers = await User.find({
+    deletionScheduledFor: { $lte: new Date() },
+  });
+
+  let purged = 0;
+  for (const user of dueUsers) {
+    try {
+      await purgeUser(user);
+      purged++;
+    } catch (error) {
+      console.error(`[Account] Failed to purge user ${user._id}:`, error);
+    }
+  }
+
+  return purged;
+};
+
+/**
+ * Periodically purge accounts whose grace period has ended
+ */
+const startDeletionSweeper = () => {
+  const interval = setInterval(() => {
+    purgeDueAccounts().catch((error) =>
+      console.error("[Account] Deletion sweep failed:", error)
+    );
+  }, SWEEP_INTERVAL);
+  interval.unref();
+  return interval;
+};
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  requestDeletion,
+  cancelDeletion,
+  purgeUser,
+  purgeDueAccounts,
+  startDeletionSweeper,
+};
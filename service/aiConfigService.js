@@ -0,0 +1,216 @@
+// service/aiConfigService.js
+const Joi = require("joi");
+const { AiSettings } = require("../models/aiSettings");
+const { MODEL_PRICING } = require("./usageService");
+const { SimpleCache } = require("../utils/cache");
+
+/**
+ * Image generation presets
+ * dall-e-2 doesn't accept quality or style, so "fast" leaves them out.
+ */
+const IMAGE_PRESETS = {
+  fast: { model: "dall-e-2", size: "512x512" },
+  balanced: { model: "dall-e-3", size: "1024x1024", quality: "standard", style: "natural" },
+  quality: { model: "dall-e-3", size: "1024x1024", quality: "hd", style: "vivid" },
+};
+
+/**
+ * Built-in settings per operation
+ * recipeStream is the streaming recipe generator; chat covers both chat endpoints.
+ * A null temperature leaves it to the provider's default.
+ */
+const DEFAULT_AI_CONFIG = {
+  recipe: { model: "gpt-4", temperature: 0.8, maxTokens: 1200 },
+  recipeStream: { model: "gpt-4", temperature: 0.8, maxTokens: 1200 },
+  chat: { model: "gpt-3.5-turbo", temperature: 0.7, maxTokens: 250 },
+  vision: { model: "gpt-4o", temperature: null, maxTokens: 800 },
+  image: { preset: "balanced" },
+};
+
+const AI_OPERATIONS = Object.keys(DEFAULT_AI_CONFIG);
+
+// Only priced models are allowed so metering and budgets always see a cost.
+// Add a model (or a dated snapshot) by giving it a price in AI_PRICING.
+const TEXT_MODELS = Object.keys(MODEL_PRICING).filter(
+  (model) => MODEL_PRICING[model].input !== undefined
+);
+
+// Text models that also accept images
+const VISION_MODELS = TEXT_MODELS.filter((model) => /^gpt-4o(-|$)/.test(model));
+
+const textFields = (models) => ({
+  model: Joi.string().valid(...models).label("model"),
+  temperature: Joi.number().min(0).max(2).label("temperature"),
+  maxTokens: Joi.number().integer().min(1).max(4096).label("maxTokens"),
+});
+
+// Allowed values for each operation's settings
+const AI_CONFIG_FIELDS = {
+  recipe: textFields(TEXT_MODELS),
+  recipeStream: textFields(TEXT_MODELS),
+  chat: textFields(TEXT_MODELS),
+  vision: textFields(VISION_MODELS),
+  image: {
+    preset: Joi.string().valid(...Object.keys(IMAGE_PRESETS)).label("preset"),
+  },
+};
+
+/**
+ * Env overrides: AI_<OPERATION>_MODEL, AI_<OPERATION>_TEMPERATURE and
+ * AI_<OPERATION>_MAX_TOKENS (e.g. AI_RECIPE_STREAM_MODEL), plus AI_IMAGE_PRESET
+ * (IMAGE_QUALITY is still read as a fallback). Invalid values are ignored.
+ */
+const ENV_FIELDS = { model: "MODEL", temperature: "TEMPERATURE", maxTokens: "MAX_TOKENS", preset: "PRESET" };
+
+const loadEnvConfig = () => {
+  const config = {};
+  for (const operation of AI_OPERATIONS) {
+    const prefix = `AI_${operation.replace(/[A-Z]/g, (c) => `_${c}`).toUpperCase()}`;
+    config[operation] = {};
+    for (const field of Object.keys(DEFAULT_AI_CONFIG[operation])) {
+      const name = `${prefix}_${ENV_FIELDS[field]}`;
+      let raw = process.env[name];
+      if (field === "preset" && !raw && process.env.IMAGE_QUALITY) {
+        raw = process.env.IMAGE_QUALITY;
+      }
+      if (raw === undefined || raw === "") continue;
+
+      const { error, value } = AI_CONFIG_FIELDS[operation][field].validate(
+        field === "model" || field === "preset" ? raw : Number(raw)
+      );
+      if (error) {
+        console.error(`[AI Config] Ignoring invalid ${name}: ${error.details[0].message}`);
+        continue;
+      }
+      config[operation][field] = value;
+    }
+  }
+  return config;
+};
+
+const ENV_AI_CONFIG = loadEnvConfig();
+
+// Overrides are cached briefly like the other AI settings; changes made
+// through the admin API apply on every instance within CONFIG_TTL
+const CONFIG_TTL = 5000;
+const cache = new SimpleCache({ defaultTTL: CONFIG_TTL, maxSize: 10 });
+
+/**
+ * Effective settings for every operation, with where each value came from
+ * @returns {Promise<Object>} - { [operation]: { values, sources } }
+ */
+const resolveAiConfig = async () => {
+  const cached = cache.get("config");
+  if (cached) return cached;
+
+  const doc = await AiSettings.findOne({ key: "global" }).lean();
+  const resolved = {};
+  for (const operation of AI_OPERATIONS) {
+    const values = {};
+    const sources = {};
+    for (const [field, fallback] of Object.entries(DEFAULT_AI_CONFIG[operation])) {
+      const override = doc?.aiConfig?.[operation]?.[field];
+      const fromEnv = ENV_AI_CONFIG[operation]?.[field];
+      // A stored override can go stale, e.g. when a model loses its AI_PRICING entry
+      const overrideValid =
+        override !== undefined && !AI_CONFIG_FIELDS[operation][field].validate(override).error;
+      if (override !== undefined && !overrideValid) {
+        console.error(`[AI Config] Ignoring invalid override ${operation}.${field}: ${override}`);
+      }
+
+      if (overrideValid) {
+        values[field] = override;
+        sources[field] = "override";
+      } else if (fromEnv !== undefined) {
+        values[field] = fromEnv;
+        sources[field] = "env";
+      } else {
+        values[field] = fallback;
+        sources[field] = "default";
+      }
+    }
+    resolved[operation] = { values, sources };
+  }
+
+  cache.set("config", resolved);
+  return resolved;
+};
+
+/**
+ * Image settings for a preset
+ * @param {string} preset - One of IMAGE_PRESETS
+ * @returns {Object} - { preset, model, size, quality, style }
+ */
+const imageSettingsFor = (preset) => ({ preset, ...IMAGE_PRESETS[preset] });
+
+/**
+ * Settings for one operation
+ * For "image" the preset is expanded, and `preset` picks a different one
+ * for this call (unknown presets fall back to the configured one).
+ * @param {string} operation - One of AI_OPERATIONS
+ * @param {Object} options - { preset } for image
+ * @returns {Promise<Object>}
+ */
+const getAiConfig = async (operation, { preset } = {}) => {
+  const { values } = (await resolveAiConfig())[operation];
+  if (operation !== "image") return { ...values };
+
+  return imageSettingsFor(IMAGE_PRESETS[preset] ? preset : values.preset);
+};
+
+/**
+ * Effective settings, their sources and the allowed values
+ * @returns {Promise<Object>}
+ */
+const getAiConfigStatus = async () => ({
+  operations: await resolveAiConfig(),
+  allowed: {
+    textModels: TEXT_MODELS,
+    visionModels: VISION_MODELS,
+    imagePresets: IMAGE_PRESETS,
+    temperature: { min: 0, max: 2 },
+    maxTokens: { min: 1, max: 4096 },
+  },
+});
+
+/**
+ * Change the overrides
+ * null clears a field, or a whole operation, back to its env/default value.
+ * @param {Object} changes - { [operation]: { field: value|null } | null }
+ * @returns {Promise<Object>} - Updated status (see getAiConfigStatus)
+ */
+const updateAiConfig = async (changes) => {
+  const $set = { updatedAt: new Date() };
+  const $unset = {};
+
+  for (const [operation, fields] of Object.entries(changes)) {
+    if (fields === null) {
+      $unset[`aiConfig.${operation}`] = "";
+      continue;
+    }
+    for (const [field, value] of Object.entries(fields)) {
+      if (value === null) {
+        $unset[`aiConfig.${operation}.${field}`] = "";
+      } else {
+        $set[`aiConfig.${operation}.${field}`] = value;
+      }
+    }
+  }
+
+  const update = { $set };
+  if (Object.keys($unset).length) update.$unset = $unset;
+
+  await AiSettings.updateOne({ key: "global" }, update, { upsert: true });
+  cache.delete("config");
+  return getAiConfigStatus();
+};
+
+module.exports = {
+  AI_OPERATIONS,
+  AI_CONFIG_FIELDS,
+  DEFAULT_AI_CONFIG,
+  IMAGE_PRESETS,
+  getAiConfig,
+  getAiConfigStatus,
+  updateAiConfig,
+};
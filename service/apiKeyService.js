@@ -0,0 +1,100 @@
+// service/apiKeyService.js
+const crypto = require("crypto");
+const { User, hashToken } = require("../models/user");
+const { ApiKey } = require("../models/apiKey");
+
+const API_KEY_PREFIX = "ck_";
+const MAX_KEYS_PER_USER = 20;
+const LAST_USED_RESOLUTION = 60000; // only write lastUsedAt once a minute
+
+const isApiKey = (token) => typeof token === "string" && token.startsWith(API_KEY_PREFIX);
+
+/**
+ * Create a personal API key
+ * @param {Object} user - The user document
+ * @param {Object} options - { name, scopes, expiresInDays }
+ * @returns {Promise<Object|null>} - { key, apiKey } (key is only available now), or null if the user has too many keys
+ */
+const createApiKey = async (user, { name, scopes, expiresInDays }) => {
+  const activeKeys = await ApiKey.countDocuments({ userId: user._id, revokedAt: null });
+  if (activeKeys >= MAX_KEYS_PER_USER) return null;
+
+  const prefix = crypto.randomBytes(4).toString("hex");
+  const key = `${API_KEY_PREFIX}${prefix}_${crypto.randomBytes(24).toString("hex")}`;
+
+  const apiKey = await ApiKey.create({
+    userId: user._id,
+    name,
+    prefix: `${API_KEY_PREFIX}${prefix}`,
+    keyHash: hashToken(key),
+    scopes,
+    expiresAt: expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : undefined,
+  });
+
+  return { key, apiKey };
+};
+
+/**
+ * List a user's keys (never includes the secret)
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>}
+ */
+const listApiKeys = (userId) =>
+  ApiKey.find({ userId, revokedAt: null }).select("-keyHash").sort({ createdAt: -1 });
+
+/**
+ * Revoke one of the user's keys
+ * @param {string} userId - The user ID
+ * @param {string} keyId - The key ID
+ * @returns {Promise<boolean>} - False if the key doesn't exist or isn't theirs
+ */
+const revokeApiKey = async (userId, keyId) => {
+  const result = await ApiKey.updateOne(
+    { _id: keyId, userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every active key a user has
+ * @param {string} userId - The user ID
+ */
+const revokeAllApiKeys = async (userId) => {
+  await ApiKey.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+/**
+ * Resolve the user behind an API key and track its usage
+ * @param {string} rawKey - Key from the request
+ * @param {string} ip - Client IP
+ * @returns {Promise<Object|null>} - { user, apiKey } or null if invalid/revoked/expired
+ */
+const authenticateApiKey = async (rawKey, ip) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(rawKey), revokedAt: null });
+  if (!apiKey) return null;
+  if (apiKey.expiresAt && apiKey.expiresAt < new Date()) return null;
+
+  const user = await User.findById(apiKey.userId);
+  if (!user) return null;
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION) {
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: new Date(), lastUsedIp: ip }
+    );
+  }
+
+  return { user, apiKey };
+};
+
+module.exports = {
+  isApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  revokeAllApiKeys,
+  authenticateApiKey,
+};
@@ -0,0 +1,44 @@
+// service/auditService.js
+const { AuthAudit } = require("../models/authAudit");
+
+/**
+ * Record an authentication event
+ * Never throws - a failed audit write must not break the login flow.
+ * @param {Request} req - Express request (for IP and user agent)
+ * @param {string} event - Event name, e.g. "login_failure"
+ * @param {Object} data - { userId, username, details }
+ */
+const recordAuditEvent = async (req, event, data = {}) => {
+  try {
+    await AuthAudit.create({
+      event,
+      userId: data.userId,
+      username: data.username,
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+      details: data.details,
+    });
+  } catch (error) {
+    console.error(`[Audit] Failed to record ${event}:`, error);
+  }
+};
+
+/**
+ * List audit events, newest first
+ * @param {Object} filter - { userId, username, event }
+ * @param {number} limit - Maximum number of events
+ * @returns {Promise<Array>}
+ */
+const listAuditEvents = (filter = {}, limit = 100) => {
+  const query = {};
+  if (filter.userId) query.userId = filter.userId;
+  if (filter.username) query.username = filter.username;
+  if (filter.event) query.event = filter.event;
+
+  return AuthAudit.find(query)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Number(limit) || 100, 500))
+    .lean();
+};
+
+module.exports = { recordAuditEvent, listAuditEvents };
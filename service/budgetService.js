@@ -0,0 +1,261 @@
+// service/budgetService.js
+const { AiSettings } = require("../models/aiSettings");
+const { getSpend } = require("./usageService");
+const { sendMail } = require("../utils/mailer");
+const { SimpleCache } = require("../utils/cache");
+
+/**
+ * Thrown when an AI call is refused by the kill switch or a spend budget
+ */
+class AiUnavailableError extends Error {
+  constructor(message, { status = 503, reason, retryAfter } = {}) {
+    super(message);
+    this.name = "AiUnavailableError";
+    this.status = status;
+    this.reason = reason;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const UNAVAILABLE_MESSAGE =
+  "Generation is temporarily unavailable. Please try again later.";
+
+const BUDGET_KEYS = ["globalDaily", "globalMonthly", "userDaily", "userMonthly"];
+
+/**
+ * Budget defaults in USD from the environment (unset or 0 means no limit)
+ * AI_BUDGET_GLOBAL_DAILY, AI_BUDGET_GLOBAL_MONTHLY, AI_BUDGET_USER_DAILY, AI_BUDGET_USER_MONTHLY
+ */
+const ENV_BUDGETS = {
+  globalDaily: Number(process.env.AI_BUDGET_GLOBAL_DAILY) || 0,
+  globalMonthly: Number(process.env.AI_BUDGET_GLOBAL_MONTHLY) || 0,
+  userDaily: Number(process.env.AI_BUDGET_USER_DAILY) || 0,
+  userMonthly: Number(process.env.AI_BUDGET_USER_MONTHLY) || 0,
+};
+
+// Share of a budget at which a warning is logged and emailed
+const WARN_RATIO = Number(process.env.AI_BUDGET_WARN_RATIO) || 0.8;
+
+// Settings and spend are cached briefly so every AI call doesn't hit the database.
+// Pausing takes effect immediately on the instance that received the request
+// and within SETTINGS_TTL everywhere else.
+const SETTINGS_TTL = 5000;
+const SPEND_TTL = 15000;
+const cache = new SimpleCache({ defaultTTL: SPEND_TTL, maxSize: 5000 });
+
+/**
+ * Current settings with env defaults applied
+ * @returns {Promise<Object>} - { paused, pausedAt, pauseReason, budgets }
+ */
+const getAiSettings = async () => {
+  const cached = cache.get("settings");
+  if (cached) return cached;
+
+  const doc = await AiSettings.findOne({ key: "global" }).lean();
+  const budgets = {};
+  for (const key of BUDGET_KEYS) {
+    const override = doc?.budgets?.[key];
+    budgets[key] = override === null || override === undefined ? ENV_BUDGETS[key] : override;
+  }
+
+  const settings = {
+    paused: Boolean(doc?.paused),
+    pausedAt: doc?.pausedAt || null,
+    pausedBy: doc?.pausedBy || null,
+    pauseReason: doc?.pauseReason || null,
+    budgets,
+  };
+  cache.set("settings", settings, SETTINGS_TTL);
+  return settings;
+};
+
+const startOfDay = (now = new Date()) =>
+  new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+const startOfMonth = (now = new Date()) =>
+  new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+const nextPeriodStart = (period, now = new Date()) =>
+  period === "daily"
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+
+const cachedSpend = async (since, userId) => {
+  const key = `spend:${userId || "global"}:${since.toISOString()}`;
+  const cached = cache.get(key);
+  if (cached !== null) return cached;
+
+  const spend = await getSpend({ since, userId });
+  cache.set(key, spend);
+  return spend;
+};
+
+/**
+ * Send a budget alert once per scope and period
+ * Never throws.
+ */
+const sendBudgetAlert = async (alertKey, text) => {
+  try {
+    const result = await AiSettings.updateOne(
+      { key: "global", alertsSent: { $ne: alertKey } },
+      { $push: { alertsSent: { $each: [alertKey], $slice: -200 } } }
+    );
+    if (result.modifiedCount === 0) {
+      // No settings document yet - create it so the alert is recorded
+      const created = await AiSettings.updateOne(
+        { key: "global" },
+        { $setOnInsert: { alertsSent: [alertKey] } },
+        { upsert: true }
+      );
+      if (!created.upsertedCount) return;
+    }
+
+    console.warn(`[Budget] ${text}`);
+    if (process.env.AI_BUDGET_ALERT_EMAIL) {
+      await sendMail({
+        to: process.env.AI_BUDGET_ALERT_EMAIL,
+        subject: "AI spend budget alert",
+        text,
+      });
+    }
+  } catch (error) {
+    console.error("[Budget] Failed to send budget alert:", error);
+  }
+};
+
+/**
+ * Compare spend to a limit, warning near it and refusing once it's reached
+ * @returns {Promise<void>}
+ */
+const enforceBudget = async ({ scope, period, limit, userId }) => {
+  if (!limit) return;
+
+  const now = new Date();
+  const since = period === "daily" ? startOfDay(now) : startOfMonth(now);
+  const spend = await cachedSpend(since, userId);
+  const periodKey = period === "daily"
+    ? now.toISOString().slice(0, 10)
+    : now.toISOString().slice(0, 7);
+  const label = scope === "global" ? `Global ${period}` : `User ${userId} ${period}`;
+
+  if (spend >= limit) {
+    // Per-user budgets only matter to that user, so they aren't emailed
+    if (scope === "global") {
+      sendBudgetAlert(
+        `global:${period}:${periodKey}:exceeded`,
+        `${label} AI budget of $${limit} reached ($${spend.toFixed(2)}). AI calls are stopped until the budget resets.`
+      );
+    }
+
+    const retryAfter = Math.ceil((nextPeriodStart(period, now) - now) / 1000);
+    throw scope === "global"
+      ? new AiUnavailableError(UNAVAILABLE_MESSAGE, { reason: `global_${period}_budget`, retryAfter })
+      : new AiUnavailableError(
+          `You've reached your ${period} AI usage limit. Please try again later.`,
+          { status: 429, reason: `user_${period}_budget`, retryAfter }
+        );
+  }
+
+  if (spend >= limit * WARN_RATIO) {
+    if (scope === "global") {
+      sendBudgetAlert(
+        `global:${period}:${periodKey}:warning`,
+        `${label} AI spend is at $${spend.toFixed(2)} of a $${limit} budget.`
+      );
+    } else {
+      const warnKey = `warned:${userId}:${period}:${periodKey}`;
+      if (!cache.get(warnKey)) {
+        cache.set(warnKey, true, 24 * 60 * 60 * 1000);
+        console.warn(`[Budget] ${label} AI spend is at $${spend.toFixed(2)} of $${limit}`);
+      }
+    }
+  }
+};
+
+/**
+ * Refuse an AI call when AI is paused or a budget has been used up
+ * @param {Object} context - { userId } (omit for calls not made on behalf of a user)
+ * @throws {AiUnavailableError}
+ */
+const checkAiBudget = async ({ userId } = {}) => {
+  const settings = await getAiSettings();
+
+  if (settings.paused) {
+    throw new AiUnavailableError(UNAVAILABLE_MESSAGE, { reason: "paused" });
+  }
+
+  const { budgets } = settings;
+  await enforceBudget({ scope: "global", period: "daily", limit: budgets.globalDaily });
+  await enforceBudget({ scope: "global", period: "monthly", limit: budgets.globalMonthly });
+
+  if (userId) {
+    await enforceBudget({ scope: "user", period: "daily", limit: budgets.userDaily, userId });
+    await enforceBudget({ scope: "user", period: "monthly", limit: budgets.userMonthly, userId });
+  }
+};
+
+/**
+ * Turn the kill switch on or off
+ * @param {boolean} paused - True to stop all AI calls
+ * @param {Object} details - { by: admin user ID, reason }
+ * @returns {Promise<Object>} - Updated settings
+ */
+const setAiPaused = async (paused, { by, reason } = {}) => {
+  await AiSettings.updateOne(
+    { key: "global" },
+    {
+      $set: paused
+        ? { paused, pausedAt: new Date(), pausedBy: by, pauseReason: reason, updatedAt: new Date() }
+        : { paused, pausedAt: null, pausedBy: null, pauseReason: null, updatedAt: new Date() },
+    },
+    { upsert: true }
+  );
+  cache.delete("settings");
+  return getAiSettings();
+};
+
+/**
+ * Change budget overrides
+ * @param {Object} changes - Any of BUDGET_KEYS; null reverts to the env default
+ * @returns {Promise<Object>} - Updated settings
+ */
+const updateBudgets = async (changes) => {
+  const $set = { updatedAt: new Date() };
+  for (const key of BUDGET_KEYS) {
+    if (key in changes) $set[`budgets.${key}`] = changes[key];
+  }
+
+  await AiSettings.updateOne({ key: "global" }, { $set }, { upsert: true });
+  cache.delete("settings");
+  return getAiSettings();
+};
+
+/**
+ * Kill switch state, budgets and current global spend
+ * @returns {Promise<Object>}
+ */
+const getBudgetStatus = async () => {
+  const settings = await getAiSettings();
+  const now = new Date();
+  const [dailySpend, monthlySpend] = await Promise.all([
+    getSpend({ since: startOfDay(now) }),
+    getSpend({ since: startOfMonth(now) }),
+  ]);
+
+  const round = (value) => Math.round(value * 10000) / 10000;
+  return {
+    ...settings,
+    warnRatio: WARN_RATIO,
+    spend: { daily: round(dailySpend), monthly: round(monthlySpend) },
+  };
+};
+
+module.exports = {
+  AiUnavailableError,
+  BUDGET_KEYS,
+  checkAiBudget,
+  getAiSettings,
+  setAiPaused,
+  updateBudgets,
+  getBudgetStatus,
+};
@@ -1,10 +1,13 @@
 // services/chatService.js
-const { OpenAI } = require("openai");
-const { executeWithResilience, AI_TIMEOUTS } = require("../utils/aiHelpers");
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const {
+  executeWithResilience,
+  AI_TIMEOUTS,
+  AiUnavailableError,
+} = require("../utils/aiHelpers");
+const { checkAiBudget } = require("./budgetService");
+const { recordAiUsage } = require("./usageService");
+const { getProvider } = require("../providers");
+const { getAiConfig } = require("./aiConfigService");
 
 /**
  * Format recipe context into a string for the AI
@@ -24,19 +27,22 @@ Tags: ${Array.isArray(recipeContext.tags) ? recipeContext.tags.join(', ') : 'Non
 
 /**
  * Service for handling recipe chat functionality (non-streaming)
+ * @param {Object} options - { userId } for usage metering
  */
-const generateRecipeResponse = async (message, recipeContext) => {
+const generateRecipeResponse = async (message, recipeContext, options = {}) => {
   try {
     if (!message || !recipeContext) {
       throw new Error('Missing required fields');
     }
 
     const recipeInfo = formatRecipeInfo(recipeContext);
+    const config = await getAiConfig("chat");
 
-    // Create OpenAI chat completion with timeout and retry
+    // Create chat completion with timeout and retry
     const response = await executeWithResilience(
-      () => openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
+      () => getProvider().chat({
+        model: config.model,
+        operation: "chat",
         messages: [
           {
             role: "system",
@@ -51,18 +57,27 @@ const generateRecipeResponse = async (message, recipeContext) => {
             content: message
           }
         ],
-        temperature: 0.7,
-        max_tokens: 250,
+        temperature: config.temperature,
+        maxTokens: config.maxTokens,
       }),
       {
         timeout: AI_TIMEOUTS.CHAT_RESPONSE,
         maxRetries: 2,
-        operationName: 'Chat Response'
+        operationName: 'Chat Response',
+        userId: options.userId
       }
     );
 
-    return response.choices[0].message.content.trim();
+    await recordAiUsage({
+      userId: options.userId,
+      operation: "chat",
+      model: config.model,
+      usage: response.usage,
+    });
+
+    return response.content.trim();
   } catch (error) {
+    if (error instanceof AiUnavailableError) throw error;
     console.error('Chat service error:', error);
     throw new Error(`Failed to generate recipe response: ${error.message}`);
   }
@@ -70,12 +85,13 @@ const generateRecipeResponse = async (message, recipeContext) => {
 
 /**
  * Service for handling recipe chat with STREAMING response
- * Sends tokens to client as they arrive from OpenAI
+ * Sends tokens to client as they arrive from the LLM provider
  * @param {string} message - User's message
  * @param {Object} recipeContext - The recipe details
  * @param {Response} res - Express response object for streaming
+ * @param {Object} options - { userId } for usage metering
  */
-const generateRecipeResponseStream = async (message, recipeContext, res) => {
+const generateRecipeResponseStream = async (message, recipeContext, res, options = {}) => {
   try {
     if (!message || !recipeContext) {
       throw new Error('Missing required fields');
@@ -83,6 +99,10 @@ const generateRecipeResponseStream = async (message, recipeContext, res) => {
 
     const recipeInfo = formatRecipeInfo(recipeContext);
 
+    // Refuse before opening the stream so the client gets a normal error response
+    await checkAiBudget({ userId: options.userId });
+    const config = await getAiConfig("chat");
+
     // Set up SSE headers
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
@@ -90,9 +110,10 @@ const generateRecipeResponseStream = async (message, recipeContext, res) => {
     res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
     res.flushHeaders();
 
-    // Create streaming OpenAI chat completion
-    const stream = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
+    // Create streaming chat completion
+    const stream = await getProvider().chatStream({
+      model: config.model,
+      operation: "chat",
       messages: [
         {
           role: "system",
@@ -107,27 +128,43 @@ const generateRecipeResponseStream = async (message, recipeContext, res) => {
           content: message
         }
       ],
-      temperature: 0.7,
-      max_tokens: 250,
-      stream: true, // Enable streaming
+      temperature: config.temperature,
+      maxTokens: config.maxTokens,
     });
 
     // Stream tokens to client
+    let usage = null;
     for await (const chunk of stream) {
-      const content = chunk.choices[0]?.delta?.content || '';
+      // The final chunk carries token usage and no content
+      if (chunk.usage) usage = chunk.usage;
+
+      const content = chunk.content || '';
       if (content) {
         // Send as SSE format
         res.write(`data: ${JSON.stringify({ content, done: false })}\n\n`);
       }
     }
 
+    await recordAiUsage({
+      userId: options.userId,
+      operation: "chat",
+      model: config.model,
+      usage,
+    });
+
     // Signal completion
     res.write(`data: ${JSON.stringify({ content: '', done: true })}\n\n`);
     res.end();
 
   } catch (error) {
+    // Nothing streamed yet - let the controller send a normal error response
+    if (!res.headersSent) throw error;
+
     console.error('Chat streaming error:', error);
-    
+
+    // The 200 is already out, so refund the quota explicitly
+    res.locals.unusedQuota = 1;
+
     // Send error as SSE
     res.write(`data: ${JSON.stringify({ 
       error: error.message || 'An error occurred', 
@@ -1,12 +1,24 @@
 const { v4: uuidv4 } = require("uuid");
-const { OpenAI } = require("openai");
 const cloudinary = require("cloudinary").v2;
 const { 
   executeWithResilience, 
   withTimeout,
-  AI_TIMEOUTS 
+  AI_TIMEOUTS,
+  AiUnavailableError
 } = require("../utils/aiHelpers");
-const { recipeCache, SimpleCache, CACHE_CONFIG } = require("../utils/cache");
+const { checkAiBudget } = require("./budgetService");
+const { recipeCache, generatedRecipes, SimpleCache, CACHE_CONFIG } = require("../utils/cache");
+const { recordAiUsage } = require("./usageService");
+const { getProvider } = require("../providers");
+const { getAiConfig } = require("./aiConfigService");
+const { validateRecipe } = require("../models/cocktailModel");
+const { renderPrompt } = require("../prompts");
+const {
+  assignVariant,
+  applyVariantConfig,
+  recordExposure,
+  findExperimentTag,
+} = require("./experimentService");
 
 cloudinary.config({
   cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
@@ -14,10 +26,6 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
 // Function to upload image to Cloudinary with optimization
 const uploadToCloudinary = async (imageUrl, cocktailId) => {
   try {
@@ -48,210 +56,391 @@ const uploadToCloudinary = async (imageUrl, cocktailId) => {
   }
 };
 
-const generateCocktail = async (ingredients, flavors, dietaryNeeds, options = {}) => {
-  const { skipCache = false } = options;
+// Without Cloudinary configured (e.g. running offline with the mock provider)
+// the generated image URL is used as-is for every size
+const storeImage = async (imageUrl, cocktailId) => {
+  if (!process.env.CLOUDINARY_CLOUD_NAME) {
+    return { original: imageUrl, thumbnail: imageUrl, medium: imageUrl, large: imageUrl };
+  }
 
-  // Generate cache key from inputs
-  const cacheKey = SimpleCache.generateKey({ ingredients, flavors, dietaryNeeds });
+  return withTimeout(
+    uploadToCloudinary(imageUrl, cocktailId),
+    AI_TIMEOUTS.CLOUDINARY_UPLOAD,
+    'Cloudinary Upload'
+  );
+};
 
-  // Check cache first (unless explicitly skipped)
-  if (!skipCache) {
-    const cachedRecipe = recipeCache.get(cacheKey);
-    if (cachedRecipe) {
-      console.log(`[Cache] Hit for recipe: ${cachedRecipe.name}`);
-      // Return cached recipe with new ID (so it's a fresh instance)
-      return {
-        ...cachedRecipe,
-        cocktailId: uuidv4(),
-        imageUrl: null,
-        imageStatus: "pending",
-        fromCache: true
-      };
-    }
-    console.log(`[Cache] Miss - generating new recipe`);
+/**
+ * Thrown when a recipe can't be generated, classified so the controller
+ * can tell the user what went wrong
+ * reason: invalid_output, timeout, rate_limited, content_rejected, provider_error, internal
+ */
+class RecipeGenerationError extends Error {
+  constructor(message, { status = 500, reason = "internal", details, cause } = {}) {
+    super(message);
+    this.name = "RecipeGenerationError";
+    this.status = status;
+    this.reason = reason;
+    this.details = details;
+    this.cause = cause;
   }
+}
+
+/**
+ * Classify a failure from recipe generation
+ * @param {Error} error - Error thrown while generating
+ * @returns {Error} - AiUnavailableError as-is, otherwise a RecipeGenerationError
+ */
+const classifyGenerationError = (error) => {
+  if (error instanceof AiUnavailableError || error instanceof RecipeGenerationError) {
+    return error;
+  }
+
+  if (error.message && error.message.includes("timed out")) {
+    return new RecipeGenerationError(
+      "Recipe generation took too long. Please try again.",
+      { status: 504, reason: "timeout", cause: error }
+    );
+  }
+  if (error.status === 429) {
+    return new RecipeGenerationError(
+      "Our mixologist is busy right now. Please try again in a minute.",
+      { status: 503, reason: "rate_limited", cause: error }
+    );
+  }
+  if (error.status === 400 && /content.?policy|safety/i.test(`${error.code} ${error.message}`)) {
+    return new RecipeGenerationError(
+      "We couldn't create a recipe from that request. Try different ingredients or flavors.",
+      { status: 422, reason: "content_rejected", cause: error }
+    );
+  }
+  if (error.status) {
+    return new RecipeGenerationError(
+      "The recipe generator is unavailable right now. Please try again later.",
+      { status: 502, reason: "provider_error", cause: error }
+    );
+  }
+  return new RecipeGenerationError("Failed to generate cocktail recipe", { cause: error });
+};
 
+/**
+ * Parse and validate model output against the recipe schema
+ * @param {string} content - Raw model output
+ * @returns {Object} - { recipe } when valid, otherwise { errors }
+ */
+const checkRecipeOutput = (content) => {
+  const cleaned = (content || "")
+    .replace(/```json\n?/g, "")
+    .replace(/```\n?/g, "")
+    .trim();
+
+  let data;
   try {
-    const prompt = `As an expert mixologist with 20+ years of experience, create a sophisticated cocktail recipe using these preferences:
-
-Available Ingredients: ${ingredients.join(", ")}
-Desired Flavors: ${flavors.join(", ")}
-Dietary Requirements: ${dietaryNeeds.join(", ")}
-
-Create a unique, well-balanced cocktail that showcases these preferences. Provide comprehensive details including precise measurements, specific techniques, and professional tips.
-
-IMPORTANT REQUIREMENTS:
-- Include at least 4-6 ingredients with exact measurements (oz, ml, dashes, etc.)
-- Provide 6-8 detailed step-by-step instructions with specific techniques
-- Include garnish specifications and glassware recommendations
-- Add professional mixing techniques (shake, stir, muddle, etc.)
-- Mention timing, temperature, and texture details
-- Include flavor balance notes and variations
-
-Analyze the nutritional value and health aspects thoroughly, considering alcohol content, sugar levels, antioxidants, vitamins, and overall wellness impact.
-
-Respond with ONLY valid JSON in this exact format:
-{
-  "name": "Creative Cocktail Name",
-  "ingredients": [
-    "2 oz premium base spirit (specific brand recommendation)",
-    "0.75 oz fresh citrus juice (specify type)",
-    "0.5 oz liqueur or modifier (specify type and purpose)",
-    "0.25 oz sweetener (specify type - simple syrup, honey, etc.)",
-    "2-3 dashes bitters (specify type)",
-    "Fresh herb or spice (for muddling/garnish)",
-    "Additional ingredients as needed"
-  ],
-  "instructions": [
-    "Prepare your glassware: [specific glass type] chilled/at room temperature",
-    "In shaker/mixing glass, gently muddle [specific ingredient] to release oils",
-    "Add [liquid ingredients in specific order] and fill with ice",
-    "Shake vigorously for 12-15 seconds / Stir gently for 30 seconds [specify technique and why]",
-    "Double strain into prepared glass over [ice specification]",
-    "Express oils from [citrus peel] over drink and drop in",
-    "Garnish with [specific garnish] placed [specific position]",
-    "Serve immediately with [any accompaniments]"
-  ],
-  "description": "Detailed description covering flavor profile, aroma, visual appeal, and drinking experience (2-3 sentences)",
-  "tip": "Professional tip covering technique, ingredient substitutions, or serving suggestions that elevates the cocktail",
-  "glassware": "Specific glass type (coupe, rocks, highball, etc.)",
-  "technique": "Primary mixing technique used (shaken, stirred, built)",
-  "servingTemp": "Optimal serving temperature",
-  "healthRating": 7,
-  "healthNotes": "Comprehensive analysis covering: alcohol content impact, natural vs artificial ingredients, vitamin/antioxidant content, sugar levels, caloric estimate, and any specific health benefits or considerations (3-4 sentences)"
-}
+    data = JSON.parse(cleaned);
+  } catch (parseError) {
+    return { errors: [`The response is not valid JSON (${parseError.message})`] };
+  }
 
-The healthRating should be on a scale of 1-10 where:
-1-3: High alcohol, high sugar, artificial ingredients, minimal nutritional value
-4-6: Moderate alcohol, some natural ingredients, balanced indulgence
-7-10: Lower alcohol content, fresh/natural ingredients, functional health benefits`;
+  const { error, value } = validateRecipe(data);
+  if (error) return { errors: error.details.map((detail) => detail.message) };
+  return { recipe: value };
+};
 
-    // Execute with timeout and retry for resilience
-    const response = await executeWithResilience(
-      () => openai.chat.completions.create({
-      model: "gpt-4",
+/**
+ * Return a valid recipe from model output, re-prompting once with the
+ * validation errors if it's invalid or incomplete
+ * @param {Object} params - { content, messages (the original conversation), config, userId, onRepair }
+ * @returns {Promise<Object>} - The validated recipe
+ * @throws {RecipeGenerationError} - invalid_output if the repair is still invalid
+ */
+const ensureValidRecipe = async ({ content, messages, config, userId, onRepair }) => {
+  const first = checkRecipeOutput(content);
+  if (first.recipe) return first.recipe;
+
+  console.warn(`[Recipe] Invalid output, asking for a repair: ${first.errors.join("; ")}`);
+  if (onRepair) onRepair(first.errors);
+
+  const response = await executeWithResilience(
+    () => getProvider().chat({
+      model: config.model,
+      operation: "recipe",
       messages: [
-        {
-          role: "system",
-          content:
-            "You are a world-renowned mixologist and cocktail expert with extensive knowledge of flavor profiles, techniques, and health-conscious bartending. You create only sophisticated, well-balanced cocktails with precise measurements and detailed instructions. Always respond with valid JSON only - no additional text, markdown, or explanations.",
-        },
+        ...messages,
+        { role: "assistant", content },
         {
           role: "user",
-          content: prompt,
+          content: renderPrompt("recipeRepair", {
+            errors: first.errors.map((e) => `- ${e}`).join("\n"),
+          }).user,
         },
       ],
-      temperature: 0.8,
-      max_tokens: 1200,
-      }),
-      {
-        timeout: AI_TIMEOUTS.RECIPE_GENERATION,
-        maxRetries: 3,
-        operationName: 'Recipe Generation'
-      }
-    );
+      // Low temperature - this should fix the output, not reinvent the drink
+      temperature: 0.2,
+      maxTokens: config.maxTokens,
+    }),
+    {
+      timeout: AI_TIMEOUTS.RECIPE_GENERATION,
+      maxRetries: 1,
+      operationName: 'Recipe Repair',
+      userId
+    }
+  );
+
+  await recordAiUsage({
+    userId,
+    operation: "recipe",
+    model: config.model,
+    usage: response.usage,
+  });
+
+  const repaired = checkRecipeOutput(response.content);
+  if (repaired.recipe) {
+    console.log(`[Recipe] Repair succeeded: ${repaired.recipe.name}`);
+    return repaired.recipe;
+  }
 
-    const recipeString = response.choices[0].message.content.trim();
+  console.error(`[Recipe] Repair failed: ${repaired.errors.join("; ")}`);
+  throw new RecipeGenerationError(
+    "We couldn't put together a complete recipe this time. Please try again.",
+    { status: 502, reason: "invalid_output", details: repaired.errors }
+  );
+};
 
-    const cleanedRecipeString = recipeString
-      .replace(/```json\n?/g, "")
-      .replace(/```\n?/g, "")
-      .trim();
+// Chat messages for a rendered "recipe" prompt
+const recipeMessages = (prompt) => [
+  { role: "system", content: prompt.system },
+  { role: "user", content: prompt.user },
+];
+
+// Recipes are cached per prompt version (and experiment variant) so a rollout
+// or rollback doesn't serve recipes generated by a different prompt
+const recipeCacheKey = (prompt, inputs, assignment) =>
+  SimpleCache.generateKey({
+    ...inputs,
+    prompt: prompt.id,
+    ...(assignment && { variant: `${assignment.experimentKey}/${assignment.variant.key}` }),
+  });
+
+// Experiment fields stored on the recipe (and saved with it)
+const experimentTag = (assignment) =>
+  assignment ? { key: assignment.experimentKey, variant: assignment.variant.key } : undefined;
 
-    // Attempt to parse JSON, with error handling
-    let recipe;
-    try {
-      recipe = JSON.parse(cleanedRecipeString);
-    } catch (parseError) {
-      console.error("JSON Parse Error:", parseError);
-      console.log("Received content:", cleanedRecipeString);
-      throw new Error("Invalid JSON format received from API");
-    }
+/**
+ * Remember how a recipe was generated and for whom, so saving it can record
+ * its prompt versions and experiment without trusting the client
+ * @param {Object} recipe - Generated recipe with a cocktailId
+ * @param {string} userId - The user it was generated for
+ */
+const rememberGeneratedRecipe = (recipe, userId) => {
+  if (!userId) return;
+  generatedRecipes.set(recipe.cocktailId, {
+    userId: String(userId),
+    promptVersion: recipe.promptVersion,
+    imagePromptVersion: recipe.imagePromptVersion,
+    experiment: recipe.experiment,
+  });
+};
 
-    const requiredFields = [
-      "name",
-      "ingredients",
-      "instructions",
-      "description",
-      "tip",
-      "healthRating",
-      "healthNotes",
-    ];
-
-    const missingFields = requiredFields.filter((field) => !recipe[field]);
-
-    if (missingFields.length > 0) {
-      throw new Error(
-        `Recipe missing required fields: ${missingFields.join(", ")}`
-      );
+/**
+ * Generation tags to store with a saved recipe
+ * Recipes generated too long ago (or on another instance) only get their
+ * experiment, from the recorded exposure. Other users' recipes get nothing.
+ * @param {string} cocktailId - The recipe's cocktailId
+ * @param {string} userId - The user saving it
+ * @returns {Promise<Object>} - { promptVersion, imagePromptVersion, experiment }, unknown ones unset
+ */
+const generationTags = async (cocktailId, userId) => {
+  if (!cocktailId || typeof cocktailId !== "string") return {};
+
+  const generated = generatedRecipes.get(cocktailId);
+  if (generated) {
+    if (generated.userId !== String(userId)) return {};
+    const { promptVersion, imagePromptVersion, experiment } = generated;
+    return { promptVersion, imagePromptVersion, experiment };
+  }
+
+  return { experiment: await findExperimentTag(cocktailId, userId) };
+};
+
+const recipeImagePrompt = (recipe) =>
+  renderPrompt("recipeImage", {
+    name: recipe.name,
+    glassware: recipe.glassware || "elegant glass",
+    keyIngredients: recipe.ingredients.slice(0, 3),
+    description: recipe.description || "a beautiful garnish",
+  });
+
+/**
+ * One recipe completion, validated (and repaired once if needed)
+ * @param {Object} params - { messages, config, userId }
+ * @returns {Promise<Object>} - The validated recipe
+ */
+const requestRecipe = async ({ messages, config, userId }) => {
+  // Execute with timeout and retry for resilience
+  const response = await executeWithResilience(
+    () => getProvider().chat({
+      model: config.model,
+      operation: "recipe",
+      messages,
+      temperature: config.temperature,
+      maxTokens: config.maxTokens,
+    }),
+    {
+      timeout: AI_TIMEOUTS.RECIPE_GENERATION,
+      maxRetries: 3,
+      operationName: 'Recipe Generation',
+      userId
     }
+  );
+
+  await recordAiUsage({
+    userId,
+    operation: "recipe",
+    model: config.model,
+    usage: response.usage,
+  });
+
+  return ensureValidRecipe({
+    content: response.content,
+    messages,
+    config,
+    userId
+  });
+};
 
-    if (!Array.isArray(recipe.ingredients) || recipe.ingredients.length < 3) {
-      throw new Error("Recipe must have at least 3 detailed ingredients");
+/**
+ * Generate an image and store it under the recipe's cocktailId
+ * @param {string} cocktailId - Recipe the image belongs to (its storage ID)
+ * @param {string} prompt - Image prompt
+ * @param {string} userId - For usage metering
+ * @returns {Promise<Object|null>} - Image URLs by size, or null if the provider returned none
+ */
+const createRecipeImage = async (cocktailId, prompt, userId) => {
+  // Image preset from the AI config
+  const settings = await getAiConfig("image");
+
+  const imageResponse = await executeWithResilience(
+    () => getProvider().generateImage({
+      prompt,
+      ...settings,
+    }),
+    {
+      timeout: AI_TIMEOUTS.IMAGE_GENERATION,
+      maxRetries: 2,
+      operationName: 'Image Generation',
+      userId
     }
+  );
+
+  console.log(`[Image] Generated with "${settings.preset}" preset using ${settings.model}`);
+  await recordAiUsage({
+    userId,
+    operation: "recipe",
+    model: settings.model,
+    images: 1,
+    size: settings.size,
+    quality: settings.quality,
+  });
+
+  if (!imageResponse.url) return null;
+
+  // Upload to Cloudinary
+  return storeImage(imageResponse.url, cocktailId);
+};
 
-    if (!Array.isArray(recipe.instructions) || recipe.instructions.length < 5) {
-      throw new Error("Recipe must have at least 5 detailed instructions");
+/**
+ * Generate and store the recipe's image, setting imageUrl/imageUrls on it
+ * Image failures are logged and leave imageUrl null - the recipe is still usable.
+ * @param {Object} recipe - Recipe with a cocktailId
+ * @param {string} userId - For usage metering
+ */
+const attachRecipeImage = async (recipe, userId) => {
+  try {
+    const imagePrompt = recipeImagePrompt(recipe);
+    recipe.imagePromptVersion = imagePrompt.id;
+
+    const imageUrls = await createRecipeImage(recipe.cocktailId, imagePrompt.prompt, userId);
+    if (imageUrls) {
+      // Store all image sizes
+      recipe.imageUrl = imageUrls.medium;      // Default to medium size
+      recipe.imageUrls = imageUrls;            // All sizes available
+      console.log(`[Image] Stored image for ${recipe.name}`);
     }
+  } catch (imageError) {
+    console.error("Image generation/upload error:", imageError);
+    recipe.imageUrl = null; // Continue without image if it fails
+  }
+};
 
-    recipe.cocktailId = uuidv4();
+/**
+ * Generate the image for a saved recipe whose image was deferred
+ * (a picked variation), stored under the recipe's cocktailId
+ * The prompt is always rendered from the saved recipe, never taken from the client.
+ * @param {Object} cocktail - Saved Cocktail document
+ * @param {Object} options - { userId } for usage metering
+ * @returns {Promise<Object>} - Image URLs by size
+ * @throws {Error} - If no image could be generated or stored
+ */
+const generateRecipeImage = async (cocktail, { userId } = {}) => {
+  const imagePrompt = recipeImagePrompt(cocktail);
+  cocktail.imagePromptVersion = imagePrompt.id;
 
-    // Generate image inline (original approach - waits for image)
-    try {
-      const imagePrompt = `A stunning, professional photograph of a ${
-        recipe.name
-      } cocktail in a ${recipe.glassware || "elegant glass"}. 
-      
-      The cocktail is made with ${recipe.ingredients
-        .slice(0, 3)
-        .join(", ")} and features ${recipe.description}. 
-      
-      Shot with professional studio lighting, shallow depth of field, on a sophisticated bar counter with premium bar tools visible in the background. The drink should look refreshing and appetizing with perfect garnish placement. 
-      
-      Style: high-end cocktail photography, dramatic lighting, rich colors, photorealistic, 4K quality.`;
-
-      // Image quality settings
-      const imageQuality = process.env.IMAGE_QUALITY || "balanced";
-      
-      const imageSettings = {
-        fast: { model: "dall-e-2", size: "512x512" },
-        balanced: { model: "dall-e-3", size: "1024x1024", quality: "standard", style: "natural" },
-        quality: { model: "dall-e-3", size: "1024x1024", quality: "hd", style: "vivid" }
-      };
+  const imageUrls = await createRecipeImage(cocktail.cocktailId, imagePrompt.prompt, userId);
+  if (!imageUrls) {
+    throw new Error("The image provider returned no image");
+  }
 
-      const settings = imageSettings[imageQuality] || imageSettings.balanced;
+  cocktail.imageUrl = imageUrls.medium;
+  return imageUrls;
+};
 
-      const imageResponse = await executeWithResilience(
-        () => openai.images.generate({
-        prompt: imagePrompt,
-        n: 1,
-          ...settings,
-        }),
-        {
-          timeout: AI_TIMEOUTS.IMAGE_GENERATION,
-          maxRetries: 2,
-          operationName: 'Image Generation'
-        }
-      );
+const generateCocktail = async (ingredients, flavors, dietaryNeeds, options = {}) => {
+  const { skipCache = false, userId } = options;
+  const assignment = await assignVariant(userId);
+  const prompt = renderPrompt(
+    "recipe",
+    { ingredients, flavors, dietaryNeeds },
+    { version: assignment?.variant.promptVersion }
+  );
 
-      console.log(`[Image] Generated with "${imageQuality}" quality using ${settings.model}`);
-
-      if (imageResponse.data && imageResponse.data[0].url) {
-        // Upload to Cloudinary
-        const imageUrls = await withTimeout(
-          uploadToCloudinary(imageResponse.data[0].url, recipe.cocktailId),
-          AI_TIMEOUTS.CLOUDINARY_UPLOAD,
-          'Cloudinary Upload'
-        );
-        // Store all image sizes
-        recipe.imageUrl = imageUrls.medium;      // Default to medium size
-        recipe.imageUrls = imageUrls;            // All sizes available
-        console.log(`[Image] Uploaded to Cloudinary: ${imageUrls.medium}`);
-      }
-    } catch (imageError) {
-      console.error("Image generation/upload error:", imageError);
-      recipe.imageUrl = null; // Continue without image if it fails
+  // Generate cache key from inputs
+  const cacheKey = recipeCacheKey(prompt, { ingredients, flavors, dietaryNeeds }, assignment);
+
+  // Check cache first (unless explicitly skipped)
+  if (!skipCache) {
+    const cachedRecipe = recipeCache.get(cacheKey);
+    if (cachedRecipe) {
+      console.log(`[Cache] Hit for recipe: ${cachedRecipe.name}`);
+      // Return cached recipe with new ID (so it's a fresh instance)
+      const recipe = {
+        ...cachedRecipe,
+        cocktailId: uuidv4(),
+        imageUrl: null,
+        imageStatus: "pending",
+        fromCache: true
+      };
+      rememberGeneratedRecipe(recipe, userId);
+      await recordExposure(assignment, {
+        userId,
+        cocktailId: recipe.cocktailId,
+        outcome: "success",
+        fromCache: true,
+      });
+      return recipe;
     }
+    console.log(`[Cache] Miss - generating new recipe`);
+  }
+
+  try {
+    const config = applyVariantConfig(await getAiConfig("recipe"), assignment);
+    const recipe = await requestRecipe({ messages: recipeMessages(prompt), config, userId });
+
+    recipe.cocktailId = uuidv4();
+    recipe.promptVersion = prompt.id;
+    recipe.experiment = experimentTag(assignment);
+
+    // Generate image inline (original approach - waits for image)
+    await attachRecipeImage(recipe, userId);
 
     // Cache the recipe for future requests
     const recipeToCache = { ...recipe };
@@ -259,11 +448,182 @@ The healthRating should be on a scale of 1-10 where:
     recipeCache.set(cacheKey, recipeToCache, CACHE_CONFIG.RECIPE_TTL);
     console.log(`[Cache] Stored recipe: ${recipe.name}`);
 
+    rememberGeneratedRecipe(recipe, userId);
+    await recordExposure(assignment, { userId, cocktailId: recipe.cocktailId, outcome: "success" });
     return recipe;
   } catch (error) {
+    if (error instanceof AiUnavailableError) throw error;
     console.error("Error generating cocktail recipe:", error);
-    throw new Error(`Failed to generate cocktail recipe: ${error.message}`);
+    const classified = classifyGenerationError(error);
+    await recordExposure(assignment, {
+      userId,
+      outcome: "failure",
+      failureReason: classified.reason,
+    });
+    throw classified;
+  }
+};
+
+// Directions handed to concurrent variations so they don't all come out alike
+const VARIATION_STYLES = [
+  "classic",
+  "modern",
+  "spirit-forward",
+  "light and refreshing",
+  "herbal",
+  "tropical",
+  "smoky",
+  "dessert-style",
+];
+const DEFAULT_VARIATIONS = 3;
+const MAX_VARIATIONS = 4;
+
+/**
+ * Number of variations requested
+ * @param {*} value - Requested count (optional)
+ * @returns {number|null} - The count, or null if it isn't 2-MAX_VARIATIONS
+ */
+const variationCount = (value = DEFAULT_VARIATIONS) =>
+  Number.isInteger(value) && value >= 2 && value <= MAX_VARIATIONS ? value : null;
+
+// Quota units for a variations request: one per recipe, plus one per image
+// unless images are deferred (a picked variation's image is charged separately)
+const variationQuota = (count, deferImages) => count * (deferImages ? 1 : 2);
+
+// Two variations are duplicates if their names match or they share most ingredients
+const SIMILAR_INGREDIENTS = 0.6;
+
+const normalizeName = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+
+// "2 oz fresh lime juice (about 1 lime)" -> "lime juice"
+const ingredientKey = (ingredient) =>
+  ingredient
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, " ")
+    .replace(/[\d./½¼¾-]+/g, " ")
+    .replace(/\b(oz|ml|cl|tsp|tbsp|cups?|parts?|dash(es)?|drops?|sprigs?|slices?|wedges?|leaves|of|fresh|freshly|premium|to|top|for|garnish)\b/g, " ")
+    .replace(/[^a-z ]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const isSimilarRecipe = (a, b) => {
+  if (normalizeName(a.name) === normalizeName(b.name)) return true;
+
+  const keysA = new Set(a.ingredients.map(ingredientKey).filter(Boolean));
+  const keysB = new Set(b.ingredients.map(ingredientKey).filter(Boolean));
+  const shared = [...keysA].filter((key) => keysB.has(key)).length;
+  const union = new Set([...keysA, ...keysB]).size;
+  return union > 0 && shared / union >= SIMILAR_INGREDIENTS;
+};
+
+/**
+ * Generate several distinct recipes for the same preferences
+ * Variations are generated concurrently, each nudged in a different direction.
+ * Near-duplicates (same name or mostly the same ingredients) are dropped and
+ * regenerated once. Results aren't cached.
+ * @param {Array} ingredients - List of ingredients
+ * @param {Array} flavors - Desired flavors
+ * @param {Array} dietaryNeeds - Dietary requirements
+ * @param {Object} options - { count, deferImages, userId }
+ *   deferImages (default true) skips image generation and returns each
+ *   recipe's imagePrompt instead; POST /api/cocktail/variations/image
+ *   renders it again from the recipe once the user picks and saves one
+ * @returns {Promise<Object>} - { recipes, failed, duplicatesRemoved }
+ * @throws {RecipeGenerationError|AiUnavailableError} - Only if every variation failed
+ */
+const generateCocktailVariations = async (ingredients, flavors, dietaryNeeds, options = {}) => {
+  const { count = DEFAULT_VARIATIONS, deferImages = true, userId } = options;
+  const assignment = await assignVariant(userId);
+  const prompt = renderPrompt(
+    "recipe",
+    { ingredients, flavors, dietaryNeeds },
+    { version: assignment?.variant.promptVersion }
+  );
+  const config = applyVariantConfig(await getAiConfig("recipe"), assignment);
+
+  const generateVariation = async (index) => {
+    const variation = renderPrompt("recipeVariation", {
+      index: index + 1,
+      count,
+      style: VARIATION_STYLES[index % VARIATION_STYLES.length],
+    });
+    const messages = [...recipeMessages(prompt), { role: "user", content: variation.user }];
+
+    const recipe = await requestRecipe({ messages, config, userId });
+    recipe.cocktailId = uuidv4();
+    recipe.promptVersion = prompt.id;
+    recipe.experiment = experimentTag(assignment);
+    return recipe;
+  };
+
+  const recipes = [];
+  const errors = [];
+  let duplicatesRemoved = 0;
+
+  const runRound = async (indexes) => {
+    const results = await Promise.allSettled(indexes.map(generateVariation));
+    let duplicates = 0;
+    for (const result of results) {
+      if (result.status === "rejected") {
+        errors.push(result.reason);
+      } else if (recipes.some((recipe) => isSimilarRecipe(recipe, result.value))) {
+        console.log(`[Variations] Dropped near-duplicate: ${result.value.name}`);
+        duplicates++;
+      } else {
+        recipes.push(result.value);
+      }
+    }
+    return duplicates;
+  };
+
+  const indexes = Array.from({ length: count }, (_, i) => i);
+  duplicatesRemoved = await runRound(indexes);
+
+  // One more try for duplicates, with directions not used yet
+  if (duplicatesRemoved > 0) {
+    duplicatesRemoved += await runRound(
+      Array.from({ length: duplicatesRemoved }, (_, i) => count + i)
+    );
   }
+
+  const failures = [];
+  for (const error of errors) {
+    if (error instanceof AiUnavailableError) {
+      failures.push(error);
+      continue;
+    }
+    console.error("Error generating cocktail variation:", error);
+    const classified = classifyGenerationError(error);
+    await recordExposure(assignment, {
+      userId,
+      outcome: "failure",
+      failureReason: classified.reason,
+    });
+    failures.push(classified);
+  }
+
+  if (recipes.length === 0) throw failures[0];
+
+  if (deferImages) {
+    for (const recipe of recipes) {
+      const imagePrompt = recipeImagePrompt(recipe);
+      recipe.imageUrl = null;
+      recipe.imageStatus = "deferred";
+      recipe.imagePrompt = imagePrompt.prompt;
+      recipe.imagePromptVersion = imagePrompt.id;
+    }
+  } else {
+    await Promise.all(recipes.map((recipe) => attachRecipeImage(recipe, userId)));
+  }
+
+  recipes.forEach((recipe) => rememberGeneratedRecipe(recipe, userId));
+  await Promise.all(
+    recipes.map((recipe) =>
+      recordExposure(assignment, { userId, cocktailId: recipe.cocktailId, outcome: "success" })
+    )
+  );
+
+  return { recipes, failed: errors.length, duplicatesRemoved };
 };
 
 /**
@@ -273,8 +633,16 @@ The healthRating should be on a scale of 1-10 where:
  * @param {Array} flavors - Desired flavors  
  * @param {Array} dietaryNeeds - Dietary requirements
  * @param {Response} res - Express response object for streaming
+ * @param {Object} options - { userId } for usage metering
  */
-const generateCocktailStream = async (ingredients, flavors, dietaryNeeds, res) => {
+const generateCocktailStream = async (ingredients, flavors, dietaryNeeds, res, options = {}) => {
+  const { userId } = options;
+
+  // Refuse before opening the stream so the client gets a normal error response
+  await checkAiBudget({ userId });
+  const assignment = await assignVariant(userId);
+  const config = applyVariantConfig(await getAiConfig("recipeStream"), assignment);
+
   // Set up SSE headers
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
@@ -290,48 +658,36 @@ const generateCocktailStream = async (ingredients, flavors, dietaryNeeds, res) =
   try {
     sendEvent('status', 'Starting recipe generation...');
 
-    const prompt = `As an expert mixologist with 20+ years of experience, create a sophisticated cocktail recipe using these preferences:
-
-Available Ingredients: ${ingredients.join(", ")}
-Desired Flavors: ${flavors.join(", ")}
-Dietary Requirements: ${dietaryNeeds.join(", ")}
-
-Create a unique, well-balanced cocktail. Respond with ONLY valid JSON in this exact format:
-{
-  "name": "Creative Cocktail Name",
-  "ingredients": ["2 oz spirit", "0.75 oz citrus", "0.5 oz sweetener"],
-  "instructions": ["Step 1", "Step 2", "Step 3"],
-  "description": "Flavor profile description",
-  "tip": "Professional tip",
-  "glassware": "Glass type",
-  "healthRating": 7,
-  "healthNotes": "Health analysis"
-}`;
+    const prompt = renderPrompt(
+      "recipe",
+      { ingredients, flavors, dietaryNeeds },
+      { version: assignment?.variant.promptVersion }
+    );
 
     sendEvent('status', 'Consulting our AI mixologist...');
 
-    // Stream from OpenAI
-    const stream = await openai.chat.completions.create({
-      model: "gpt-4",
-      messages: [
-        {
-          role: "system",
-          content: "You are a world-renowned mixologist. Create sophisticated cocktails with precise measurements. Respond with valid JSON only."
-        },
-        { role: "user", content: prompt }
-      ],
-      temperature: 0.8,
-      max_tokens: 1200,
-      stream: true
+    const messages = recipeMessages(prompt);
+
+    // Stream from the LLM provider
+    const stream = await getProvider().chatStream({
+      model: config.model,
+      operation: "recipe",
+      messages,
+      temperature: config.temperature,
+      maxTokens: config.maxTokens,
     });
 
     let fullContent = '';
     let lastParsedState = {};
+    let usage = null;
 
     sendEvent('status', 'Crafting your perfect cocktail...');
 
     for await (const chunk of stream) {
-      const content = chunk.choices[0]?.delta?.content || '';
+      // The final chunk carries token usage and no content
+      if (chunk.usage) usage = chunk.usage;
+
+      const content = chunk.content || '';
       if (content) {
         fullContent += content;
         
@@ -369,23 +725,21 @@ Create a unique, well-balanced cocktail. Respond with ONLY valid JSON in this ex
       }
     }
 
-    // Parse final complete recipe
-    const cleanedContent = fullContent
-      .replace(/```json\n?/g, "")
-      .replace(/```\n?/g, "")
-      .trim();
+    await recordAiUsage({ userId, operation: "recipe", model: config.model, usage });
 
-    let recipe;
-    try {
-      recipe = JSON.parse(cleanedContent);
-    } catch (parseError) {
-      sendEvent('error', 'Failed to parse recipe. Please try again.');
-      res.end();
-      return;
-    }
+    // Validate the final recipe, re-prompting once if it's invalid
+    const recipe = await ensureValidRecipe({
+      content: fullContent,
+      messages,
+      config,
+      userId,
+      onRepair: () => sendEvent('status', 'Polishing your recipe...')
+    });
 
     // Add metadata
     recipe.cocktailId = uuidv4();
+    recipe.promptVersion = prompt.id;
+    recipe.experiment = experimentTag(assignment);
 
     // Send recipe without image first (so user sees content immediately)
     sendEvent('complete', { ...recipe, imageUrl: null });
@@ -393,51 +747,39 @@ Create a unique, well-balanced cocktail. Respond with ONLY valid JSON in this ex
 
     // Generate image
     try {
-      const imagePrompt = `A stunning, professional photograph of a ${
-        recipe.name
-      } cocktail in a ${recipe.glassware || "elegant glass"}. 
-      
-      The cocktail is made with ${recipe.ingredients
-        .slice(0, 3)
-        .join(", ")} and features ${recipe.description}. 
-      
-      Shot with professional studio lighting, shallow depth of field, on a sophisticated bar counter. 
-      
-      Style: high-end cocktail photography, dramatic lighting, rich colors, photorealistic.`;
-
-      const imageQuality = process.env.IMAGE_QUALITY || "balanced";
-      
-      const imageSettings = {
-        fast: { model: "dall-e-2", size: "512x512" },
-        balanced: { model: "dall-e-3", size: "1024x1024", quality: "standard", style: "natural" },
-        quality: { model: "dall-e-3", size: "1024x1024", quality: "hd", style: "vivid" }
-      };
+      const imagePrompt = recipeImagePrompt(recipe);
+      recipe.imagePromptVersion = imagePrompt.id;
 
-      const settings = imageSettings[imageQuality] || imageSettings.balanced;
+      const settings = await getAiConfig("image");
 
       sendEvent('status', 'Generating cocktail image...');
 
       const imageResponse = await executeWithResilience(
-        () => openai.images.generate({
-          prompt: imagePrompt,
-          n: 1,
+        () => getProvider().generateImage({
+          prompt: imagePrompt.prompt,
           ...settings,
         }),
         {
           timeout: AI_TIMEOUTS.IMAGE_GENERATION,
           maxRetries: 2,
-          operationName: 'Image Generation'
+          operationName: 'Image Generation',
+          userId
         }
       );
 
-      if (imageResponse.data && imageResponse.data[0].url) {
+      await recordAiUsage({
+        userId,
+        operation: "recipe",
+        model: settings.model,
+        images: 1,
+        size: settings.size,
+        quality: settings.quality,
+      });
+
+      if (imageResponse.url) {
         sendEvent('status', 'Uploading image...');
         
-        const imageUrls = await withTimeout(
-          uploadToCloudinary(imageResponse.data[0].url, recipe.cocktailId),
-          AI_TIMEOUTS.CLOUDINARY_UPLOAD,
-          'Cloudinary Upload'
-        );
+        const imageUrls = await storeImage(imageResponse.url, recipe.cocktailId);
         
         recipe.imageUrl = imageUrls.medium;   // Default to medium
         recipe.imageUrls = imageUrls;         // All sizes
@@ -451,10 +793,12 @@ Create a unique, well-balanced cocktail. Respond with ONLY valid JSON in this ex
     }
 
     // Cache the complete recipe
-    const cacheKey = SimpleCache.generateKey({ ingredients, flavors, dietaryNeeds });
+    const cacheKey = recipeCacheKey(prompt, { ingredients, flavors, dietaryNeeds }, assignment);
     const recipeToCache = { ...recipe };
     delete recipeToCache.cocktailId;
     recipeCache.set(cacheKey, recipeToCache, CACHE_CONFIG.RECIPE_TTL);
+    rememberGeneratedRecipe(recipe, userId);
+    await recordExposure(assignment, { userId, cocktailId: recipe.cocktailId, outcome: "success" });
 
     // Send final complete recipe with image
     sendEvent('done', recipe);
@@ -464,9 +808,19 @@ Create a unique, well-balanced cocktail. Respond with ONLY valid JSON in this ex
 
   } catch (error) {
     console.error('Streaming recipe error:', error);
-    sendEvent('error', error.message || 'Failed to generate recipe');
+    const classified = classifyGenerationError(error);
+    if (!(classified instanceof AiUnavailableError)) {
+      await recordExposure(assignment, {
+        userId,
+        outcome: "failure",
+        failureReason: classified.reason,
+      });
+    }
+    // The 200 is already out, so the quota middleware won't see a failure
+    res.locals.unusedQuota = 1;
+    sendEvent('error', classified.message);
     res.end();
-    throw error;
+    throw classified;
   }
 };
 
@@ -518,5 +872,13 @@ const tryParsePartialRecipe = (partialJson) => {
 
 module.exports = { 
   generateCocktail, 
-  generateCocktailStream
+  generateCocktailStream,
+  generateCocktailVariations,
+  generateRecipeImage,
+  rememberGeneratedRecipe,
+  generationTags,
+  variationCount,
+  variationQuota,
+  MAX_VARIATIONS,
+  RecipeGenerationError
 };
@@ -0,0 +1,192 @@
+// service/dataExportService.js
+const { User } = require("../models/user");
+const { Cocktail, Collection, Rating } = require("../models/cocktailModel");
+const { DataExport } = require("../models/dataExport");
+const { createZip } = require("../utils/zip");
+
+/**
+ * Gather everything stored for a user
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} - Export payload
+ */
+const assembleUserData = async (userId) => {
+  const [user, cocktails, collections, ratings] = await Promise.all([
+    User.findById(userId).lean(),
+    Cocktail.find({ userId }).lean(),
+    Collection.find({ userId }).lean(),
+    Rating.find({ userId }).populate("recipeId", "name cocktailId").lean(),
+  ]);
+
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const imageUrls = [
+    ...cocktails,
+    ...collections.flatMap((collection) => collection.cocktails || []),
+  ]
+    .filter((cocktail) => cocktail && cocktail.imageUrl)
+    .map((cocktail) => ({
+      cocktailId: cocktail.cocktailId,
+      name: cocktail.name,
+      imageUrl: cocktail.imageUrl,
+      imageUrls: cocktail.imageUrls,
+    }));
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified !== false,
+      role: user.role,
+      signupMethod: user.signupMethod,
+      subscriptionStatus: user.subscriptionStatus,
+    },
+    cocktails,
+    collections,
+    ratings: ratings.map((rating) => ({
+      recipe: rating.recipeId,
+      rating: rating.rating,
+      feedback: rating.feedback,
+      createdAt: rating.createdAt,
+    })),
+    images: imageUrls,
+  };
+};
+
+const slugify = (text) =>
+  String(text || "untitled")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60) || "untitled";
+
+const toList = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+/**
+ * Render a recipe as Markdown
+ * @param {Object} recipe - Cocktail recipe
+ * @returns {string} - Markdown document
+ */
+const renderRecipeMarkdown = (recipe) => {
+  const lines = [`# ${recipe.name || "Untitled Cocktail"}`, ""];
+
+  if (recipe.imageUrl) lines.push(`![${recipe.name}](${recipe.imageUrl})`, "");
+  if (recipe.description) lines.push(recipe.description, "");
+
+  const details = [
+    ["Glassware", recipe.glassware],
+    ["Technique", recipe.technique],
+    ["Serving temperature", recipe.servingTemp],
+  ].filter(([, value]) => value);
+  if (details.length > 0) {
+    details.forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+    lines.push("");
+  }
+
+  lines.push("## Ingredients", "");
+  toList(recipe.ingredients).forEach((ingredient) => lines.push(`- ${ingredient}`));
+  lines.push("", "## Instructions", "");
+  toList(recipe.instructions).forEach((step, index) => lines.push(`${index + 1}. ${step}`));
+  lines.push("");
+
+  if (recipe.tip) lines.push("## Tip", "", recipe.tip, "");
+
+  if (recipe.healthRating) {
+    lines.push("## Health", "", `Rating: ${recipe.healthRating}/10`, "");
+    if (recipe.healthNotes) lines.push(recipe.healthNotes, "");
+  }
+
+  return lines.join("\n");
+};
+
+/**
+ * Build the ZIP archive: the full JSON plus one Markdown file per recipe
+ * @param {Object} data - Export payload from assembleUserData
+ * @returns {Buffer} - ZIP archive
+ */
+const buildArchive = (data) => {
+  const files = [{ name: "account.json", content: JSON.stringify(data, null, 2) }];
+
+  data.cocktails.forEach((cocktail, index) => {
+    files.push({
+      name: `recipes/${String(index + 1).padStart(3, "0")}-${slugify(cocktail.name)}.md`,
+      content: renderRecipeMarkdown(cocktail),
+    });
+  });
+
+  data.collections.forEach((collection) => {
+    const folder = `collections/${slugify(collection.name)}-${collection._id}`;
+    (collection.cocktails || []).filter(Boolean).forEach((cocktail, index) => {
+      files.push({
+        name: `${folder}/${String(index + 1).padStart(3, "0")}-${slugify(cocktail.name)}.md`,
+        content: renderRecipeMarkdown(cocktail),
+      });
+    });
+  });
+
+  return createZip(files);
+};
+
+/**
+ * Build an export and store the result on its job document
+ * @param {string} exportId - DataExport ID
+ */
+const processExport = async (exportId) => {
+  const job = await DataExport.findById(exportId);
+  if (!job) return;
+
+  job.status = "processing";
+  await job.save();
+
+  try {
+    const data = await assembleUserData(job.userId);
+    job.json = JSON.stringify(data, null, 2);
+    job.zip = buildArchive(data);
+    job.status = "complete";
+    job.completedAt = new Date();
+    console.log(`[Export] Completed export ${exportId}`);
+  } catch (error) {
+    console.error(`[Export] Export ${exportId} failed:`, error);
+    job.status = "failed";
+    job.error = error.message;
+  }
+
+  await job.save();
+};
+
+/**
+ * Start an export for a user, reusing one that's already in progress
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} - The DataExport job
+ */
+const startExport = async (userId) => {
+  // Jobs older than this were interrupted by a restart and are ignored
+  const staleBefore = new Date(Date.now() - 15 * 60 * 1000);
+  const inProgress = await DataExport.findOne({
+    userId,
+    status: { $in: ["pending", "processing"] },
+    createdAt: { $gt: staleBefore },
+  });
+  if (inProgress) return inProgress;
+
+  const job = await DataExport.create({ userId });
+
+  // Run in the background - the client polls the status endpoint
+  setImmediate(() => {
+    processExport(job._id).catch((error) =>
+      console.error(`[Export] Failed to process export ${job._id}:`, error)
+    );
+  });
+
+  return job;
+};
+
+module.exports = {
+  assembleUserData,
+  renderRecipeMarkdown,
+  startExport,
+  processExport,
+};
@@ -0,0 +1,289 @@
+// service/experimentService.js
+const crypto = require("crypto");
+const { Experiment, ExperimentExposure } = require("../models/experiment");
+const { SimpleCache } = require("../utils/cache");
+
+// The running experiment is cached briefly so generation doesn't hit the
+// database every time; starting or stopping applies everywhere within this TTL
+const EXPERIMENT_TTL = 5000;
+const cache = new SimpleCache({ defaultTTL: EXPERIMENT_TTL, maxSize: 10 });
+
+/**
+ * Thrown for invalid experiment state changes (unknown key, already running...)
+ */
+class ExperimentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ExperimentError";
+    this.status = status;
+  }
+}
+
+const getRunningExperiment = async () => {
+  const cached = cache.get("running");
+  if (cached !== null) return cached || null;
+
+  const experiment = await Experiment.findOne({ status: "running" }).lean();
+  // Cache "no experiment" as false so it's cached too
+  cache.set("running", experiment || false);
+  return experiment;
+};
+
+/**
+ * Pick the variant for a user
+ * Assignment is a hash of the user and experiment, so a user always gets
+ * the same variant without storing it.
+ * @param {Object} experiment - Experiment document
+ * @param {string} userId - The user ID
+ * @returns {Object} - The variant
+ */
+const pickVariant = (experiment, userId) => {
+  const totalWeight = experiment.variants.reduce((sum, v) => sum + v.weight, 0);
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${experiment.key}:${userId}`)
+    .digest()
+    .readUInt32BE(0);
+
+  let bucket = hash % totalWeight;
+  for (const variant of experiment.variants) {
+    if (bucket < variant.weight) return variant;
+    bucket -= variant.weight;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+};
+
+/**
+ * The user's assignment in the running experiment
+ * Never throws - generation carries on without an experiment if this fails.
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} - { experimentKey, variant } or null
+ */
+const assignVariant = async (userId) => {
+  if (!userId) return null;
+  try {
+    const experiment = await getRunningExperiment();
+    if (!experiment) return null;
+    return { experimentKey: experiment.key, variant: pickVariant(experiment, userId) };
+  } catch (error) {
+    console.error("[Experiment] Failed to assign variant:", error);
+    return null;
+  }
+};
+
+/**
+ * Apply a variant's model settings on top of the configured ones
+ * @param {Object} config - From getAiConfig
+ * @param {Object|null} assignment - From assignVariant
+ * @returns {Object}
+ */
+const applyVariantConfig = (config, assignment) => {
+  if (!assignment) return config;
+  const { model, temperature } = assignment.variant;
+  return {
+    ...config,
+    ...(model && { model }),
+    ...(temperature !== undefined && temperature !== null && { temperature }),
+  };
+};
+
+/**
+ * Record a generation under an experiment
+ * Never throws.
+ * @param {Object|null} assignment - From assignVariant (nothing is recorded without one)
+ * @param {Object} details - { userId, cocktailId, outcome, failureReason, fromCache }
+ */
+const recordExposure = async (assignment, details) => {
+  if (!assignment) return;
+  try {
+    await ExperimentExposure.create({
+      experimentKey: assignment.experimentKey,
+      variant: assignment.variant.key,
+      ...details,
+    });
+  } catch (error) {
+    console.error("[Experiment] Failed to record exposure:", error);
+  }
+};
+
+/**
+ * The experiment a user's recipe was generated under, from its exposure
+ * @param {string} cocktailId - The recipe's cocktailId
+ * @param {string} userId - The user it was generated for
+ * @returns {Promise<Object|undefined>} - { key, variant } as stored on the recipe
+ */
+const findExperimentTag = async (cocktailId, userId) => {
+  const exposure = await ExperimentExposure.findOne({ cocktailId, userId, outcome: "success" });
+  return exposure ? { key: exposure.experimentKey, variant: exposure.variant } : undefined;
+};
+
+/**
+ * List experiments, newest first
+ * @returns {Promise<Array>}
+ */
+const listExperiments = () => Experiment.find().sort({ createdAt: -1 }).lean();
+
+/**
+ * Create a draft experiment
+ * @param {Object} data - { key, description, variants } (validated by the controller)
+ * @param {string} createdBy - Admin user ID
+ * @returns {Promise<Object>}
+ */
+const createExperiment = async (data, createdBy) => {
+  if (await Experiment.exists({ key: data.key })) {
+    throw new ExperimentError(`Experiment "${data.key}" already exists`, 409);
+  }
+  const experiment = await Experiment.create({ ...data, createdBy });
+  return experiment.toObject();
+};
+
+/**
+ * Start a draft experiment
+ * @param {string} key - Experiment key
+ * @returns {Promise<Object>}
+ */
+const startExperiment = async (key) => {
+  const running = await Experiment.findOne({ status: "running" }).lean();
+  if (running) {
+    throw new ExperimentError(
+      `Experiment "${running.key}" is already running - stop it first`,
+      409
+    );
+  }
+
+  const experiment = await Experiment.findOneAndUpdate(
+    { key, status: "draft" },
+    { $set: { status: "running", startedAt: new Date() } },
+    { new: true, lean: true }
+  );
+  if (!experiment) {
+    throw new ExperimentError(`No draft experiment "${key}"`, 404);
+  }
+
+  cache.delete("running");
+  return experiment;
+};
+
+/**
+ * Stop a running experiment (stopped experiments can't be restarted)
+ * @param {string} key - Experiment key
+ * @returns {Promise<Object>}
+ */
+const stopExperiment = async (key) => {
+  const experiment = await Experiment.findOneAndUpdate(
+    { key, status: "running" },
+    { $set: { status: "stopped", stoppedAt: new Date() } },
+    { new: true, lean: true }
+  );
+  if (!experiment) {
+    throw new ExperimentError(`No running experiment "${key}"`, 404);
+  }
+
+  cache.delete("running");
+  return experiment;
+};
+
+const ratio = (part, total) => (total ? Math.round((part / total) * 10000) / 10000 : null);
+
+/**
+ * Results per variant
+ * - failureRate: failed generations / generations
+ * - saveRate: generated recipes their user saved / successful generations
+ * - averageRating: mean rating of the saved recipes
+ * @param {string} key - Experiment key
+ * @returns {Promise<Object|null>} - { experiment, variants } or null if not found
+ */
+const getExperimentReport = async (key) => {
+  const experiment = await Experiment.findOne({ key }).lean();
+  if (!experiment) return null;
+
+  const rows = await ExperimentExposure.aggregate([
+    { $match: { experimentKey: key } },
+    {
+      // Failure exposures have no cocktailId - a plain localField lookup would
+      // match them to every cocktail that doesn't have one either
+      $lookup: {
+        from: "cocktails",
+        // Only the user it was generated for counts - anyone can save a cocktailId
+        let: { cocktailId: { $ifNull: ["$cocktailId", null] }, userId: "$userId" },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $ne: ["$$cocktailId", null] },
+                  { $eq: ["$cocktailId", "$$cocktailId"] },
+                  { $eq: ["$userId", "$$userId"] },
+                ],
+              },
+            },
+          },
+          { $project: { _id: 1 } },
+        ],
+        as: "saved",
+      },
+    },
+    {
+      $lookup: {
+        from: "ratings",
+        localField: "saved._id",
+        foreignField: "recipeId",
+        as: "ratings",
+      },
+    },
+    {
+      $group: {
+        _id: "$variant",
+        generations: { $sum: 1 },
+        failures: { $sum: { $cond: [{ $eq: ["$outcome", "failure"] }, 1, 0] } },
+        fromCache: { $sum: { $cond: ["$fromCache", 1, 0] } },
+        saved: { $sum: { $cond: [{ $gt: [{ $size: "$saved" }, 0] }, 1, 0] } },
+        ratingCount: { $sum: { $size: "$ratings" } },
+        ratingTotal: { $sum: { $sum: "$ratings.rating" } },
+      },
+    },
+  ]);
+
+  const byVariant = Object.fromEntries(rows.map((row) => [row._id, row]));
+
+  return {
+    experiment,
+    variants: experiment.variants.map((variant) => {
+      const row = byVariant[variant.key] || {
+        generations: 0,
+        failures: 0,
+        fromCache: 0,
+        saved: 0,
+        ratingCount: 0,
+        ratingTotal: 0,
+      };
+      const successes = row.generations - row.failures;
+      return {
+        ...variant,
+        generations: row.generations,
+        failures: row.failures,
+        failureRate: ratio(row.failures, row.generations),
+        fromCache: row.fromCache,
+        saved: row.saved,
+        saveRate: ratio(row.saved, successes),
+        ratings: row.ratingCount,
+        averageRating: row.ratingCount
+          ? Math.round((row.ratingTotal / row.ratingCount) * 100) / 100
+          : null,
+      };
+    }),
+  };
+};
+
+module.exports = {
+  ExperimentError,
+  assignVariant,
+  applyVariantConfig,
+  recordExposure,
+  findExperimentTag,
+  listExperiments,
+  createExperiment,
+  startExperiment,
+  stopExperiment,
+  getExperimentReport,
+};
@@ -1,12 +1,14 @@
 // services/imageAnalysisService.js
-const { OpenAI } = require("openai");
 const crypto = require("crypto");
-const { executeWithResilience, AI_TIMEOUTS } = require("../utils/aiHelpers");
+const {
+  executeWithResilience,
+  AI_TIMEOUTS,
+  AiUnavailableError,
+} = require("../utils/aiHelpers");
 const { imageAnalysisCache, CACHE_CONFIG } = require("../utils/cache");
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const { recordAiUsage } = require("./usageService");
+const { getProvider } = require("../providers");
+const { getAiConfig } = require("./aiConfigService");
 
 /**
  * Generate a hash for image data to use as cache key
@@ -19,8 +21,10 @@ const hashImageData = (imageData) => {
 
 /**
  * Service to analyze cocktail images and identify ingredients
+ * @param {string} imageBase64 - Image as base64 or a data URL
+ * @param {Object} options - { userId } for usage metering
  */
-const analyzeCocktailImage = async (imageBase64) => {
+const analyzeCocktailImage = async (imageBase64, options = {}) => {
   try {
     if (!imageBase64) {
       throw new Error("Missing image data");
@@ -40,14 +44,15 @@ const analyzeCocktailImage = async (imageBase64) => {
     }
     console.log(`[Cache] Miss for image analysis - calling API`);
 
-    // Call OpenAI Vision API to analyze the image with timeout and retry
+    const config = await getAiConfig("vision");
+
+    // Call the vision model to analyze the image with timeout and retry
     const response = await executeWithResilience(
-      () => openai.chat.completions.create({
-        model: "gpt-4o",
-        messages: [
-          {
-            role: "system",
-            content: `You are a professional mixologist and cocktail expert.
+      () => getProvider().vision({
+        model: config.model,
+        temperature: config.temperature,
+        operation: "imageAnalysis",
+        system: `You are a professional mixologist and cocktail expert.
             Analyze the provided cocktail image and identify:
             1. The most likely name of the cocktail
             2. The ingredients you can identify from the image
@@ -63,35 +68,28 @@ const analyzeCocktailImage = async (imageBase64) => {
             }
             
             DO NOT include any text before or after the JSON object.`,
-          },
-          {
-            role: "user",
-            content: [
-              {
-                type: "image_url",
-                image_url: {
-                  url: `data:image/jpeg;base64,${base64Data}`,
-                },
-              },
-              {
-                type: "text",
-                text: "Identify this cocktail and its ingredients. Respond with JSON only.",
-              },
-            ],
-          },
-        ],
-        response_format: { type: "json_object" },
-        max_tokens: 800,
+        prompt: "Identify this cocktail and its ingredients. Respond with JSON only.",
+        imageUrl: `data:image/jpeg;base64,${base64Data}`,
+        responseFormat: { type: "json_object" },
+        maxTokens: config.maxTokens,
       }),
       {
         timeout: AI_TIMEOUTS.IMAGE_ANALYSIS,
         maxRetries: 2,
-        operationName: 'Image Analysis'
+        operationName: 'Image Analysis',
+        userId: options.userId
       }
     );
 
+    await recordAiUsage({
+      userId: options.userId,
+      operation: "imageAnalysis",
+      model: config.model,
+      usage: response.usage,
+    });
+
     // Extract the response content
-    const responseContent = response.choices[0].message.content.trim();
+    const responseContent = response.content.trim();
 
     try {
       // Parse JSON response
@@ -127,6 +125,7 @@ const analyzeCocktailImage = async (imageBase64) => {
       };
     }
   } catch (error) {
+    if (error instanceof AiUnavailableError) throw error;
     console.error("Image analysis error:", error);
     throw new Error(`Failed to analyze cocktail image: ${error.message}`);
   }
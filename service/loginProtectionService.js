@@ -0,0 +1,118 @@
+// service/loginProtectionService.js
+const { getAttemptStore } = require("../utils/attemptStore");
+
+/**
+ * Brute-force protection settings
+ * Failures are counted per username and per IP within a sliding window.
+ */
+const LOGIN_PROTECTION = {
+  MAX_USER_FAILURES: Number(process.env.LOGIN_MAX_USER_FAILURES) || 5,
+  MAX_IP_FAILURES: Number(process.env.LOGIN_MAX_IP_FAILURES) || 20,
+  WINDOW: 900000,        // 15 minutes
+  LOCKOUT: 900000,       // 15 minutes
+  DELAY_AFTER: 3,        // failures before delays kick in
+  BASE_DELAY: 1000,      // doubled for every further failure
+  MAX_DELAY: 30000,
+};
+
+const userKey = (username) => `user:${String(username).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+/**
+ * Delay required before the next attempt after `count` failures
+ * @param {number} count - Failures so far
+ * @returns {number} - Delay in ms
+ */
+const progressiveDelay = (count) => {
+  if (count < LOGIN_PROTECTION.DELAY_AFTER) return 0;
+  return Math.min(
+    LOGIN_PROTECTION.BASE_DELAY * Math.pow(2, count - LOGIN_PROTECTION.DELAY_AFTER),
+    LOGIN_PROTECTION.MAX_DELAY
+  );
+};
+
+/**
+ * Check whether a login attempt may proceed
+ * @param {Object} attempt - { username, ip }
+ * @returns {Promise<Object>} - { allowed, reason, retryAfter } (retryAfter in seconds)
+ */
+const checkLoginAllowed = async ({ username, ip }) => {
+  const store = getAttemptStore();
+  const [userEntry, ipEntry] = await Promise.all([
+    store.get(userKey(username)),
+    store.get(ipKey(ip)),
+  ]);
+  const now = Date.now();
+
+  for (const entry of [userEntry, ipEntry].filter(Boolean)) {
+    if (entry.lockedUntil && new Date(entry.lockedUntil).getTime() > now) {
+      return {
+        allowed: false,
+        reason: "locked",
+        retryAfter: Math.ceil((new Date(entry.lockedUntil).getTime() - now) / 1000),
+      };
+    }
+  }
+
+  // Delays only apply per username so users behind a shared IP aren't slowed down
+  if (userEntry) {
+    const nextAllowedAt =
+      new Date(userEntry.lastAttemptAt).getTime() + progressiveDelay(userEntry.count);
+    if (nextAllowedAt > now) {
+      return {
+        allowed: false,
+        reason: "throttled",
+        retryAfter: Math.ceil((nextAllowedAt - now) / 1000),
+      };
+    }
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Count a failed attempt and lock the username or IP when over the limit
+ * @param {Object} attempt - { username, ip }
+ * @returns {Promise<Object>} - { userLocked, ipLocked, lockedUntil }
+ */
+const recordLoginFailure = async ({ username, ip }) => {
+  const store = getAttemptStore();
+  const [userEntry, ipEntry] = await Promise.all([
+    store.recordFailure(userKey(username), LOGIN_PROTECTION.WINDOW),
+    store.recordFailure(ipKey(ip), LOGIN_PROTECTION.WINDOW),
+  ]);
+
+  const lockedUntil = new Date(Date.now() + LOGIN_PROTECTION.LOCKOUT);
+  const userLocked = userEntry.count >= LOGIN_PROTECTION.MAX_USER_FAILURES;
+  const ipLocked = ipEntry.count >= LOGIN_PROTECTION.MAX_IP_FAILURES;
+
+  if (userLocked) await store.lock(userKey(username), lockedUntil);
+  if (ipLocked) await store.lock(ipKey(ip), lockedUntil);
+
+  return { userLocked, ipLocked, lockedUntil };
+};
+
+/**
+ * Clear the username counter after a successful login
+ * The IP counter is kept so one valid account can't reset it for an attacker.
+ * @param {Object} attempt - { username }
+ */
+const recordLoginSuccess = async ({ username }) => {
+  await getAttemptStore().reset(userKey(username));
+};
+
+/**
+ * Lift a username lockout (used by the emailed unlock link)
+ * @param {string} username - The username
+ */
+const unlockUsername = async (username) => {
+  await getAttemptStore().reset(userKey(username));
+};
+
+module.exports = {
+  LOGIN_PROTECTION,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockUsername,
+};
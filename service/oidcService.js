@@ -0,0 +1,303 @@
+// service/oidcService.js
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { User } = require("../models/user");
+const { revokeAllForUser } = require("./tokenService");
+const { revokeAllApiKeys } = require("./apiKeyService");
+const { SimpleCache } = require("../utils/cache");
+
+/**
+ * OpenID Connect sign-in (authorization code flow with PKCE)
+ *
+ * Configuration:
+ * - OIDC_ISSUER: issuer URL (default https://accounts.google.com)
+ * - OIDC_CLIENT_ID / OIDC_CLIENT_SECRET: client credentials
+ * - OIDC_REDIRECT_URI: callback URL registered with the provider
+ * - OIDC_JWKS_URI, OIDC_AUTHORIZATION_ENDPOINT, OIDC_TOKEN_ENDPOINT:
+ *   optional overrides for the discovered endpoints (e.g. a local mock provider)
+ */
+const getSettings = () => ({
+  issuer: (process.env.OIDC_ISSUER || "https://accounts.google.com").replace(/\/$/, ""),
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI,
+  scope: process.env.OIDC_SCOPE || "openid email profile",
+});
+
+// How long a started login stays valid
+const LOGIN_TTL = "10m";
+
+// Provider metadata and signing keys change rarely
+const metadataCache = new SimpleCache({
+  defaultTTL: 3600000,
+  maxSize: 10,
+});
+
+const base64url = (buffer) =>
+  buffer
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(
+      `OIDC request to ${url} failed (${response.status}): ${body.error_description || body.error || "unknown error"}`
+    );
+  }
+  return body;
+};
+
+/**
+ * Load provider endpoints from discovery, applying env overrides
+ * @returns {Promise<Object>} - { authorization_endpoint, token_endpoint, jwks_uri }
+ */
+const getProviderMetadata = async () => {
+  const { issuer } = getSettings();
+  const cached = metadataCache.get(`metadata:${issuer}`);
+  if (cached) return cached;
+
+  const overrides = {
+    authorization_endpoint: process.env.OIDC_AUTHORIZATION_ENDPOINT,
+    token_endpoint: process.env.OIDC_TOKEN_ENDPOINT,
+    jwks_uri: process.env.OIDC_JWKS_URI,
+  };
+
+  let discovered = {};
+  if (Object.values(overrides).some((value) => !value)) {
+    discovered = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  }
+
+  const metadata = {
+    authorization_endpoint: overrides.authorization_endpoint || discovered.authorization_endpoint,
+    token_endpoint: overrides.token_endpoint || discovered.token_endpoint,
+    jwks_uri: overrides.jwks_uri || discovered.jwks_uri,
+  };
+
+  metadataCache.set(`metadata:${issuer}`, metadata);
+  return metadata;
+};
+
+/**
+ * Find the public key used to sign an ID token
+ * Refetches the JWKS once if the key ID is unknown (provider key rotation).
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<KeyObject>} - Public key
+ */
+const getSigningKey = async (kid) => {
+  const { jwks_uri } = await getProviderMetadata();
+
+  const findKey = (jwks) => jwks.keys.find((key) => !kid || key.kid === kid);
+
+  let jwks = metadataCache.get(`jwks:${jwks_uri}`);
+  let jwk = jwks && findKey(jwks);
+
+  if (!jwk) {
+    jwks = await fetchJson(jwks_uri);
+    metadataCache.set(`jwks:${jwks_uri}`, jwks);
+    jwk = findKey(jwks);
+  }
+
+  if (!jwk) {
+    throw new Error(`No signing key found for kid "${kid}"`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+/**
+ * Start a login: create state, nonce and PKCE verifier, and build the provider URL
+ * The state, nonce and verifier go in a signed login token that the route sets as
+ * an httpOnly cookie, so only the browser that started the login can finish it
+ * (and any instance can).
+ * @returns {Promise<Object>} - { url: authorization URL, loginToken }
+ */
+const createAuthorizationUrl = async () => {
+  const { clientId, redirectUri, scope } = getSettings();
+  const { authorization_endpoint } = await getProviderMetadata();
+
+  const state = base64url(crypto.randomBytes(24));
+  const nonce = base64url(crypto.randomBytes(24));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(
+    crypto.createHash("sha256").update(codeVerifier).digest()
+  );
+
+  const loginToken = jwt.sign(
+    { purpose: "oidc", state, nonce, codeVerifier },
+    process.env.JWTPRIVATEKEY,
+    { expiresIn: LOGIN_TTL }
+  );
+
+  const url = new URL(authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  }).toString();
+
+  return { url: url.toString(), loginToken };
+};
+
+/**
+ * Read the login token set when the login started
+ * @param {string} loginToken - Value of the login cookie
+ * @returns {Object|null} - { state, nonce, codeVerifier }, or null if missing/invalid/expired
+ */
+const verifyLoginToken = (loginToken) => {
+  if (!loginToken) return null;
+  try {
+    const decoded = jwt.verify(loginToken, process.env.JWTPRIVATEKEY);
+    return decoded.purpose === "oidc" ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const sameString = (a, b) =>
+  typeof a === "string" &&
+  typeof b === "string" &&
+  a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+/**
+ * Verify an ID token's signature and claims
+ * @param {string} idToken - The ID token from the token endpoint
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} - Verified claims
+ */
+const verifyIdToken = async (idToken, nonce) => {
+  const { issuer, clientId } = getSettings();
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error("Malformed ID token");
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ["RS256", "ES256"],
+    issuer: [issuer, issuer.replace(/^https:\/\//, "")], // Google omits the scheme in some tokens
+    audience: clientId,
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error("ID token nonce mismatch");
+  }
+
+  return claims;
+};
+
+/**
+ * Complete a login: exchange the code and verify the returned ID token
+ * The callback's state must match the login cookie of the browser it arrives in,
+ * so an attacker can't finish their own login in someone else's browser.
+ * @param {string} code - Authorization code from the callback
+ * @param {string} state - State from the callback
+ * @param {string} loginToken - Login cookie set by createAuthorizationUrl's caller
+ * @returns {Promise<Object>} - Verified ID token claims
+ */
+const exchangeCode = async (code, state, loginToken) => {
+  const pending = verifyLoginToken(loginToken);
+  if (!pending || !sameString(pending.state, state)) {
+    throw new Error("Unknown or expired login state");
+  }
+
+  const { clientId, clientSecret, redirectUri } = getSettings();
+  const { token_endpoint } = await getProviderMetadata();
+
+  const params = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: redirectUri,
+    client_id: clientId,
+    code_verifier: pending.codeVerifier,
+  });
+  if (clientSecret) params.set("client_secret", clientSecret);
+
+  const tokens = await fetchJson(token_endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: params.toString(),
+  });
+
+  if (!tokens.id_token) {
+    throw new Error("Token response did not include an ID token");
+  }
+
+  return verifyIdToken(tokens.id_token, pending.nonce);
+};
+
+/**
+ * A username nobody has yet, adding a numeric suffix if needed
+ * (password login looks users up by username)
+ * @param {string} base - Preferred username
+ * @returns {Promise<string>}
+ */
+const uniqueUsername = async (base) => {
+  let candidate = base;
+  while (await User.exists({ username: candidate })) {
+    candidate = `${base}${crypto.randomInt(1000, 10000)}`;
+  }
+  return candidate;
+};
+
+/**
+ * Find the user for a verified identity, linking or creating as needed
+ * Accounts are only linked by email when the provider says the email is verified;
+ * linking a local account whose email is unverified removes its password, sessions
+ * and API keys. Accounts from before verification existed count as verified.
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Promise<Object>} - The user document
+ */
+const findOrCreateUser = async (claims) => {
+  let user = await User.findOne({ googleId: claims.sub });
+  if (user) return user;
+
+  if (!claims.email || claims.email_verified !== true) {
+    throw new Error("Identity provider did not return a verified email");
+  }
+
+  user = await User.findOne({ email: claims.email });
+  if (user) {
+    if (user.emailVerified === false) {
+      // Nobody proved they own this address, so whoever registered it may not be
+      // the person signing in now. Take back their access: no password, no sessions.
+      console.warn(`[OIDC] Linking unverified account ${user._id} - removing password and sessions`);
+      user.password = undefined;
+      user.signupMethod = "google";
+      await revokeAllForUser(user._id, "oidc-link");
+      await revokeAllApiKeys(user._id);
+      // Match the bumped version so the tokens issued for this sign-in are valid
+      user.tokenVersion = (user.tokenVersion || 0) + 1;
+    }
+    // Link the account so either sign-in method works
+    user.googleId = claims.sub;
+    user.emailVerified = true;
+    await user.save();
+    return user;
+  }
+
+  return User.create({
+    username: await uniqueUsername(claims.name || claims.email.split("@")[0]),
+    email: claims.email,
+    signupMethod: "google",
+    googleId: claims.sub,
+    emailVerified: true,
+  });
+};
+
+module.exports = {
+  createAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  findOrCreateUser,
+};
@@ -0,0 +1,131 @@
+// service/quotaService.js
+const { QuotaCounter } = require("../models/quotaCounter");
+
+const OPERATIONS = ["recipe", "image", "imageAnalysis", "chat"];
+
+const DEFAULT_QUOTAS = {
+  free: { recipe: 5, image: 0, imageAnalysis: 3, chat: 20 },
+  pro: { recipe: 100, image: 30, imageAnalysis: 50, chat: 300 },
+};
+
+/**
+ * Daily quotas per plan. 0 means the plan doesn't include the operation.
+ * Override any value with QUOTA_<PLAN>_<OPERATION>, e.g. QUOTA_FREE_RECIPE=10
+ * or QUOTA_PRO_IMAGEANALYSIS=100.
+ */
+const PLAN_QUOTAS = Object.fromEntries(
+  Object.entries(DEFAULT_QUOTAS).map(([plan, quotas]) => [
+    plan,
+    Object.fromEntries(
+      OPERATIONS.map((operation) => {
+        const override = process.env[`QUOTA_${plan}_${operation}`.toUpperCase()];
+        const value = override !== undefined ? Number(override) : NaN;
+        return [operation, Number.isInteger(value) && value >= 0 ? value : quotas[operation]];
+      })
+    ),
+  ])
+);
+
+/**
+ * Plan a user is on
+ * @param {Object} user - The user document
+ * @returns {string} - "pro" or "free"
+ */
+const getPlan = (user) => (user.subscriptionStatus === "active" ? "pro" : "free");
+
+const currentDay = (now = new Date()) => now.toISOString().slice(0, 10);
+
+/**
+ * When today's counters reset (next UTC midnight)
+ * @returns {Date}
+ */
+const nextReset = (now = new Date()) =>
+  new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+
+/**
+ * Use units of a user's daily quota
+ * The counter is incremented first so concurrent requests can't overshoot,
+ * then rolled back if the limit was already reached.
+ * @param {Object} user - The user document
+ * @param {string} operation - One of OPERATIONS
+ * @param {number} amount - Units to use (all or nothing)
+ * @returns {Promise<Object>} - { allowed, plan, limit, used, remaining, resetAt }
+ */
+const consumeQuota = async (user, operation, amount = 1) => {
+  const plan = getPlan(user);
+  const limit = PLAN_QUOTAS[plan][operation];
+  const resetAt = nextReset();
+
+  if (limit === 0) {
+    return { allowed: false, plan, limit, used: 0, remaining: 0, resetAt };
+  }
+
+  const filter = { userId: user._id, operation, day: currentDay() };
+  const counter = await QuotaCounter.findOneAndUpdate(
+    filter,
+    { $inc: { count: amount }, $setOnInsert: { expiresAt: resetAt } },
+    { upsert: true, new: true, lean: true }
+  );
+
+  if (counter.count > limit) {
+    await QuotaCounter.updateOne(filter, { $inc: { count: -amount } });
+    const used = Math.min(counter.count - amount, limit);
+    return { allowed: false, plan, limit, used, remaining: limit - used, resetAt };
+  }
+
+  return {
+    allowed: true,
+    plan,
+    limit,
+    used: counter.count,
+    remaining: limit - counter.count,
+    resetAt,
+  };
+};
+
+/**
+ * Give back units used by a request that failed
+ * @param {Object} user - The user document
+ * @param {string} operation - One of OPERATIONS
+ * @param {string} day - Day the units were used on
+ * @param {number} amount - Units to give back
+ */
+const refundQuota = async (user, operation, day = currentDay(), amount = 1) => {
+  await QuotaCounter.updateOne(
+    { userId: user._id, operation, day, count: { $gte: amount } },
+    { $inc: { count: -amount } }
+  );
+};
+
+/**
+ * Today's usage for every operation
+ * @param {Object} user - The user document
+ * @returns {Promise<Object>} - { plan, resetAt, quotas: { [operation]: { limit, used, remaining } } }
+ */
+const getQuotaUsage = async (user) => {
+  const plan = getPlan(user);
+  const counters = await QuotaCounter.find({
+    userId: user._id,
+    day: currentDay(),
+  }).lean();
+
+  const quotas = {};
+  for (const operation of OPERATIONS) {
+    const limit = PLAN_QUOTAS[plan][operation];
+    const counter = counters.find((entry) => entry.operation === operation);
+    const used = Math.min(counter ? counter.count : 0, limit);
+    quotas[operation] = { limit, used, remaining: limit - used };
+  }
+
+  return { plan, resetAt: nextReset(), quotas };
+};
+
+module.exports = {
+  OPERATIONS,
+  PLAN_QUOTAS,
+  getPlan,
+  currentDay,
+  consumeQuota,
+  refundQuota,
+  getQuotaUsage,
+};
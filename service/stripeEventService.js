@@ -0,0 +1,181 @@
+// service/stripeEventService.js
+const { StripeEvent } = require("../models/stripeEvent");
+const { processStripeEvent } = require("./subscriptionService");
+
+// A "processing" claim older than this is assumed to be from a crashed worker
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+/**
+ * Atomically take ownership of an event so concurrent deliveries don't both run it
+ * @param {string} eventId - Stripe event ID
+ * @param {Array<string>} fromStatuses - Statuses the event may be claimed from
+ * @returns {Promise<Object|null>} - The claimed event, or null if someone else has it
+ */
+const claimEvent = (eventId, fromStatuses) =>
+  StripeEvent.findOneAndUpdate(
+    {
+      eventId,
+      $or: [
+        { status: { $in: fromStatuses } },
+        {
+          status: "processing",
+          processingStartedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) },
+        },
+      ],
+    },
+    {
+      $set: { status: "processing", processingStartedAt: new Date() },
+      $inc: { attempts: 1 },
+    },
+    { new: true }
+  );
+
+/**
+ * Run a claimed event and record the outcome
+ * @param {Object} record - Claimed StripeEvent document
+ * @returns {Promise<Object>} - The updated record (status "failed" on error)
+ */
+const runEvent = async (record) => {
+  try {
+    const handled = await processStripeEvent(record.payload);
+    record.status = handled ? "processed" : "ignored";
+    record.error = undefined;
+  } catch (error) {
+    console.error(`[Stripe] Failed to process event ${record.eventId}:`, error);
+    record.status = "failed";
+    record.error = error.message;
+  }
+
+  record.processedAt = new Date();
+  await record.save();
+  return record;
+};
+
+/**
+ * Store a verified webhook event and process it once
+ * Redeliveries of processed events are skipped; failed events are retried.
+ * @param {Object} event - Verified Stripe event
+ * @returns {Promise<Object>} - { duplicate, record }
+ */
+const recordAndProcessEvent = async (event) => {
+  await StripeEvent.updateOne(
+    { eventId: event.id },
+    {
+      $setOnInsert: {
+        eventId: event.id,
+        type: event.type,
+        payload: event,
+        stripeCreatedAt: event.created ? new Date(event.created * 1000) : undefined,
+        receivedAt: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+
+  const record = await claimEvent(event.id, ["received", "failed"]);
+  if (!record) {
+    return { duplicate: true, record: await StripeEvent.findOne({ eventId: event.id }) };
+  }
+
+  return { duplicate: false, record: await runEvent(record) };
+};
+
+/**
+ * Process a failed event again from its stored payload
+ * @param {string} eventId - Stripe event ID
+ * @returns {Promise<Object|null>} - The updated record, or null if it isn't a failed event
+ */
+const replayEvent = async (eventId) => {
+  const record = await claimEvent(eventId, ["failed"]);
+  if (!record) return null;
+  return runEvent(record);
+};
+
+/**
+ * List stored events, newest first (payloads omitted)
+ * @param {Object} filter - { status, type }
+ * @param {number} limit - Maximum number of events
+ * @returns {Promise<Array>}
+ */
+const listEvents = (filter = {}, limit = 100) => {
+  const query = {};
+  if (filter.status) query.status = filter.status;
+  if (filter.type) query.type = filter.type;
+
+  return StripeEvent.find(query)
+    .select("-payload")
+    .sort({ receivedAt: -1 })
+    .limit(Math.min(Number(limit) || 100, 500))
+    .lean();
+};
+
+/**
+ * Event counts and processing lag over a recent window
+ * Lag is measured from Stripe creating the event to us finishing it.
+ * @param {number} hours - Window size (default 24)
+ * @returns {Promise<Object>}
+ */
+const getEventStats = async (hours = 24) => {
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+  const [byStatus, [lag], oldestPending, lastReceived] = await Promise.all([
+    StripeEvent.aggregate([
+      { $match: { receivedAt: { $gte: since } } },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]),
+    StripeEvent.aggregate([
+      {
+        $match: {
+          receivedAt: { $gte: since },
+          status: { $in: ["processed", "ignored"] },
+          stripeCreatedAt: { $ne: null },
+        },
+      },
+      {
+        $project: {
+          lag: { $subtract: ["$processedAt", "$stripeCreatedAt"] },
+          deliveryLag: { $subtract: ["$receivedAt", "$stripeCreatedAt"] },
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          averageMs: { $avg: "$lag" },
+          maxMs: { $max: "$lag" },
+          averageDeliveryMs: { $avg: "$deliveryLag" },
+        },
+      },
+    ]),
+    StripeEvent.findOne({ status: { $in: ["received", "processing", "failed"] } })
+      .sort({ stripeCreatedAt: 1 })
+      .select("eventId type status stripeCreatedAt")
+      .lean(),
+    StripeEvent.findOne().sort({ receivedAt: -1 }).select("receivedAt").lean(),
+  ]);
+
+  return {
+    windowHours: hours,
+    counts: Object.fromEntries(byStatus.map(({ _id, count }) => [_id, count])),
+    lag: {
+      averageMs: lag ? Math.round(lag.averageMs) : null,
+      maxMs: lag ? lag.maxMs : null,
+      averageDeliveryMs: lag ? Math.round(lag.averageDeliveryMs) : null,
+    },
+    oldestUnprocessed: oldestPending
+      ? {
+          ...oldestPending,
+          ageMs: oldestPending.stripeCreatedAt
+            ? Date.now() - new Date(oldestPending.stripeCreatedAt).getTime()
+            : null,
+        }
+      : null,
+    lastReceivedAt: lastReceived ? lastReceived.receivedAt : null,
+  };
+};
+
+module.exports = {
+  recordAndProcessEvent,
+  replayEvent,
+  listEvents,
+  getEventStats,
+};
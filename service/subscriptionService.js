@@ -0,0 +1,360 @@
+// service/subscriptionService.js
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const { User } = require("../models/user");
+const { sendMail } = require("../utils/mailer");
+
+// Stripe Price IDs for each plan
+const PLANS = {
+  monthly: process.env.STRIPE_PRICE_MONTHLY,
+  yearly: process.env.STRIPE_PRICE_YEARLY,
+};
+
+/**
+ * Map a Stripe subscription status onto User.subscriptionStatus
+ * @param {string} status - Stripe status (active, trialing, past_due, canceled, ...)
+ * @returns {string}
+ */
+const toSubscriptionStatus = (status) => {
+  if (["active", "trialing"].includes(status)) return "active";
+  if (["past_due", "unpaid"].includes(status)) return "past_due";
+  return "inactive";
+};
+
+/**
+ * Whether the user has a subscription Stripe can still change
+ * Ex-subscribers keep their subscriptionId, but it's canceled in Stripe.
+ * @param {Object} user - The user document
+ * @returns {boolean}
+ */
+const hasSubscription = (user) =>
+  Boolean(user.subscriptionId) && user.subscriptionStatus !== "inactive";
+
+/**
+ * Resolve the price to charge for a checkout request
+ * @param {Object} body - { plan } or { priceId }
+ * @returns {string|null} - A configured Price ID, or null if unknown
+ */
+const resolvePriceId = ({ plan, priceId } = {}) => {
+  if (plan) return PLANS[plan] || null;
+  return priceId && Object.values(PLANS).includes(priceId) ? priceId : null;
+};
+
+/**
+ * Get the user's Stripe customer, creating it on first use
+ * @param {Object} user - The user document
+ * @returns {Promise<string>} - Stripe customer ID
+ */
+const ensureStripeCustomer = async (user) => {
+  if (user.stripeCustomerId) return user.stripeCustomerId;
+
+  const customer = await stripe.customers.create({
+    email: user.email,
+    metadata: { userId: user._id.toString() },
+  });
+  user.stripeCustomerId = customer.id;
+  await user.save();
+  return customer.id;
+};
+
+/**
+ * Create a Checkout Session for the authenticated user
+ * @param {Object} user - The user document
+ * @param {string} priceId - Stripe Price ID
+ * @returns {Promise<Object>} - Stripe Checkout Session
+ */
+const createCheckoutSession = async (user, priceId) => {
+  const customer = await ensureStripeCustomer(user);
+  const userId = user._id.toString();
+
+  return stripe.checkout.sessions.create({
+    payment_method_types: ["card"],
+    mode: "subscription",
+    customer,
+    client_reference_id: userId,
+    line_items: [{ price: priceId, quantity: 1 }],
+    // Lets the subscription webhooks find the user even before checkout completes
+    subscription_data: { metadata: { userId } },
+    success_url: `${process.env.FRONTEND_URL}/success?session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${process.env.FRONTEND_URL}/cancel`,
+  });
+};
+
+/**
+ * Name of the plan a price belongs to
+ * @param {string} priceId - Stripe Price ID
+ * @returns {string|null} - "monthly", "yearly" or null
+ */
+const planForPrice = (priceId) =>
+  Object.keys(PLANS).find((plan) => PLANS[plan] && PLANS[plan] === priceId) || null;
+
+/**
+ * The user's subscription as stored locally
+ * @param {Object} user - The user document
+ * @returns {Object}
+ */
+const getSubscriptionSummary = (user) => ({
+  status: user.subscriptionStatus,
+  subscriptionId: user.subscriptionId || null,
+  plan: planForPrice(user.subscriptionPriceId),
+  priceId: user.subscriptionPriceId || null,
+  currentPeriodEnd: user.subscriptionCurrentPeriodEnd || null,
+  cancelAtPeriodEnd: Boolean(user.subscriptionCancelAtPeriodEnd),
+});
+
+/**
+ * Copy a subscription returned by the Stripe API onto the user right away
+ * The matching webhook arrives shortly after and confirms it.
+ * @param {Object} user - The user document
+ * @param {Object} subscription - Stripe subscription
+ */
+const storeSubscription = async (user, subscription) => {
+  const item = subscription.items?.data?.[0];
+  const periodEnd = subscription.current_period_end || item?.current_period_end;
+
+  user.subscriptionStatus = toSubscriptionStatus(subscription.status);
+  user.subscriptionPriceId = item?.price?.id;
+  user.subscriptionCancelAtPeriodEnd = Boolean(subscription.cancel_at_period_end);
+  if (periodEnd) user.subscriptionCurrentPeriodEnd = new Date(periodEnd * 1000);
+  await user.save();
+};
+
+/**
+ * Cancel at the end of the billing period, or undo that
+ * @param {Object} user - The user document (must have a subscription)
+ * @param {boolean} cancel - True to cancel at period end, false to resume
+ * @returns {Promise<Object>} - Updated subscription summary
+ */
+const setCancelAtPeriodEnd = async (user, cancel) => {
+  const subscription = await stripe.subscriptions.update(user.subscriptionId, {
+    cancel_at_period_end: cancel,
+  });
+  await storeSubscription(user, subscription);
+  return getSubscriptionSummary(user);
+};
+
+/**
+ * Move the subscription to another price, prorating the difference
+ * @param {Object} user - The user document (must have a subscription)
+ * @param {string} priceId - New Stripe Price ID
+ * @returns {Promise<Object>} - Updated subscription summary
+ */
+const switchPlan = async (user, priceId) => {
+  const current = await stripe.subscriptions.retrieve(user.subscriptionId);
+  const item = current.items.data[0];
+
+  const subscription = await stripe.subscriptions.update(user.subscriptionId, {
+    items: [{ id: item.id, price: priceId }],
+    proration_behavior: "create_prorations",
+  });
+  await storeSubscription(user, subscription);
+  return getSubscriptionSummary(user);
+};
+
+/**
+ * Create a Stripe customer portal session (payment methods, invoices)
+ * @param {Object} user - The user document (must have a Stripe customer)
+ * @returns {Promise<Object>} - Stripe billing portal session
+ */
+const createPortalSession = (user) =>
+  stripe.billingPortal.sessions.create({
+    customer: user.stripeCustomerId,
+    return_url: `${process.env.FRONTEND_URL}/billing`,
+  });
+
+/**
+ * Find the user a Stripe object belongs to
+ * @param {Object} refs - { userId, customerId, subscriptionId }
+ * @returns {Promise<Object|null>}
+ */
+const findSubscriber = async ({ userId, customerId, subscriptionId }) => {
+  if (userId) {
+    const user = await User.findById(userId).catch(() => null);
+    if (user) return user;
+  }
+  if (customerId) {
+    const user = await User.findOne({ stripeCustomerId: customerId });
+    if (user) return user;
+  }
+  if (subscriptionId) {
+    return User.findOne({ subscriptionId });
+  }
+  return null;
+};
+
+/**
+ * Apply subscription fields unless a newer event has already been applied
+ * @param {Object} user - The user document
+ * @param {Object} fields - Fields to set
+ * @param {number} eventCreated - Stripe event creation time (seconds)
+ * @returns {Promise<boolean>} - False if the event was stale
+ */
+const applySubscriptionUpdate = async (user, fields, eventCreated) => {
+  const syncedAt = new Date(eventCreated * 1000);
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { subscriptionSyncedAt: null },
+        { subscriptionSyncedAt: { $lte: syncedAt } },
+      ],
+    },
+    { $set: { ...fields, subscriptionSyncedAt: syncedAt } }
+  );
+  return result.matchedCount > 0;
+};
+
+const customerIdOf = (object) =>
+  typeof object.customer === "string" ? object.customer : object.customer?.id;
+
+const handleCheckoutCompleted = async (session, event) => {
+  const user = await findSubscriber({
+    userId: session.client_reference_id,
+    customerId: customerIdOf(session),
+  });
+  if (!user) {
+    console.warn(`[Stripe] No user for checkout session ${session.id}`);
+    return;
+  }
+
+  // The status itself arrives with customer.subscription.created/updated
+  const fields = { stripeCustomerId: customerIdOf(session) };
+  if (session.subscription) {
+    fields.subscriptionId =
+      typeof session.subscription === "string"
+        ? session.subscription
+        : session.subscription.id;
+  }
+  await User.updateOne({ _id: user._id }, { $set: fields });
+  console.log(`[Stripe] Checkout completed for user ${user._id} (${event.id})`);
+};
+
+const handleSubscriptionChange = async (subscription, event) => {
+  const user = await findSubscriber({
+    userId: subscription.metadata?.userId,
+    customerId: customerIdOf(subscription),
+    subscriptionId: subscription.id,
+  });
+  if (!user) {
+    console.warn(`[Stripe] No user for subscription ${subscription.id}`);
+    return;
+  }
+
+  const status =
+    event.type === "customer.subscription.deleted"
+      ? "inactive"
+      : toSubscriptionStatus(subscription.status);
+
+  // Ending an old subscription must not clobber the user's current one
+  if (
+    status === "inactive" &&
+    user.subscriptionId &&
+    user.subscriptionId !== subscription.id
+  ) {
+    return;
+  }
+
+  const item = subscription.items?.data?.[0];
+  const periodEnd = subscription.current_period_end || item?.current_period_end;
+
+  const applied = await applySubscriptionUpdate(
+    user,
+    {
+      subscriptionStatus: status,
+      subscriptionId: subscription.id,
+      stripeCustomerId: customerIdOf(subscription),
+      subscriptionPriceId: item?.price?.id,
+      subscriptionCurrentPeriodEnd: periodEnd ? new Date(periodEnd * 1000) : undefined,
+      subscriptionCancelAtPeriodEnd: Boolean(subscription.cancel_at_period_end),
+    },
+    event.created
+  );
+
+  if (!applied) {
+    console.log(`[Stripe] Ignored stale ${event.type} (${event.id})`);
+  }
+};
+
+const handlePaymentFailed = async (invoice, event) => {
+  const subscriptionId =
+    invoice.subscription || invoice.parent?.subscription_details?.subscription;
+  const user = await findSubscriber({
+    customerId: customerIdOf(invoice),
+    subscriptionId,
+  });
+  if (!user) {
+    console.warn(`[Stripe] No user for invoice ${invoice.id}`);
+    return;
+  }
+  if (subscriptionId && user.subscriptionId && user.subscriptionId !== subscriptionId) {
+    return;
+  }
+
+  const applied = await applySubscriptionUpdate(
+    user,
+    { subscriptionStatus: "past_due" },
+    event.created
+  );
+  if (!applied) return;
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: "Your subscription payment failed",
+      text:
+        "We couldn't process the latest payment for your subscription. " +
+        `Please update your payment details: ${process.env.FRONTEND_URL}/billing`,
+    });
+  } catch (error) {
+    console.error("[Stripe] Failed to send payment failure email:", error);
+  }
+};
+
+const EVENT_HANDLERS = {
+  "checkout.session.completed": handleCheckoutCompleted,
+  "customer.subscription.created": handleSubscriptionChange,
+  "customer.subscription.updated": handleSubscriptionChange,
+  "customer.subscription.deleted": handleSubscriptionChange,
+  "invoice.payment_failed": handlePaymentFailed,
+};
+
+/**
+ * Apply a verified Stripe webhook event to the user records
+ * Safe to run more than once for the same event.
+ * @param {Object} event - Stripe event
+ * @returns {Promise<boolean>} - False if the event type isn't handled
+ */
+const processStripeEvent = async (event) => {
+  const handler = EVENT_HANDLERS[event.type];
+  if (!handler) return false;
+
+  await handler(event.data.object, event);
+  return true;
+};
+
+/**
+ * Verify a webhook payload against its Stripe-Signature header
+ * @param {Buffer} payload - Raw request body
+ * @param {string} signature - Stripe-Signature header
+ * @returns {Object} - The Stripe event (throws if the signature is invalid)
+ */
+const constructWebhookEvent = (payload, signature) =>
+  stripe.webhooks.constructEvent(
+    payload,
+    signature,
+    process.env.STRIPE_WEBHOOK_SECRET
+  );
+
+module.exports = {
+  PLANS,
+  toSubscriptionStatus,
+  hasSubscription,
+  resolvePriceId,
+  planForPrice,
+  createCheckoutSession,
+  getSubscriptionSummary,
+  setCancelAtPeriodEnd,
+  switchPlan,
+  createPortalSession,
+  processStripeEvent,
+  constructWebhookEvent,
+};
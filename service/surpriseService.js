@@ -0,0 +1,146 @@
+// service/surpriseService.js
+const { generateCocktail, rememberGeneratedRecipe } = require("./cocktailService");
+const { checkAiBudget } = require("./budgetService");
+const { AiUnavailableError } = require("../utils/aiHelpers");
+const {
+  surpriseMePool,
+  addToSurprisePool,
+  getRandomFromPool,
+  getSurprisePoolSize,
+} = require("../utils/cache");
+
+// Preferences the pool is filled from, taken in turn so it stays varied
+const SURPRISE_THEMES = [
+  { theme: "citrus classic", ingredients: ["gin", "lemon", "honey"], flavors: ["sour", "bright"], dietaryNeeds: [] },
+  { theme: "tropical", ingredients: ["rum", "pineapple", "coconut"], flavors: ["sweet", "fruity"], dietaryNeeds: [] },
+  { theme: "smoky", ingredients: ["mezcal", "grapefruit", "agave"], flavors: ["smoky", "tart"], dietaryNeeds: [] },
+  { theme: "spirit-forward", ingredients: ["bourbon", "vermouth", "bitters"], flavors: ["rich", "bitter"], dietaryNeeds: [] },
+  { theme: "garden", ingredients: ["vodka", "cucumber", "basil"], flavors: ["herbal", "refreshing"], dietaryNeeds: [] },
+  { theme: "spiced", ingredients: ["dark rum", "ginger", "cinnamon"], flavors: ["spicy", "warm"], dietaryNeeds: [] },
+  { theme: "bubbly", ingredients: ["prosecco", "elderflower", "lemon"], flavors: ["floral", "light"], dietaryNeeds: [] },
+  { theme: "bitter aperitivo", ingredients: ["campari", "orange", "soda"], flavors: ["bitter", "refreshing"], dietaryNeeds: ["low-sugar"] },
+  { theme: "dessert", ingredients: ["coffee liqueur", "vanilla", "cream"], flavors: ["sweet", "creamy"], dietaryNeeds: [] },
+  { theme: "agave", ingredients: ["tequila", "lime", "jalapeño"], flavors: ["spicy", "sour"], dietaryNeeds: [] },
+  { theme: "berry", ingredients: ["gin", "raspberry", "mint"], flavors: ["fruity", "tart"], dietaryNeeds: [] },
+  { theme: "zero-proof", ingredients: ["hibiscus tea", "lime", "ginger beer"], flavors: ["tart", "refreshing"], dietaryNeeds: ["non-alcoholic"] },
+];
+
+const readInt = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+// Target pool size - capped at what the pool can hold. Filling the pool spends
+// AI budget without a user asking, so it's off (0) unless configured.
+const SURPRISE_POOL_SIZE = Math.min(readInt("SURPRISE_POOL_SIZE", 0), surpriseMePool.maxSize);
+const REFILL_INTERVAL = readInt("SURPRISE_REFILL_INTERVAL_MS", 0) || 10 * 60 * 1000;
+
+// Start at a random theme so restarts don't always fill with the same ones
+let nextTheme = Math.floor(Math.random() * SURPRISE_THEMES.length);
+let refilling = null;
+
+const takeTheme = () => {
+  const theme = SURPRISE_THEMES[nextTheme];
+  nextTheme = (nextTheme + 1) % SURPRISE_THEMES.length;
+  return theme;
+};
+
+const generateForTheme = ({ theme, ingredients, flavors, dietaryNeeds }, userId) =>
+  generateCocktail(ingredients, flavors, dietaryNeeds, { skipCache: true, userId }).then(
+    (recipe) => ({ ...recipe, surpriseTheme: theme })
+  );
+
+/**
+ * Top the pool up to SURPRISE_POOL_SIZE, one recipe at a time
+ * Stops early when AI is paused or over budget, or a generation fails, and
+ * picks up again on the next run. Concurrent calls share the same run.
+ * @returns {Promise<number>} - Recipes added
+ */
+const refillSurprisePool = () => {
+  if (!refilling) {
+    refilling = (async () => {
+      let added = 0;
+      try {
+        while (getSurprisePoolSize() < SURPRISE_POOL_SIZE) {
+          // Background spend isn't tied to a user, so only global budgets apply
+          await checkAiBudget();
+          addToSurprisePool(await generateForTheme(takeTheme()));
+          added++;
+        }
+      } catch (error) {
+        if (error instanceof AiUnavailableError) {
+          console.warn(`[Surprise] Refill paused: ${error.message}`);
+        } else {
+          console.error("[Surprise] Refill failed:", error);
+        }
+      }
+      if (added > 0) {
+        console.log(`[Surprise] Added ${added} recipes (pool: ${getSurprisePoolSize()})`);
+      }
+      return added;
+    })().finally(() => {
+      refilling = null;
+    });
+  }
+  return refilling;
+};
+
+/**
+ * A surprise recipe - from the pool if there is one, otherwise generated now
+ * Serving from the pool kicks off a refill in the background.
+ * @param {string} userId - The user ID (for live generation)
+ * @returns {Promise<Object>} - The recipe, with fromPool
+ */
+const getSurpriseRecipe = async (userId) => {
+  const pooled = getRandomFromPool();
+  if (pooled) {
+    if (SURPRISE_POOL_SIZE > 0) refillSurprisePool();
+    // Each pooled recipe is served once, so it keeps its cocktailId - the ID
+    // its image is stored under, which deleting the user's data relies on
+    rememberGeneratedRecipe(pooled, userId);
+    return { ...pooled, fromPool: true };
+  }
+
+  console.log("[Surprise] Pool empty - generating live");
+  const recipe = await generateForTheme(
+    SURPRISE_THEMES[Math.floor(Math.random() * SURPRISE_THEMES.length)],
+    userId
+  );
+  if (SURPRISE_POOL_SIZE > 0) refillSurprisePool();
+  return { ...recipe, fromPool: false };
+};
+
+/**
+ * Keep the surprise pool filled in the background
+ * Fills it right away, then tops it up every SURPRISE_REFILL_INTERVAL_MS.
+ * Every generation checks the AI kill switch and global budgets first.
+ * @returns {Timeout|null} - null when SURPRISE_POOL_SIZE is 0 (the default)
+ */
+const startSurpriseRefiller = () => {
+  if (SURPRISE_POOL_SIZE === 0) return null;
+
+  refillSurprisePool();
+  const interval = setInterval(() => {
+    refillSurprisePool();
+  }, REFILL_INTERVAL);
+  interval.unref();
+  return interval;
+};
+
+/**
+ * Pool size and target, for monitoring
+ * @returns {Object}
+ */
+const getSurprisePoolStatus = () => ({
+  size: getSurprisePoolSize(),
+  target: SURPRISE_POOL_SIZE,
+  refilling: Boolean(refilling),
+});
+
+module.exports = {
+  SURPRISE_THEMES,
+  refillSurprisePool,
+  getSurpriseRecipe,
+  startSurpriseRefiller,
+  getSurprisePoolStatus,
+};
@@ -0,0 +1,133 @@
+// service/tokenService.js
+const crypto = require("crypto");
+const { User, hashToken } = require("../models/user");
+const { RefreshToken } = require("../models/refreshToken");
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Create and persist a new refresh token
+ * @param {Object} user - The user document
+ * @param {Object} options - Token options
+ * @param {string} options.family - Token family (omit to start a new one)
+ * @param {string} options.userAgent - Client user agent
+ * @param {string} options.ip - Client IP address
+ * @returns {Promise<Object>} - { refreshToken, record }
+ */
+const issueRefreshToken = async (user, options = {}) => {
+  const { family = crypto.randomUUID(), userAgent, ip } = options;
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+
+  const record = await RefreshToken.create({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent,
+    ip,
+  });
+
+  return { refreshToken, record };
+};
+
+/**
+ * Issue an access token and a refresh token for a fresh login
+ * @param {Object} user - The user document
+ * @param {Object} context - { userAgent, ip } of the client
+ * @returns {Promise<Object>} - { token, refreshToken }
+ */
+const issueTokens = async (user, context = {}) => {
+  const { refreshToken } = await issueRefreshToken(user, context);
+  return { token: user.generateAuthToken(), refreshToken };
+};
+
+/**
+ * Revoke every token in a family
+ * @param {string} family - Token family
+ * @param {string} reason - Why the family was revoked
+ */
+const revokeFamily = async (family, reason = "logout") => {
+  await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+/**
+ * Revoke all refresh tokens for a user and invalidate their access tokens
+ * @param {string} userId - The user ID
+ * @param {string} reason - Why the tokens were revoked
+ */
+const revokeAllForUser = async (userId, reason = "logout-all") => {
+  await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  // Bumping the version makes every outstanding access token fail in authMiddleware
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * Reusing a token that was already rotated revokes the whole family.
+ * @param {string} rawToken - The refresh token presented by the client
+ * @param {Object} context - { userAgent, ip } of the client
+ * @returns {Promise<Object|null>} - { user, token, refreshToken } or null if invalid
+ */
+const rotateRefreshToken = async (rawToken, context = {}) => {
+  const tokenHash = hashToken(rawToken);
+
+  // Claim the token atomically so two concurrent refreshes can't both succeed
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: "rotated" },
+    { new: true }
+  );
+
+  if (!current) {
+    const reused = await RefreshToken.findOne({ tokenHash });
+    if (reused) {
+      console.warn(
+        `[Auth] Refresh token reuse detected for user ${reused.userId}, revoking family ${reused.family}`
+      );
+      await revokeFamily(reused.family, "reuse-detected");
+    }
+    return null;
+  }
+
+  if (current.expiresAt < new Date()) return null;
+
+  const user = await User.findById(current.userId);
+  if (!user) return null;
+
+  const { refreshToken, record } = await issueRefreshToken(user, {
+    ...context,
+    family: current.family,
+  });
+
+  current.replacedBy = record._id;
+  await current.save();
+
+  return { user, token: user.generateAuthToken(), refreshToken };
+};
+
+/**
+ * Revoke the family a refresh token belongs to (single-device logout)
+ * @param {string} rawToken - The refresh token presented by the client
+ * @returns {Promise<boolean>} - True if the token was known
+ */
+const revokeRefreshToken = async (rawToken) => {
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(rawToken) });
+  if (!record) return false;
+
+  await revokeFamily(record.family, "logout");
+  return true;
+};
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeFamily,
+  revokeAllForUser,
+};
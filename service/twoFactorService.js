@@ -0,0 +1,165 @@
+// service/twoFactorService.js
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const QRCode = require("qrcode");
+const { hashToken } = require("../models/user");
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUrl,
+  encryptSecret,
+  decryptSecret,
+  base32Encode,
+} = require("../utils/totp");
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || "Cocktail Recipe Generator";
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = "5m";
+
+/**
+ * Generate fresh recovery codes
+ * @returns {Object} - { codes: plaintext codes to show once, hashes: to store }
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    base32Encode(crypto.randomBytes(8))
+      .slice(0, 12)
+      .toLowerCase()
+      .match(/.{4}/g)
+      .join("-")
+  );
+  return { codes, hashes: codes.map((code) => hashToken(code)) };
+};
+
+const normalizeRecoveryCode = (code) =>
+  String(code || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "")
+    .match(/.{1,4}/g)
+    ?.join("-") || "";
+
+/**
+ * Start enrollment: create a pending secret and the data for the authenticator app
+ * @param {Object} user - The user document
+ * @returns {Promise<Object>} - { secret, otpauthUrl, qrCode }
+ */
+const beginEnrollment = async (user) => {
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await user.save();
+
+  const otpauthUrl = buildOtpauthUrl(secret, user.email, TWO_FACTOR_ISSUER);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauthUrl, qrCode };
+};
+
+/**
+ * Finish enrollment by checking a code from the authenticator app
+ * @param {Object} user - The user document
+ * @param {string} code - Current TOTP code
+ * @returns {Promise<Array<string>|null>} - Recovery codes, or null if the code is wrong
+ */
+const confirmEnrollment = async (user, code) => {
+  if (!user.twoFactor.pendingSecret) return null;
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = verifyCode(secret, code);
+  if (step === null) return null;
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = hashes;
+  user.twoFactor.lastUsedStep = step;
+  await user.save();
+
+  return codes;
+};
+
+/**
+ * Check a second factor: a TOTP code or a single-use recovery code
+ * Codes can't be replayed within their validity window.
+ * @param {Object} user - The user document
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Promise<boolean>}
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactor || !user.twoFactor.enabled) return false;
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const index = user.twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) return false;
+
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    await user.save();
+    return true;
+  }
+
+  const step = verifyCode(decryptSecret(user.twoFactor.secret), code);
+  if (step === null || step <= (user.twoFactor.lastUsedStep || 0)) return false;
+
+  user.twoFactor.lastUsedStep = step;
+  await user.save();
+  return true;
+};
+
+/**
+ * Replace all recovery codes
+ * @param {Object} user - The user document
+ * @returns {Promise<Array<string>>} - New plaintext codes
+ */
+const regenerateRecoveryCodes = async (user) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = hashes;
+  await user.save();
+  return codes;
+};
+
+/**
+ * Turn two-factor authentication off
+ * @param {Object} user - The user document
+ */
+const disableTwoFactor = async (user) => {
+  user.twoFactor = { enabled: false, recoveryCodes: [] };
+  await user.save();
+};
+
+/**
+ * Short-lived token proving the password step succeeded
+ * It carries no _id, so authMiddleware never accepts it as an access token.
+ * @param {Object} user - The user document
+ * @returns {string}
+ */
+const createChallengeToken = (user) =>
+  jwt.sign(
+    { sub: user._id.toString(), purpose: "2fa", tv: user.tokenVersion || 0 },
+    process.env.JWTPRIVATEKEY,
+    { expiresIn: CHALLENGE_TTL }
+  );
+
+/**
+ * Validate a challenge token
+ * @param {string} token - Challenge token from the login response
+ * @returns {Object|null} - Decoded payload, or null if invalid/expired
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWTPRIVATEKEY);
+    return decoded.purpose === "2fa" ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  createChallengeToken,
+  verifyChallengeToken,
+};
@@ -0,0 +1,234 @@
+// service/usageService.js
+const mongoose = require("mongoose");
+const { AiUsage } = require("../models/aiUsage");
+
+/**
+ * Estimated OpenAI prices in USD
+ * Text models are priced per 1K input/output tokens, image models per image
+ * keyed by "size" or "size:quality". Override or extend with AI_PRICING, e.g.
+ * AI_PRICING='{"gpt-4o":{"input":0.002,"output":0.008}}'.
+ */
+const DEFAULT_PRICING = {
+  "gpt-4": { input: 0.03, output: 0.06 },
+  "gpt-4o": { input: 0.0025, output: 0.01 },
+  "gpt-4o-mini": { input: 0.00015, output: 0.0006 },
+  "gpt-3.5-turbo": { input: 0.0005, output: 0.0015 },
+  "dall-e-3": {
+    "1024x1024": 0.04,
+    "1024x1024:hd": 0.08,
+    "1024x1792": 0.08,
+    "1792x1024": 0.08,
+    "1024x1792:hd": 0.12,
+    "1792x1024:hd": 0.12,
+  },
+  "dall-e-2": { "1024x1024": 0.02, "512x512": 0.018, "256x256": 0.016 },
+};
+
+const loadPricing = () => {
+  if (!process.env.AI_PRICING) return DEFAULT_PRICING;
+  try {
+    const overrides = JSON.parse(process.env.AI_PRICING);
+    const pricing = { ...DEFAULT_PRICING };
+    for (const [model, prices] of Object.entries(overrides)) {
+      pricing[model] = { ...pricing[model], ...prices };
+    }
+    return pricing;
+  } catch (error) {
+    console.error("[Usage] Ignoring invalid AI_PRICING:", error.message);
+    return DEFAULT_PRICING;
+  }
+};
+
+const MODEL_PRICING = loadPricing();
+
+// Dated snapshots ("gpt-4-0613") are priced like their base model
+const pricingFor = (model) => {
+  if (MODEL_PRICING[model]) return MODEL_PRICING[model];
+  const base = Object.keys(MODEL_PRICING)
+    .filter((name) => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return base ? MODEL_PRICING[base] : null;
+};
+
+/**
+ * Estimate the cost of a call
+ * @param {Object} usage - { model, promptTokens, completionTokens, images, size, quality }
+ * @returns {number} - USD (0 for unknown models)
+ */
+const estimateCost = ({ model, promptTokens = 0, completionTokens = 0, images = 0, size, quality }) => {
+  const pricing = pricingFor(model);
+  if (!pricing) return 0;
+
+  if (images > 0) {
+    const price =
+      (quality && quality !== "standard" && pricing[`${size}:${quality}`]) ||
+      pricing[size] ||
+      0;
+    return images * price;
+  }
+
+  return (
+    (promptTokens / 1000) * (pricing.input || 0) +
+    (completionTokens / 1000) * (pricing.output || 0)
+  );
+};
+
+/**
+ * Record the usage of one OpenAI call
+ * Never throws - metering must not break the request.
+ * @param {Object} entry - { userId, operation, model, usage (OpenAI usage object), images, size, quality }
+ */
+const recordAiUsage = async ({ userId, operation, model, usage, images = 0, size, quality }) => {
+  try {
+    const promptTokens = usage?.prompt_tokens || 0;
+    const completionTokens = usage?.completion_tokens || 0;
+
+    await AiUsage.create({
+      userId,
+      operation,
+      model,
+      promptTokens,
+      completionTokens,
+      totalTokens: usage?.total_tokens || promptTokens + completionTokens,
+      images,
+      cost: estimateCost({ model, promptTokens, completionTokens, images, size, quality }),
+    });
+  } catch (error) {
+    console.error(`[Usage] Failed to record ${operation} usage:`, error);
+  }
+};
+
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Parse a reporting range from query parameters (default: last 30 days)
+ * @param {Object} query - { from, to } as ISO dates
+ * @returns {Object|null} - { from, to } or null if invalid
+ */
+const resolveRange = ({ from, to } = {}) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+  if (isNaN(start) || isNaN(end) || start > end) return null;
+  if (end - start > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) return null;
+  return { from: start, to: end };
+};
+
+const SUM_FIELDS = {
+  requests: { $sum: 1 },
+  promptTokens: { $sum: "$promptTokens" },
+  completionTokens: { $sum: "$completionTokens" },
+  totalTokens: { $sum: "$totalTokens" },
+  images: { $sum: "$images" },
+  cost: { $sum: "$cost" },
+};
+
+const DAY = { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } };
+
+const withoutId = ({ _id, ...row }) => row;
+
+const roundCost = (row) => ({ ...row, cost: Math.round(row.cost * 10000) / 10000 });
+
+const emptyTotals = () =>
+  roundCost({
+    requests: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    images: 0,
+    cost: 0,
+  });
+
+/**
+ * A user's usage over a range, with totals per operation and per day
+ * @param {string} userId - The user ID
+ * @param {Object} range - { from, to }
+ * @returns {Promise<Object>}
+ */
+const getUserUsage = async (userId, { from, to }) => {
+  const match = { userId, createdAt: { $gte: from, $lte: to } };
+
+  const [totals, byOperation, byDay] = await Promise.all([
+    AiUsage.aggregate([{ $match: match }, { $group: { _id: null, ...SUM_FIELDS } }]),
+    AiUsage.aggregate([
+      { $match: match },
+      { $group: { _id: "$operation", ...SUM_FIELDS } },
+      { $sort: { cost: -1 } },
+    ]),
+    AiUsage.aggregate([
+      { $match: match },
+      { $group: { _id: DAY, ...SUM_FIELDS } },
+      { $sort: { _id: 1 } },
+    ]),
+  ]);
+
+  return {
+    from,
+    to,
+    totals: totals[0] ? roundCost(withoutId(totals[0])) : emptyTotals(),
+    byOperation: byOperation.map(({ _id, ...row }) => roundCost({ operation: _id, ...row })),
+    byDay: byDay.map(({ _id, ...row }) => roundCost({ day: _id, ...row })),
+  };
+};
+
+/**
+ * Usage across all users, grouped by day and model
+ * @param {Object} range - { from, to }
+ * @returns {Promise<Object>} - { from, to, totals, rows }
+ */
+const getUsageReport = async ({ from, to }) => {
+  const match = { createdAt: { $gte: from, $lte: to } };
+
+  const [totals, rows] = await Promise.all([
+    AiUsage.aggregate([
+      { $match: match },
+      { $group: { _id: null, ...SUM_FIELDS, users: { $addToSet: "$userId" } } },
+    ]),
+    AiUsage.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { day: DAY, model: "$model" },
+          ...SUM_FIELDS,
+          users: { $addToSet: "$userId" },
+        },
+      },
+      { $sort: { "_id.day": 1, cost: -1 } },
+    ]),
+  ]);
+
+  const summarize = ({ users, ...row }) => roundCost({ ...row, users: users.length });
+
+  return {
+    from,
+    to,
+    totals: totals[0] ? summarize(withoutId(totals[0])) : { ...emptyTotals(), users: 0 },
+    rows: rows.map(({ _id, ...row }) => summarize({ day: _id.day, model: _id.model, ...row })),
+  };
+};
+
+/**
+ * Estimated spend since a point in time
+ * @param {Object} filter - { since, userId } (omit userId for all users)
+ * @returns {Promise<number>} - USD
+ */
+const getSpend = async ({ since, userId }) => {
+  const match = { createdAt: { $gte: since } };
+  if (userId) match.userId = new mongoose.Types.ObjectId(String(userId));
+
+  const [result] = await AiUsage.aggregate([
+    { $match: match },
+    { $group: { _id: null, cost: { $sum: "$cost" } } },
+  ]);
+  return result ? result.cost : 0;
+};
+
+module.exports = {
+  MODEL_PRICING,
+  estimateCost,
+  recordAiUsage,
+  resolveRange,
+  getUserUsage,
+  getUsageReport,
+  getSpend,
+};
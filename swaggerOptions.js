@@ -14,6 +14,12 @@ const options = {
           scheme: "bearer",
           bearerFormat: "JWT",
         },
+        apiKeyAuth: {
+          type: "apiKey",
+          in: "header",
+          name: "X-API-Key",
+          description: "Personal API key (ck_...). Also accepted as a Bearer token.",
+        },
       },
     },
     security: [
@@ -0,0 +1,201 @@
+/**
+ * Account deletion: billing is only touched for live subscriptions and only
+ * undone when deletion changed it, and purging never removes images other
+ * users still reference
+ */
+process.env.JWTPRIVATEKEY = process.env.JWTPRIVATEKEY || "test-secret";
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || "sk_test_x";
+
+const mockStripe = { subscriptions: { update: jest.fn(), cancel: jest.fn() } };
+jest.mock("stripe", () => () => mockStripe);
+
+const { useMemoryDb } = require("./helpers/memoryDb");
+const express = require("express");
+const request = require("supertest");
+const bcrypt = require("bcrypt");
+const cloudinary = require("cloudinary").v2;
+
+const { User } = require("../models/user");
+const { Cocktail, Collection, Rating } = require("../models/cocktailModel");
+const { RefreshToken } = require("../models/refreshToken");
+const { AuthAudit } = require("../models/authAudit");
+const { DataExport } = require("../models/dataExport");
+const { ApiKey } = require("../models/apiKey");
+const { QuotaCounter } = require("../models/quotaCounter");
+const { AiUsage } = require("../models/aiUsage");
+const { ExperimentExposure } = require("../models/experiment");
+const { purgeUser } = require("../service/accountDeletionService");
+const authRoutes = require("../routes/auth");
+const userRoutes = require("../routes/users");
+
+const app = express();
+app.use(express.json());
+app.use("/api/auth", authRoutes);
+app.use("/api/users", userRoutes);
+
+const PASSWORD = "Sup3r-secret!";
+let db;
+let passwordHash;
+
+// What Stripe returns after changing cancel_at_period_end
+const subscription = (cancel) => ({
+  id: "sub_123",
+  status: "active",
+  cancel_at_period_end: cancel,
+  items: { data: [{ price: { id: "price_monthly" }, current_period_end: 1900000000 }] },
+});
+
+const createAlice = (fields = {}) =>
+  db.insert(User, {
+    username: "alice",
+    email: "alice@example.com",
+    password: passwordHash,
+    emailVerified: true,
+    ...fields,
+  });
+
+const requestDeletion = (user) =>
+  request(app)
+    .delete("/api/users/me")
+    .set("Authorization", `Bearer ${user.generateAuthToken()}`)
+    .send({ password: PASSWORD });
+
+const login = () => request(app).post("/api/auth").send({ username: "alice", password: PASSWORD });
+const alice = () => db.docs(User).find((user) => user.username === "alice");
+
+beforeAll(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  db = useMemoryDb(
+    User,
+    Cocktail,
+    Collection,
+    Rating,
+    RefreshToken,
+    AuthAudit,
+    DataExport,
+    ApiKey,
+    QuotaCounter,
+    AiUsage,
+    ExperimentExposure
+  );
+  passwordHash = await bcrypt.hash(PASSWORD, 4);
+});
+
+beforeEach(() => {
+  db.reset();
+  mockStripe.subscriptions.update.mockReset();
+  mockStripe.subscriptions.update.mockImplementation(async (id, { cancel_at_period_end }) =>
+    subscription(cancel_at_period_end)
+  );
+  mockStripe.subscriptions.cancel.mockReset();
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe("subscription renewal during a pending deletion", () => {
+  it("stops renewal on request and turns it back on at the next sign-in", async () => {
+    const user = createAlice({ subscriptionId: "sub_123", subscriptionStatus: "active" });
+
+    expect((await requestDeletion(user)).status).toBe(202);
+    expect(mockStripe.subscriptions.update).toHaveBeenCalledWith("sub_123", { cancel_at_period_end: true });
+    expect(alice().deletionStoppedRenewal).toBe(true);
+    expect(alice().subscriptionCancelAtPeriodEnd).toBe(true);
+
+    expect((await login()).status).toBe(200);
+    expect(mockStripe.subscriptions.update).toHaveBeenLastCalledWith("sub_123", { cancel_at_period_end: false });
+    expect(alice().deletionScheduledFor).toBeUndefined();
+    expect(alice().deletionStoppedRenewal).toBeUndefined();
+    expect(alice().subscriptionCancelAtPeriodEnd).toBe(false);
+  });
+
+  it("leaves renewal off for a user who had already cancelled it", async () => {
+    const user = createAlice({
+      subscriptionId: "sub_123",
+      subscriptionStatus: "active",
+      subscriptionCancelAtPeriodEnd: true,
+    });
+
+    expect((await requestDeletion(user)).status).toBe(202);
+    expect((await login()).status).toBe(200);
+    expect(mockStripe.subscriptions.update).not.toHaveBeenCalled();
+    expect(alice().subscriptionCancelAtPeriodEnd).toBe(true);
+  });
+
+  it("doesn't call Stripe for a former subscriber", async () => {
+    const user = createAlice({ subscriptionId: "sub_123", subscriptionStatus: "inactive" });
+
+    expect((await requestDeletion(user)).status).toBe(202);
+    expect(alice().deletionScheduledFor).toBeInstanceOf(Date);
+    expect((await login()).status).toBe(200);
+    expect(mockStripe.subscriptions.update).not.toHaveBeenCalled();
+  });
+
+  it("still schedules the deletion when Stripe fails", async () => {
+    const user = createAlice({ subscriptionId: "sub_123", subscriptionStatus: "active" });
+    mockStripe.subscriptions.update.mockRejectedValue(new Error("No such subscription"));
+
+    expect((await requestDeletion(user)).status).toBe(202);
+    expect(alice().deletionScheduledFor).toBeInstanceOf(Date);
+    // Renewal was never stopped, so signing in must not try to resume it
+    expect(alice().deletionStoppedRenewal).toBe(false);
+  });
+
+  it("still signs the user in when resuming renewal fails", async () => {
+    const user = createAlice({ subscriptionId: "sub_123", subscriptionStatus: "active" });
+    expect((await requestDeletion(user)).status).toBe(202);
+    mockStripe.subscriptions.update.mockRejectedValue(new Error("Stripe is down"));
+
+    expect((await login()).status).toBe(200);
+    expect(alice().deletionScheduledFor).toBeUndefined();
+  });
+});
+
+describe("purgeUser", () => {
+  let deleteResources;
+
+  beforeEach(() => {
+    process.env.CLOUDINARY_CLOUD_NAME = "test-cloud";
+    deleteResources = jest.spyOn(cloudinary.api, "delete_resources").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    delete process.env.CLOUDINARY_CLOUD_NAME;
+    deleteResources.mockRestore();
+  });
+
+  const deletedImages = () => deleteResources.mock.calls.flatMap(([publicIds]) => publicIds);
+
+  it("only deletes images of the user's own recipes that nobody else references", async () => {
+    const user = createAlice();
+    const bob = db.insert(User, { username: "bob", email: "bob@example.com", password: passwordHash });
+
+    db.insert(Cocktail, { name: "Own", cocktailId: "own", userId: user._id });
+    db.insert(Cocktail, { name: "Also saved by Bob", cocktailId: "saved-by-both", userId: user._id });
+    db.insert(Cocktail, { name: "Collected by Bob", cocktailId: "collected-by-bob", userId: user._id });
+    db.insert(Cocktail, { name: "Bob's copy", cocktailId: "saved-by-both", userId: bob._id });
+    db.insert(Cocktail, { name: "Bob's own", cocktailId: "bob-recipe", userId: bob._id });
+    db.insert(Collection, { name: "Bob's", userId: bob._id, cocktails: [{ cocktailId: "collected-by-bob" }] });
+    // Collection entries are client-supplied and can name anyone's recipe
+    db.insert(Collection, { name: "Alice's", userId: user._id, cocktails: [{ cocktailId: "bob-recipe" }] });
+
+    await purgeUser(user);
+
+    expect(deletedImages()).toEqual(["cocktail-images/own"]);
+    expect(db.docs(User).map((doc) => doc.username)).toEqual(["bob"]);
+    expect(db.docs(Cocktail).every((doc) => String(doc.userId) === String(bob._id))).toBe(true);
+    expect(db.docs(Collection).map((doc) => doc.name)).toEqual(["Bob's"]);
+  });
+
+  it("cancels a live subscription but not a former one", async () => {
+    await purgeUser(createAlice({ subscriptionId: "sub_live", subscriptionStatus: "active" }));
+    expect(mockStripe.subscriptions.cancel).toHaveBeenCalledWith("sub_live");
+
+    mockStripe.subscriptions.cancel.mockClear();
+    await purgeUser(createAlice({ subscriptionId: "sub_old", subscriptionStatus: "inactive" }));
+    expect(mockStripe.subscriptions.cancel).not.toHaveBeenCalled();
+  });
+});
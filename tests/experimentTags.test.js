@@ -0,0 +1,126 @@
+/**
+ * Saved recipes take their prompt versions and experiment from the server's
+ * record of the generation, never from the request body
+ */
+process.env.JWTPRIVATEKEY = process.env.JWTPRIVATEKEY || "test-secret";
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || "sk_test_x";
+process.env.LLM_PROVIDER = "mock";
+delete process.env.CLOUDINARY_CLOUD_NAME;
+
+const { useMemoryDb } = require("./helpers/memoryDb");
+const express = require("express");
+const request = require("supertest");
+
+const { User } = require("../models/user");
+const { Cocktail, Collection, Rating } = require("../models/cocktailModel");
+const { QuotaCounter } = require("../models/quotaCounter");
+const { AiUsage } = require("../models/aiUsage");
+const { AiSettings } = require("../models/aiSettings");
+const { Experiment, ExperimentExposure } = require("../models/experiment");
+const { recipeCache, generatedRecipes } = require("../utils/cache");
+const cocktailRoutes = require("../routes/cocktail");
+
+const app = express();
+app.use(express.json());
+app.use("/api/cocktail", cocktailRoutes);
+
+const FORGED = {
+  promptVersion: "recipe@99",
+  imagePromptVersion: "recipeImage@99",
+  experiment: { key: "forged", variant: "winner" },
+};
+const preferences = { ingredients: ["gin", "lime"], flavors: ["sour"], dietaryNeeds: [] };
+
+let db;
+let alice;
+let bob;
+
+const as = (user) => ({ Authorization: `Bearer ${user.generateAuthToken()}` });
+
+const generate = async (user) => {
+  const res = await request(app).post("/api/cocktail").set(as(user)).send(preferences);
+  expect(res.status).toBe(200);
+  return res.body.recipe;
+};
+
+const save = async (user, recipe) => {
+  const res = await request(app)
+    .post("/api/cocktail/save")
+    .set(as(user))
+    .send({ ...recipe, ...FORGED });
+  expect(res.status).toBe(201);
+  return res.body.cocktail;
+};
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  db = useMemoryDb(User, Cocktail, Collection, Rating, QuotaCounter, AiUsage, AiSettings, Experiment, ExperimentExposure);
+});
+
+beforeEach(() => {
+  db.reset();
+  recipeCache.clear();
+  generatedRecipes.clear();
+
+  alice = db.insert(User, { username: "alice", email: "alice@example.com", emailVerified: true, subscriptionStatus: "active" });
+  bob = db.insert(User, { username: "bob", email: "bob@example.com", emailVerified: true, subscriptionStatus: "active" });
+  db.insert(Experiment, { key: "sours", status: "running", variants: [{ key: "control" }] });
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe("POST /api/cocktail/save", () => {
+  it("stores the tags the recipe was generated with, ignoring the client's", async () => {
+    const recipe = await generate(alice);
+    expect(recipe.promptVersion).toMatch(/^recipe@/);
+
+    const saved = await save(alice, recipe);
+    expect(saved.promptVersion).toBe(recipe.promptVersion);
+    expect(saved.imagePromptVersion).toBe(recipe.imagePromptVersion);
+    expect(saved.experiment).toEqual({ key: "sours", variant: "control" });
+  });
+
+  it("tags saved variations too", async () => {
+    const res = await request(app)
+      .post("/api/cocktail/variations")
+      .set(as(alice))
+      .send({ ...preferences, count: 2 });
+    expect(res.status).toBe(200);
+    const [variation] = res.body.recipes;
+
+    const saved = await save(alice, variation);
+    expect(saved.promptVersion).toBe(variation.promptVersion);
+    expect(saved.experiment).toEqual({ key: "sours", variant: "control" });
+  });
+
+  it("stores no tags for a recipe that was never generated", async () => {
+    const saved = await save(alice, { name: "Homemade", ingredients: ["gin"], instructions: ["Stir"], cocktailId: "made-up" });
+    expect(saved.promptVersion).toBeUndefined();
+    expect(saved.imagePromptVersion).toBeUndefined();
+    expect(saved.experiment?.key).toBeUndefined();
+  });
+
+  it("stores no tags when saving another user's generated recipe", async () => {
+    const recipe = await generate(alice);
+
+    const saved = await save(bob, recipe);
+    expect(saved.promptVersion).toBeUndefined();
+    expect(saved.experiment?.key).toBeUndefined();
+  });
+
+  it("falls back to the recorded exposure for the experiment", async () => {
+    const recipe = await generate(alice);
+    generatedRecipes.clear();
+
+    const saved = await save(alice, recipe);
+    expect(saved.experiment).toEqual({ key: "sours", variant: "control" });
+    expect(saved.promptVersion).toBeUndefined();
+
+    const other = await save(bob, recipe);
+    expect(other.experiment?.key).toBeUndefined();
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Recipe generation and chat end to end on the mock provider (LLM_PROVIDER=mock):
+ * usage is metered, quota is charged, and failed requests get their quota back
+ */
+process.env.JWTPRIVATEKEY = process.env.JWTPRIVATEKEY || "test-secret";
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || "sk_test_x";
+process.env.LLM_PROVIDER = "mock";
+delete process.env.CLOUDINARY_CLOUD_NAME;
+
+const { useMemoryDb } = require("./helpers/memoryDb");
+const express = require("express");
+const request = require("supertest");
+
+const { User } = require("../models/user");
+const { Cocktail } = require("../models/cocktailModel");
+const { QuotaCounter } = require("../models/quotaCounter");
+const { AiUsage } = require("../models/aiUsage");
+const { AiSettings } = require("../models/aiSettings");
+const { Experiment, ExperimentExposure } = require("../models/experiment");
+const { recipeCache } = require("../utils/cache");
+const { getProvider, setProvider } = require("../providers");
+const mockProvider = require("../providers/mockProvider");
+const cocktailRoutes = require("../routes/cocktail");
+
+const app = express();
+app.use(express.json());
+app.use("/api/cocktail", cocktailRoutes);
+
+const preferences = { ingredients: ["gin", "lime"], flavors: ["sour"], dietaryNeeds: [] };
+const chatBody = {
+  message: "Can I make it less sweet?",
+  recipeContext: { name: "Gimlet", ingredients: ["2 oz gin", "1 oz lime"], instructions: ["Shake"] },
+};
+
+let db;
+let alice;
+
+const as = (user) => ({ Authorization: `Bearer ${user.generateAuthToken()}` });
+
+// Refunds run after the response has been sent
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+const used = (operation) =>
+  db.docs(QuotaCounter).find((counter) => counter.operation === operation)?.count ?? 0;
+const usage = (operation) => db.docs(AiUsage).filter((entry) => entry.operation === operation);
+
+// The mock provider, with one method replaced by one that fails like an API error
+const failing = (method) => ({
+  ...mockProvider,
+  [method]: async () => {
+    throw Object.assign(new Error("The provider rejected the request"), { status: 400 });
+  },
+});
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  db = useMemoryDb(User, Cocktail, QuotaCounter, AiUsage, AiSettings, Experiment, ExperimentExposure);
+});
+
+beforeEach(() => {
+  db.reset();
+  recipeCache.clear();
+  setProvider(null);
+  alice = db.insert(User, { username: "alice", email: "alice@example.com", emailVerified: true });
+});
+
+afterAll(() => {
+  setProvider(null);
+  jest.restoreAllMocks();
+});
+
+it("uses the mock provider", () => {
+  expect(getProvider().name).toBe("mock");
+});
+
+describe("POST /api/cocktail", () => {
+  it("generates a recipe and meters the recipe and its image", async () => {
+    const res = await request(app).post("/api/cocktail").set(as(alice)).send(preferences);
+    expect(res.status).toBe(200);
+    expect(res.body.recipe).toMatchObject({
+      name: expect.any(String),
+      ingredients: expect.any(Array),
+      instructions: expect.any(Array),
+      cocktailId: expect.any(String),
+    });
+    expect(res.body.recipe.imageUrl).toMatch(/^data:image\/svg\+xml/);
+
+    const [completion, image] = usage("recipe");
+    expect(completion).toMatchObject({ images: 0, totalTokens: expect.any(Number) });
+    expect(completion.totalTokens).toBeGreaterThan(0);
+    expect(image).toMatchObject({ images: 1 });
+    expect(String(completion.userId)).toBe(String(alice._id));
+
+    await settle();
+    expect(used("recipe")).toBe(1);
+    expect(res.headers["x-quota-remaining"]).toBe("4");
+  });
+
+  it("returns the same recipe for the same request", async () => {
+    const first = await request(app).post("/api/cocktail").set(as(alice)).send(preferences);
+    recipeCache.clear();
+    const second = await request(app).post("/api/cocktail").set(as(alice)).send(preferences);
+    expect(second.body.recipe.name).toBe(first.body.recipe.name);
+  });
+
+  it("refunds the quota when generation fails", async () => {
+    setProvider(failing("chat"));
+
+    const res = await request(app).post("/api/cocktail").set(as(alice)).send(preferences);
+    expect(res.status).toBe(502);
+    expect(res.body.reason).toBe("provider_error");
+
+    await settle();
+    expect(used("recipe")).toBe(0);
+    expect(usage("recipe")).toHaveLength(0);
+  });
+
+  it("stops at the plan's daily limit", async () => {
+    db.insert(QuotaCounter, {
+      userId: alice._id,
+      operation: "recipe",
+      day: new Date().toISOString().slice(0, 10),
+      count: 5,
+    });
+
+    const res = await request(app).post("/api/cocktail").set(as(alice)).send(preferences);
+    expect(res.status).toBe(429);
+    expect(usage("recipe")).toHaveLength(0);
+  });
+});
+
+describe("POST /api/cocktail/chat", () => {
+  it("answers and meters the chat", async () => {
+    const res = await request(app).post("/api/cocktail/chat").set(as(alice)).send(chatBody);
+    expect(res.status).toBe(200);
+    expect(res.body.message).toEqual(expect.any(String));
+    expect(res.body.message.length).toBeGreaterThan(0);
+
+    const [entry] = usage("chat");
+    expect(entry.totalTokens).toBeGreaterThan(0);
+    expect(String(entry.userId)).toBe(String(alice._id));
+
+    await settle();
+    expect(used("chat")).toBe(1);
+  });
+
+  it("refunds the quota when the provider fails", async () => {
+    setProvider(failing("chat"));
+
+    const res = await request(app).post("/api/cocktail/chat").set(as(alice)).send(chatBody);
+    expect(res.status).toBe(500);
+
+    await settle();
+    expect(used("chat")).toBe(0);
+    expect(usage("chat")).toHaveLength(0);
+  });
+});
+
+describe("POST /api/cocktail/chat/stream", () => {
+  it("streams the answer and meters it", async () => {
+    const res = await request(app).post("/api/cocktail/chat/stream").set(as(alice)).send(chatBody);
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/text\/event-stream/);
+    expect(res.text).toContain('"done":true');
+
+    expect(usage("chat")).toHaveLength(1);
+    await settle();
+    expect(used("chat")).toBe(1);
+  });
+
+  it("refunds the quota when the stream fails after it started", async () => {
+    setProvider({
+      ...mockProvider,
+      chatStream: async () =>
+        (async function* () {
+          yield { content: "Shake it " };
+          throw new Error("Connection reset");
+        })(),
+    });
+
+    const res = await request(app).post("/api/cocktail/chat/stream").set(as(alice)).send(chatBody);
+    expect(res.status).toBe(200);
+    expect(res.text).toContain("Shake it");
+
+    await settle();
+    expect(used("chat")).toBe(0);
+  });
+});
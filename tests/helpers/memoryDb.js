@@ -0,0 +1,372 @@
+/**
+ * In-memory stand-ins for Mongoose models, so route tests run without a database
+ *
+ * useMemoryDb(Model, ...) replaces the model's query statics and save/deleteOne
+ * with jest spies backed by plain arrays. Documents are stored as plain objects
+ * and hydrated on every read, like real queries. Filters support equality
+ * (including array membership and dotted paths), $eq, $ne, $in, $nin, $exists,
+ * $gt, $gte, $lt, $lte, $or and $and; updates support $set, $unset, $inc, $push,
+ * $addToSet, $pull and $setOnInsert. Aggregations aren't supported.
+ */
+const mongoose = require("mongoose");
+
+// There's no connection - don't create collections or wait for one
+mongoose.set("bufferCommands", false);
+mongoose.set("autoCreate", false);
+mongoose.set("autoIndex", false);
+
+const isObjectId = (value) => value instanceof mongoose.Types.ObjectId;
+
+// Comparable form of a stored or queried value
+const normalize = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (isObjectId(value)) return String(value);
+  return value;
+};
+
+const equals = (a, b) => {
+  if (a == null || b == null) return a == null && b == null;
+  return normalize(a) === normalize(b);
+};
+
+// Every value at a dotted path, following arrays like MongoDB does
+const valuesAt = (value, keys) => {
+  if (keys.length === 0) return [value];
+  if (Array.isArray(value)) return value.flatMap((item) => valuesAt(item, keys));
+  if (value == null) return [undefined];
+  return valuesAt(value[keys[0]], keys.slice(1));
+};
+
+const isOperatorObject = (condition) =>
+  condition &&
+  typeof condition === "object" &&
+  !Array.isArray(condition) &&
+  !(condition instanceof Date) &&
+  !isObjectId(condition) &&
+  Object.keys(condition).some((key) => key.startsWith("$"));
+
+// Does one value (or any element, for arrays) satisfy an equality condition
+const matchesValue = (value, expected) =>
+  Array.isArray(value)
+    ? value.some((item) => equals(item, expected)) || (expected == null && value.length === 0)
+    : equals(value, expected);
+
+const compare = (values, test) =>
+  values.some((value) => value != null && test(normalize(value)));
+
+const matchesCondition = (values, condition) => {
+  if (condition instanceof RegExp) {
+    return values.some((value) => typeof value === "string" && condition.test(value));
+  }
+  if (!isOperatorObject(condition)) {
+    return values.some((value) => matchesValue(value, condition));
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case "$eq":
+        return values.some((value) => matchesValue(value, operand));
+      case "$ne":
+        return !values.some((value) => matchesValue(value, operand));
+      case "$in":
+        return operand.some((item) => values.some((value) => matchesValue(value, item)));
+      case "$nin":
+        return !operand.some((item) => values.some((value) => matchesValue(value, item)));
+      case "$exists":
+        return values.some((value) => value !== undefined) === Boolean(operand);
+      case "$gt":
+        return compare(values, (value) => value > normalize(operand));
+      case "$gte":
+        return compare(values, (value) => value >= normalize(operand));
+      case "$lt":
+        return compare(values, (value) => value < normalize(operand));
+      case "$lte":
+        return compare(values, (value) => value <= normalize(operand));
+      default:
+        throw new Error(`memoryDb doesn't support the ${operator} query operator`);
+    }
+  });
+};
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") return condition.some((part) => matches(doc, part));
+    if (key === "$and") return condition.every((part) => matches(doc, part));
+    return matchesCondition(valuesAt(doc, key.split(".")), condition);
+  });
+
+// Apply an update document to a hydrated Mongoose document
+const applyUpdate = (doc, update, { inserting = false } = {}) => {
+  for (const [key, value] of Object.entries(update)) {
+    if (!key.startsWith("$")) {
+      doc.set(key, value);
+      continue;
+    }
+    for (const [path, operand] of Object.entries(value)) {
+      switch (key) {
+        case "$set":
+          doc.set(path, operand);
+          break;
+        case "$setOnInsert":
+          if (inserting) doc.set(path, operand);
+          break;
+        case "$unset":
+          doc.set(path, undefined);
+          break;
+        case "$inc":
+          doc.set(path, (doc.get(path) || 0) + operand);
+          break;
+        case "$push":
+          doc.set(path, [...(doc.get(path) || []), ...(operand && operand.$each ? operand.$each : [operand])]);
+          break;
+        case "$addToSet": {
+          const items = operand && operand.$each ? operand.$each : [operand];
+          const current = [...(doc.get(path) || [])];
+          for (const item of items) {
+            if (!current.some((existing) => equals(existing, item))) current.push(item);
+          }
+          doc.set(path, current);
+          break;
+        }
+        case "$pull":
+          doc.set(
+            path,
+            (doc.get(path) || []).filter((item) =>
+              isOperatorObject(operand) || (operand && typeof operand === "object" && !isObjectId(operand))
+                ? !matches(item, operand)
+                : !equals(item, operand)
+            )
+          );
+          break;
+        default:
+          throw new Error(`memoryDb doesn't support the ${key} update operator`);
+      }
+    }
+  }
+};
+
+// Equality fields of a filter, used as the starting point for upserts
+const filterFields = (filter) =>
+  Object.fromEntries(
+    Object.entries(filter).filter(
+      ([key, condition]) => !key.startsWith("$") && !isOperatorObject(condition)
+    )
+  );
+
+/**
+ * Thenable query result with the chainable methods the app uses
+ */
+class MemoryQuery {
+  constructor(Model, run) {
+    this.Model = Model;
+    this.run = run;
+    this.options = {};
+  }
+
+  lean() {
+    this.options.lean = true;
+    return this;
+  }
+
+  sort(spec) {
+    this.options.sort = typeof spec === "string" ? { [spec.replace(/^-/, "")]: spec.startsWith("-") ? -1 : 1 } : spec;
+    return this;
+  }
+
+  skip(count) {
+    this.options.skip = count;
+    return this;
+  }
+
+  limit(count) {
+    this.options.limit = count;
+    return this;
+  }
+
+  // Projection and population aren't modelled - the full document comes back
+  select() {
+    return this;
+  }
+
+  populate() {
+    return this;
+  }
+
+  session() {
+    return this;
+  }
+
+  async exec() {
+    let result = await this.run();
+    const { sort, skip, limit, lean } = this.options;
+
+    if (Array.isArray(result)) {
+      if (sort) {
+        const [[path, direction]] = Object.entries(sort);
+        result = [...result].sort((a, b) => {
+          const [x] = valuesAt(a, path.split(".")).map(normalize);
+          const [y] = valuesAt(b, path.split(".")).map(normalize);
+          return x === y ? 0 : (x > y ? 1 : -1) * direction;
+        });
+      }
+      if (skip) result = result.slice(skip);
+      if (limit) result = result.slice(0, limit);
+    }
+
+    if (!lean) return result;
+    if (Array.isArray(result)) return result.map((doc) => doc.toObject());
+    return result && typeof result.toObject === "function" ? result.toObject() : result;
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+
+  catch(reject) {
+    return this.exec().catch(reject);
+  }
+}
+
+/**
+ * Back the given models with in-memory collections
+ * Call from beforeAll (or at the top of a test file); jest.restoreAllMocks() undoes it.
+ * @param {...Model} models - Mongoose models
+ * @returns {Object} - { docs(Model), insert(Model, data), reset() }
+ */
+const useMemoryDb = (...models) => {
+  const collections = new Map(models.map((Model) => [Model, []]));
+
+  const store = (Model) => collections.get(Model);
+  const hydrate = (Model, data) => Model.hydrate(data);
+  const findAll = (Model, filter) =>
+    store(Model).filter((data) => matches(data, filter)).map((data) => hydrate(Model, data));
+  const findFirst = (Model, filter) => {
+    const data = store(Model).find((item) => matches(item, filter));
+    return data ? hydrate(Model, data) : null;
+  };
+  const write = (Model, doc) => {
+    const data = doc.toObject({ depopulate: true });
+    const items = store(Model);
+    const index = items.findIndex((item) => equals(item._id, data._id));
+    if (index === -1) items.push(data);
+    else items[index] = data;
+  };
+  const remove = (Model, filter, { many = false } = {}) => {
+    const items = store(Model);
+    const removed = items.filter((item) => matches(item, filter));
+    const gone = many ? removed : removed.slice(0, 1);
+    collections.set(Model, items.filter((item) => !gone.includes(item)));
+    return gone;
+  };
+  const update = async (Model, filter, changes, { many = false, upsert = false } = {}) => {
+    const found = many ? findAll(Model, filter) : [findFirst(Model, filter)].filter(Boolean);
+    for (const doc of found) {
+      applyUpdate(doc, changes);
+      write(Model, doc);
+    }
+    if (found.length === 0 && upsert) {
+      const doc = new Model(filterFields(filter));
+      applyUpdate(doc, changes, { inserting: true });
+      write(Model, doc);
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id, docs: [doc] };
+    }
+    return { matchedCount: found.length, modifiedCount: found.length, upsertedCount: 0, docs: found };
+  };
+
+  for (const Model of models) {
+    const query = (run) => new MemoryQuery(Model, run);
+
+    jest.spyOn(Model, "find").mockImplementation((filter = {}) => query(async () => findAll(Model, filter)));
+    jest.spyOn(Model, "findOne").mockImplementation((filter = {}) => query(async () => findFirst(Model, filter)));
+    jest.spyOn(Model, "findById").mockImplementation((id) => query(async () => findFirst(Model, { _id: id })));
+    jest.spyOn(Model, "exists").mockImplementation((filter = {}) =>
+      query(async () => {
+        const doc = findFirst(Model, filter);
+        return doc ? { _id: doc._id } : null;
+      })
+    );
+    jest
+      .spyOn(Model, "countDocuments")
+      .mockImplementation((filter = {}) => query(async () => findAll(Model, filter).length));
+
+    jest.spyOn(Model, "create").mockImplementation(async (data) => {
+      const created = [];
+      for (const item of Array.isArray(data) ? data : [data]) {
+        const doc = new Model(item);
+        await doc.validate();
+        write(Model, doc);
+        created.push(hydrate(Model, doc.toObject()));
+      }
+      return Array.isArray(data) ? created : created[0];
+    });
+    jest.spyOn(Model, "insertMany").mockImplementation((data) => Model.create(data));
+
+    jest.spyOn(Model, "updateOne").mockImplementation((filter, changes, options = {}) =>
+      query(async () => {
+        const { docs, ...result } = await update(Model, filter, changes, options);
+        return { acknowledged: true, ...result };
+      })
+    );
+    jest.spyOn(Model, "updateMany").mockImplementation((filter, changes, options = {}) =>
+      query(async () => {
+        const { docs, ...result } = await update(Model, filter, changes, { ...options, many: true });
+        return { acknowledged: true, ...result };
+      })
+    );
+    jest.spyOn(Model, "findOneAndUpdate").mockImplementation((filter, changes, options = {}) =>
+      query(async () => {
+        const before = findFirst(Model, filter);
+        const { docs } = await update(Model, filter, changes, options);
+        if (!options.new && !options.returnDocument) return before;
+        return docs[0] ? findFirst(Model, { _id: docs[0]._id }) : null;
+      })
+    );
+    jest
+      .spyOn(Model, "findByIdAndUpdate")
+      .mockImplementation((id, changes, options) => Model.findOneAndUpdate({ _id: id }, changes, options));
+
+    jest.spyOn(Model, "findOneAndDelete").mockImplementation((filter) =>
+      query(async () => {
+        const [data] = remove(Model, filter);
+        return data ? hydrate(Model, data) : null;
+      })
+    );
+    jest.spyOn(Model, "findByIdAndDelete").mockImplementation((id) => Model.findOneAndDelete({ _id: id }));
+    jest
+      .spyOn(Model, "deleteOne")
+      .mockImplementation((filter = {}) => query(async () => ({ deletedCount: remove(Model, filter).length })));
+    jest.spyOn(Model, "deleteMany").mockImplementation((filter = {}) =>
+      query(async () => ({ deletedCount: remove(Model, filter, { many: true }).length }))
+    );
+    jest.spyOn(Model, "aggregate").mockImplementation(() => {
+      throw new Error(`memoryDb doesn't support ${Model.modelName}.aggregate()`);
+    });
+
+    jest.spyOn(Model.prototype, "save").mockImplementation(async function () {
+      await this.validate();
+      write(Model, this);
+      this.isNew = false;
+      return this;
+    });
+    jest.spyOn(Model.prototype, "deleteOne").mockImplementation(async function () {
+      remove(Model, { _id: this._id });
+      return { deletedCount: 1 };
+    });
+  }
+
+  return {
+    // Stored documents, hydrated
+    docs: (Model) => store(Model).map((data) => hydrate(Model, data)),
+    // Insert without validation (fixtures), returning the hydrated document
+    insert: (Model, data) => {
+      const doc = new Model(data);
+      write(Model, doc);
+      return hydrate(Model, doc.toObject());
+    },
+    reset: () => {
+      for (const Model of models) collections.set(Model, []);
+    },
+  };
+};
+
+module.exports = { useMemoryDb };
@@ -0,0 +1,192 @@
+/**
+ * OpenID Connect sign-in: the callback is bound to the browser that started it,
+ * and linking only strips accounts whose email is known to be unverified
+ */
+process.env.JWTPRIVATEKEY = process.env.JWTPRIVATEKEY || "test-secret";
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || "sk_test_x";
+process.env.FRONTEND_URL = "https://app.test";
+process.env.OIDC_ISSUER = "https://issuer.test";
+process.env.OIDC_CLIENT_ID = "cocktail-client";
+process.env.OIDC_REDIRECT_URI = "https://api.test/api/auth/oidc/callback";
+process.env.OIDC_AUTHORIZATION_ENDPOINT = "https://issuer.test/authorize";
+process.env.OIDC_TOKEN_ENDPOINT = "https://issuer.test/token";
+process.env.OIDC_JWKS_URI = "https://issuer.test/jwks";
+
+const { useMemoryDb } = require("./helpers/memoryDb");
+const crypto = require("crypto");
+const express = require("express");
+const request = require("supertest");
+const jwt = require("jsonwebtoken");
+
+const { User } = require("../models/user");
+const { RefreshToken } = require("../models/refreshToken");
+const { AuthAudit } = require("../models/authAudit");
+const { ApiKey } = require("../models/apiKey");
+const authRoutes = require("../routes/auth");
+
+const app = express();
+app.use(express.json());
+app.use("/api/auth", authRoutes);
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: "jwk" }), kid: "test-key", alg: "RS256", use: "sig" };
+
+let db;
+let identity;
+let tokenRequests;
+
+// The identity provider: JWKS and token endpoints
+const fakeFetch = async (url, options = {}) => {
+  const json = (body) => ({ ok: true, status: 200, json: async () => body });
+
+  if (url === process.env.OIDC_JWKS_URI) return json({ keys: [jwk] });
+  if (url === process.env.OIDC_TOKEN_ENDPOINT) {
+    const params = new URLSearchParams(options.body);
+    tokenRequests.push(params);
+    const idToken = jwt.sign(
+      { ...identity, nonce: identity.nonce, aud: process.env.OIDC_CLIENT_ID, iss: process.env.OIDC_ISSUER },
+      privateKey,
+      { algorithm: "RS256", keyid: "test-key", expiresIn: "5m" }
+    );
+    return json({ id_token: idToken });
+  }
+  throw new Error(`Unexpected fetch to ${url}`);
+};
+
+// Start a login the way a browser would: follow /oidc/login and keep its cookie
+const startLogin = async () => {
+  const res = await request(app).get("/api/auth/oidc/login");
+  expect(res.status).toBe(302);
+
+  const location = new URL(res.headers.location);
+  const cookie = res.headers["set-cookie"].find((value) => value.startsWith("oidc_login="));
+  identity.nonce = location.searchParams.get("nonce");
+  return { state: location.searchParams.get("state"), cookie: cookie.split(";")[0], setCookie: cookie };
+};
+
+const callback = (state, cookie) => {
+  const req = request(app).get("/api/auth/oidc/callback").query({ code: "auth-code", state });
+  return cookie ? req.set("Cookie", cookie) : req;
+};
+
+const fragmentOf = (res) => new URLSearchParams(new URL(res.headers.location).hash.slice(1));
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  jest.spyOn(global, "fetch").mockImplementation(fakeFetch);
+  db = useMemoryDb(User, RefreshToken, AuthAudit, ApiKey);
+});
+
+beforeEach(() => {
+  db.reset();
+  tokenRequests = [];
+  identity = { sub: "google-123", email: "alice@example.com", email_verified: true, name: "alice" };
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe("GET /api/auth/oidc/login", () => {
+  it("sets an httpOnly, SameSite=Lax login cookie", async () => {
+    const { setCookie } = await startLogin();
+    expect(setCookie).toMatch(/HttpOnly/);
+    expect(setCookie).toMatch(/SameSite=Lax/);
+    expect(setCookie).toMatch(/Path=\/api\/auth\/oidc/);
+  });
+});
+
+describe("GET /api/auth/oidc/callback", () => {
+  it("signs in the browser that started the login", async () => {
+    const { state, cookie } = await startLogin();
+
+    const res = await callback(state, cookie);
+    expect(res.status).toBe(302);
+    const fragment = fragmentOf(res);
+    expect(fragment.get("token")).toEqual(expect.any(String));
+    expect(fragment.get("error")).toBeNull();
+    expect(tokenRequests).toHaveLength(1);
+    expect(db.docs(User)).toHaveLength(1);
+  });
+
+  it("refuses a callback without the login cookie (login CSRF)", async () => {
+    const { state } = await startLogin();
+
+    const res = await callback(state);
+    expect(fragmentOf(res).get("error")).toBe("sign_in_failed");
+    expect(tokenRequests).toHaveLength(0);
+  });
+
+  it("refuses a callback carrying another login's cookie", async () => {
+    const attacker = await startLogin();
+    const victim = await startLogin();
+
+    const res = await callback(attacker.state, victim.cookie);
+    expect(fragmentOf(res).get("error")).toBe("sign_in_failed");
+    expect(tokenRequests).toHaveLength(0);
+  });
+
+  it("clears the login cookie", async () => {
+    const { state, cookie } = await startLogin();
+
+    const res = await callback(state, cookie);
+    const cleared = res.headers["set-cookie"].find((value) => value.startsWith("oidc_login="));
+    expect(cleared).toMatch(/Expires=Thu, 01 Jan 1970/);
+  });
+});
+
+describe("linking an existing account by email", () => {
+  const existing = (fields) =>
+    db.insert(User, {
+      username: "alice",
+      email: "alice@example.com",
+      password: "hashed-password",
+      tokenVersion: 0,
+      ...fields,
+    });
+
+  const signIn = async () => {
+    const { state, cookie } = await startLogin();
+    return fragmentOf(await callback(state, cookie));
+  };
+
+  it("keeps the password of an account created before email verification existed", async () => {
+    const user = existing({});
+
+    const fragment = await signIn();
+    expect(fragment.get("id")).toBe(String(user._id));
+    const [linked] = db.docs(User);
+    expect(linked.password).toBe("hashed-password");
+    expect(linked.googleId).toBe("google-123");
+    expect(linked.tokenVersion).toBe(0);
+  });
+
+  it("keeps the password of a verified account", async () => {
+    existing({ emailVerified: true });
+
+    await signIn();
+    expect(db.docs(User)[0].password).toBe("hashed-password");
+  });
+
+  it("removes the password and sessions of an unverified account", async () => {
+    const user = existing({ emailVerified: false });
+    db.insert(RefreshToken, {
+      userId: user._id,
+      tokenHash: "old-session",
+      family: "old",
+      expiresAt: new Date(Date.now() + 60000),
+    });
+
+    const fragment = await signIn();
+    const [linked] = db.docs(User);
+    expect(linked.password).toBeUndefined();
+    expect(linked.emailVerified).toBe(true);
+    expect(db.docs(RefreshToken).find((token) => token.tokenHash === "old-session").revokedAt).toBeInstanceOf(Date);
+
+    // The tokens issued for this sign-in still work
+    const { tv } = jwt.decode(fragment.get("token"));
+    expect(tv).toBe(linked.tokenVersion);
+  });
+});
@@ -0,0 +1,484 @@
+/**
+ * Ownership checks on every route in routes/cocktail.js and routes/collectionRoutes.js
+ * Owners get through, other users get 403/404, admins are allowed. AI calls go
+ * to the mock provider and models are in-memory, so no network or database is needed.
+ */
+process.env.JWTPRIVATEKEY = process.env.JWTPRIVATEKEY || "test-secret";
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || "sk_test_x";
+process.env.LLM_PROVIDER = "mock";
+delete process.env.CLOUDINARY_CLOUD_NAME;
+
+const { useMemoryDb } = require("./helpers/memoryDb");
+const express = require("express");
+const request = require("supertest");
+const mongoose = require("mongoose");
+
+const { User } = require("../models/user");
+const { Cocktail, Collection, Rating } = require("../models/cocktailModel");
+const { QuotaCounter } = require("../models/quotaCounter");
+const { AiUsage } = require("../models/aiUsage");
+const { AiSettings } = require("../models/aiSettings");
+const { Experiment, ExperimentExposure } = require("../models/experiment");
+const { recipeCache, imageAnalysisCache } = require("../utils/cache");
+const { getProvider } = require("../providers");
+const cocktailRoutes = require("../routes/cocktail");
+const collectionRoutes = require("../routes/collectionRoutes");
+
+const app = express();
+app.use(express.json());
+app.use("/api/cocktail", cocktailRoutes);
+app.use("/api", collectionRoutes);
+
+const id = () => new mongoose.Types.ObjectId();
+let db;
+let alice;
+let bob;
+let admin;
+let aliceCocktail;
+let aliceCollection;
+
+const as = (user) => ({ Authorization: `Bearer ${user.generateAuthToken()}` });
+const idOf = (doc) => String(doc._id);
+const usageOwners = () => [...new Set(db.docs(AiUsage).map((entry) => String(entry.userId)))];
+const quotaOwners = () => [...new Set(db.docs(QuotaCounter).map((entry) => String(entry.userId)))];
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  db = useMemoryDb(
+    User,
+    Cocktail,
+    Collection,
+    Rating,
+    QuotaCounter,
+    AiUsage,
+    AiSettings,
+    Experiment,
+    ExperimentExposure
+  );
+});
+
+beforeEach(() => {
+  db.reset();
+  recipeCache.clear();
+  imageAnalysisCache.clear();
+
+  // Subscribers, so every AI operation is in their plan
+  alice = db.insert(User, { username: "alice", email: "alice@example.com", emailVerified: true, subscriptionStatus: "active" });
+  bob = db.insert(User, { username: "bob", email: "bob@example.com", emailVerified: true, subscriptionStatus: "active" });
+  admin = db.insert(User, { username: "admin", email: "admin@example.com", emailVerified: true, role: "admin" });
+
+  aliceCocktail = db.insert(Cocktail, {
+    name: "Alice Sour",
+    ingredients: ["2 oz gin", "1 oz lemon juice"],
+    instructions: ["Shake with ice"],
+    description: "A bright sour",
+    cocktailId: "alice-sour",
+    userId: alice._id,
+  });
+  aliceCollection = db.insert(Collection, { name: "Faves", userId: alice._id, cocktails: [] });
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe("routes scoped by :userId", () => {
+  describe.each([
+    ["GET /api/collections/:userId", (userId) => `/api/collections/${userId}`, "collections"],
+    ["GET /api/recipes/:userId", (userId) => `/api/recipes/${userId}`, "recipes"],
+  ])("%s", (name, path, field) => {
+    it("returns 401 without a token", async () => {
+      const res = await request(app).get(path(alice._id));
+      expect(res.status).toBe(401);
+    });
+
+    it("returns 403 for another user's id", async () => {
+      const res = await request(app).get(path(alice._id)).set(as(bob));
+      expect(res.status).toBe(403);
+    });
+
+    it("returns only the owner's documents", async () => {
+      const res = await request(app).get(path(alice._id)).set(as(alice));
+      expect(res.status).toBe(200);
+      expect(res.body[field]).toHaveLength(1);
+      expect(String(res.body[field][0].userId)).toBe(idOf(alice));
+    });
+
+    it("lets an admin read the named user's documents", async () => {
+      const res = await request(app).get(path(alice._id)).set(as(admin));
+      expect(res.status).toBe(200);
+      expect(res.body[field]).toHaveLength(1);
+      expect(String(res.body[field][0].userId)).toBe(idOf(alice));
+    });
+  });
+});
+
+describe("routes scoped by a document id", () => {
+  describe.each([
+    ["GET /api/collection/:collectionId", "get", () => `/api/collection/${aliceCollection._id}`],
+    ["DELETE /api/cocktail/collection/:collectionId", "delete", () => `/api/cocktail/collection/${aliceCollection._id}`],
+    ["DELETE /api/cocktail/cocktail/:cocktailId", "delete", () => `/api/cocktail/cocktail/${aliceCocktail._id}`],
+  ])("%s", (name, method, path) => {
+    it("returns 401 without a token", async () => {
+      const res = await request(app)[method](path());
+      expect(res.status).toBe(401);
+    });
+
+    it("returns 404 for another user's document and leaves it alone", async () => {
+      const res = await request(app)[method](path()).set(as(bob));
+      expect(res.status).toBe(404);
+      expect(db.docs(Cocktail)).toHaveLength(1);
+      expect(db.docs(Collection)).toHaveLength(1);
+    });
+
+    it("returns 404 for a document that doesn't exist", async () => {
+      const missing = path().replace(/[^/]+$/, String(id()));
+      const res = await request(app)[method](missing).set(as(alice));
+      expect(res.status).toBe(404);
+    });
+
+    it("returns 400 for a malformed id", async () => {
+      const res = await request(app)[method](path().replace(/[^/]+$/, "not-an-id")).set(as(alice));
+      expect(res.status).toBe(400);
+    });
+
+    it("lets the owner through", async () => {
+      const res = await request(app)[method](path()).set(as(alice));
+      expect(res.status).toBe(200);
+    });
+
+    it("lets an admin through", async () => {
+      const res = await request(app)[method](path()).set(as(admin));
+      expect(res.status).toBe(200);
+    });
+  });
+});
+
+describe("saved cocktails and collections of the caller", () => {
+  describe("POST /api/cocktail/save", () => {
+    const recipe = { name: "Bob Fizz", ingredients: ["gin", "soda"], instructions: ["Build over ice"] };
+
+    it("returns 401 without a token", async () => {
+      const res = await request(app).post("/api/cocktail/save").send(recipe);
+      expect(res.status).toBe(401);
+    });
+
+    it("saves for the caller, ignoring a userId naming someone else", async () => {
+      const res = await request(app)
+        .post("/api/cocktail/save")
+        .set(as(bob))
+        .send({ ...recipe, userId: idOf(alice) });
+      expect(res.status).toBe(201);
+      expect(String(res.body.cocktail.userId)).toBe(idOf(bob));
+    });
+
+    it("saves an admin's cocktail as their own", async () => {
+      const res = await request(app).post("/api/cocktail/save").set(as(admin)).send(recipe);
+      expect(res.status).toBe(201);
+      expect(String(res.body.cocktail.userId)).toBe(idOf(admin));
+    });
+  });
+
+  describe("GET /api/cocktail/save", () => {
+    it("returns 401 without a token", async () => {
+      const res = await request(app).get("/api/cocktail/save");
+      expect(res.status).toBe(401);
+    });
+
+    it("returns the owner's saved cocktails", async () => {
+      const res = await request(app).get("/api/cocktail/save").set(as(alice));
+      expect(res.status).toBe(200);
+      expect(res.body.savedRecipes.map((cocktail) => cocktail.name)).toEqual(["Alice Sour"]);
+    });
+
+    it("doesn't show other users' cocktails", async () => {
+      for (const user of [bob, admin]) {
+        const res = await request(app).get("/api/cocktail/save").set(as(user));
+        expect(res.status).toBe(200);
+        expect(res.body.savedRecipes).toEqual([]);
+      }
+    });
+  });
+
+  describe("POST /api/collection", () => {
+    it("returns 401 without a token", async () => {
+      const res = await request(app).post("/api/collection").send({ name: "Summer" });
+      expect(res.status).toBe(401);
+    });
+
+    it("creates the collection for the caller, ignoring a userId naming someone else", async () => {
+      const res = await request(app)
+        .post("/api/collection")
+        .set(as(bob))
+        .send({ name: "Faves", userId: idOf(alice) });
+      expect(res.status).toBe(201);
+      expect(String(res.body.collection.userId)).toBe(idOf(bob));
+    });
+
+    it("lets an admin create their own collection", async () => {
+      const res = await request(app).post("/api/collection").set(as(admin)).send({ name: "Faves" });
+      expect(res.status).toBe(201);
+      expect(String(res.body.collection.userId)).toBe(idOf(admin));
+    });
+  });
+});
+
+describe("routes that take userId in the body", () => {
+  describe("POST /api/cocktail/save-to-collection", () => {
+    const body = () => ({ cocktailId: idOf(aliceCocktail), collectionName: "Faves" });
+    const cocktailsIn = (collection) =>
+      db.docs(Collection).find((item) => String(item._id) === String(collection._id)).cocktails;
+
+    it("returns 401 without a token", async () => {
+      const res = await request(app).post("/api/cocktail/save-to-collection").send(body());
+      expect(res.status).toBe(401);
+    });
+
+    it("returns 403 when body.userId names another user", async () => {
+      const res = await request(app)
+        .post("/api/cocktail/save-to-collection")
+        .set(as(bob))
+        .send({ ...body(), userId: idOf(alice) });
+      expect(res.status).toBe(403);
+    });
+
+    it("returns 404 when adding another user's saved cocktail", async () => {
+      const res = await request(app).post("/api/cocktail/save-to-collection").set(as(bob)).send(body());
+      expect(res.status).toBe(404);
+      expect(cocktailsIn(aliceCollection)).toHaveLength(0);
+    });
+
+    it("lets the owner add their own cocktail", async () => {
+      const res = await request(app)
+        .post("/api/cocktail/save-to-collection")
+        .set(as(alice))
+        .send({ ...body(), userId: idOf(alice) });
+      expect(res.status).toBe(200);
+      expect(cocktailsIn(aliceCollection)).toHaveLength(1);
+    });
+
+    it("lets an admin add to the collection of the user they name", async () => {
+      const res = await request(app)
+        .post("/api/cocktail/save-to-collection")
+        .set(as(admin))
+        .send({ ...body(), userId: idOf(alice) });
+      expect(res.status).toBe(200);
+      expect(cocktailsIn(aliceCollection)).toHaveLength(1);
+    });
+  });
+
+  describe("POST /api/cocktail/ratings", () => {
+    const body = () => ({ recipeId: idOf(aliceCocktail), rating: 5 });
+
+    it("returns 401 without a token", async () => {
+      const res = await request(app).post("/api/cocktail/ratings").send(body());
+      expect(res.status).toBe(401);
+    });
+
+    it("returns 403 when body.userId names another user", async () => {
+      const res = await request(app)
+        .post("/api/cocktail/ratings")
+        .set(as(bob))
+        .send({ ...body(), userId: idOf(alice) });
+      expect(res.status).toBe(403);
+    });
+
+    it("returns 404 for an unknown recipe", async () => {
+      const res = await request(app)
+        .post("/api/cocktail/ratings")
+        .set(as(bob))
+        .send({ ...body(), recipeId: String(id()) });
+      expect(res.status).toBe(404);
+    });
+
+    it("records the rating for the caller", async () => {
+      const res = await request(app).post("/api/cocktail/ratings").set(as(bob)).send(body());
+      expect(res.status).toBe(201);
+      expect(String(res.body.rating.userId)).toBe(idOf(bob));
+    });
+
+    it("lets an admin rate", async () => {
+      const res = await request(app)
+        .post("/api/cocktail/ratings")
+        .set(as(admin))
+        .send({ ...body(), userId: idOf(alice) });
+      expect(res.status).toBe(201);
+      expect(String(res.body.rating.userId)).toBe(idOf(admin));
+    });
+  });
+
+  describe("GET /api/cocktail/ratings/:recipeId", () => {
+    it("returns 401 without a token", async () => {
+      const res = await request(app).get(`/api/cocktail/ratings/${aliceCocktail._id}`);
+      expect(res.status).toBe(401);
+    });
+
+    it("returns 404 for an unknown recipe", async () => {
+      const res = await request(app).get(`/api/cocktail/ratings/${id()}`).set(as(bob));
+      expect(res.status).toBe(404);
+    });
+
+    it("shows a recipe's ratings to any signed-in user", async () => {
+      for (const user of [alice, bob, admin]) {
+        const res = await request(app).get(`/api/cocktail/ratings/${aliceCocktail._id}`).set(as(user));
+        expect(res.status).toBe(200);
+      }
+    });
+  });
+});
+
+describe("routes that take a cocktailId in the body", () => {
+  describe("POST /api/cocktail/variations/image", () => {
+    const body = () => ({ cocktailId: aliceCocktail.cocktailId });
+    const savedImage = () => db.docs(Cocktail)[0].imageUrl;
+
+    it("returns 401 without a token", async () => {
+      const res = await request(app).post("/api/cocktail/variations/image").send(body());
+      expect(res.status).toBe(401);
+    });
+
+    it("returns 404 for another user's saved cocktail", async () => {
+      const res = await request(app).post("/api/cocktail/variations/image").set(as(bob)).send(body());
+      expect(res.status).toBe(404);
+      expect(savedImage()).toBeUndefined();
+    });
+
+    it("returns 404 for a cocktail that isn't saved", async () => {
+      const res = await request(app)
+        .post("/api/cocktail/variations/image")
+        .set(as(alice))
+        .send({ cocktailId: "not-saved" });
+      expect(res.status).toBe(404);
+    });
+
+    it("stores the image on the owner's cocktail", async () => {
+      const res = await request(app).post("/api/cocktail/variations/image").set(as(alice)).send(body());
+      expect(res.status).toBe(200);
+      expect(savedImage()).toBe(res.body.imageUrl);
+    });
+
+    it("lets an admin through", async () => {
+      const res = await request(app).post("/api/cocktail/variations/image").set(as(admin)).send(body());
+      expect(res.status).toBe(200);
+      expect(savedImage()).toBe(res.body.imageUrl);
+    });
+
+    it("charges the image quota", async () => {
+      await request(app).post("/api/cocktail/variations/image").set(as(alice)).send(body());
+      expect(db.docs(QuotaCounter).map((counter) => [counter.operation, counter.count])).toEqual([["image", 1]]);
+    });
+
+    it("returns 402 on a plan without images", async () => {
+      const carol = db.insert(User, { username: "carol", email: "carol@example.com", emailVerified: true });
+      db.insert(Cocktail, { name: "Carol Fizz", ingredients: ["gin"], cocktailId: "carol-fizz", userId: carol._id });
+
+      const res = await request(app)
+        .post("/api/cocktail/variations/image")
+        .set(as(carol))
+        .send({ cocktailId: "carol-fizz" });
+      expect(res.status).toBe(402);
+    });
+
+    it("builds the prompt from the saved recipe, ignoring one from the client", async () => {
+      const generateImage = jest.spyOn(getProvider(), "generateImage");
+      try {
+        await request(app)
+          .post("/api/cocktail/variations/image")
+          .set(as(alice))
+          .send({ ...body(), imagePrompt: "Anything the client wants" });
+        expect(generateImage).toHaveBeenCalledTimes(1);
+        const { prompt } = generateImage.mock.calls[0][0];
+        expect(prompt).toContain("Alice Sour");
+        expect(prompt).not.toContain("Anything the client wants");
+      } finally {
+        generateImage.mockRestore();
+      }
+    });
+  });
+});
+
+describe("generation and chat routes act for the caller", () => {
+  const preferences = { ingredients: ["gin", "lime"], flavors: ["sour"], dietaryNeeds: [] };
+  const recipeContext = { name: "Gimlet", ingredients: ["gin", "lime"], instructions: ["Shake"] };
+  const imageData = `data:image/png;base64,${Buffer.from("cocktail").toString("base64")}`;
+
+  describe.each([
+    ["POST /api/cocktail", "post", "/api/cocktail", { ...preferences, newRecipe: true }],
+    ["POST /api/cocktail/variations", "post", "/api/cocktail/variations", { ...preferences, count: 2 }],
+    ["POST /api/cocktail/stream", "post", "/api/cocktail/stream", preferences],
+    ["GET /api/cocktail/surprise", "get", "/api/cocktail/surprise", undefined],
+    ["POST /api/cocktail/chat", "post", "/api/cocktail/chat", { message: "Less sweet?", recipeContext }],
+    ["POST /api/cocktail/chat/stream", "post", "/api/cocktail/chat/stream", { message: "Less sweet?", recipeContext }],
+    ["POST /api/cocktail/analyze-image", "post", "/api/cocktail/analyze-image", { imageData }],
+    ["POST /api/cocktail/generate-image", "post", "/api/cocktail/generate-image", { prompt: "A gimlet" }],
+  ])("%s", (name, method, path, body) => {
+    const send = (user, extra = {}) => {
+      const req = request(app)[method](path);
+      if (user) req.set(as(user));
+      return body ? req.send({ ...body, ...extra }) : req;
+    };
+
+    it("returns 401 without a token", async () => {
+      const res = await send();
+      expect(res.status).toBe(401);
+    });
+
+    it("meters usage and quota to the caller", async () => {
+      const res = await send(alice);
+      expect(res.status).toBe(200);
+      expect(usageOwners()).toEqual([idOf(alice)]);
+      expect(quotaOwners()).toEqual([idOf(alice)]);
+    });
+
+    it("never charges a user named in the body", async () => {
+      const res = await send(bob, { userId: idOf(alice) });
+      expect(res.status).toBe(200);
+      expect(usageOwners()).toEqual([idOf(bob)]);
+      expect(quotaOwners()).toEqual([idOf(bob)]);
+    });
+
+    it("lets an admin through without using quota", async () => {
+      const res = await send(admin);
+      expect(res.status).toBe(200);
+      expect(usageOwners()).toEqual([idOf(admin)]);
+      expect(quotaOwners()).toEqual([]);
+    });
+  });
+});
+
+describe("public and admin-only routes", () => {
+  describe("GET /api/cocktail/shared/:recipeId", () => {
+    it("shows a saved recipe without signing in", async () => {
+      const res = await request(app).get(`/api/cocktail/shared/${aliceCocktail.cocktailId}`);
+      expect(res.status).toBe(200);
+      expect(res.body.recipe.name).toBe("Alice Sour");
+    });
+
+    it("returns 404 for an unknown recipe", async () => {
+      const res = await request(app).get("/api/cocktail/shared/unknown");
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe.each([
+    ["GET /api/cocktail/cache/stats", "get", "/api/cocktail/cache/stats"],
+    ["POST /api/cocktail/cache/clear", "post", "/api/cocktail/cache/clear"],
+  ])("%s", (name, method, path) => {
+    it("returns 401 without a token", async () => {
+      const res = await request(app)[method](path);
+      expect(res.status).toBe(401);
+    });
+
+    it("returns 403 for a regular user", async () => {
+      const res = await request(app)[method](path).set(as(alice));
+      expect(res.status).toBe(403);
+    });
+
+    it("lets an admin through", async () => {
+      const res = await request(app)[method](path).set(as(admin));
+      expect(res.status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Stripe webhook: signature checks, idempotent redelivery and out-of-order events
+ * Events are built from scripts/fixtures/stripe and signed like the Stripe CLI does.
+ */
+process.env.JWTPRIVATEKEY = process.env.JWTPRIVATEKEY || "test-secret";
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || "sk_test_x";
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_test";
+
+const { useMemoryDb } = require("./helpers/memoryDb");
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+const request = require("supertest");
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+
+const { User } = require("../models/user");
+const { StripeEvent } = require("../models/stripeEvent");
+const { setTransport } = require("../utils/mailer");
+const stripeRoutes = require("../routes/stripe");
+
+const app = express();
+app.use("/api/stripe", stripeRoutes);
+
+const FIXTURE_DIR = path.join(__dirname, "..", "scripts", "fixtures", "stripe");
+const CREATED = 1900000000;
+
+let db;
+let user;
+let sentMail;
+
+/**
+ * A fixture event for the test user
+ * @param {string} type - Fixture name (the event type)
+ * @param {Object} options - { id, created (seconds), object: fields merged into data.object }
+ */
+const fixtureEvent = (type, { id = `evt_${type}`, created = CREATED, object = {} } = {}) => {
+  const replacements = {
+    __USER_ID__: String(user._id),
+    __CUSTOMER_ID__: "cus_test",
+    __SUBSCRIPTION_ID__: "sub_test",
+    __PRICE_ID__: "price_monthly",
+    __PERIOD_END__: String(CREATED + 30 * 24 * 60 * 60),
+  };
+  let template = fs.readFileSync(path.join(FIXTURE_DIR, `${type}.json`), "utf8");
+  for (const [placeholder, value] of Object.entries(replacements)) {
+    template = template.split(placeholder).join(value);
+  }
+
+  const event = JSON.parse(template);
+  Object.assign(event.data.object, object);
+  return { ...event, id, created, livemode: false };
+};
+
+const deliver = (event, secret = process.env.STRIPE_WEBHOOK_SECRET) => {
+  const payload = JSON.stringify(event);
+  return request(app)
+    .post("/api/stripe/webhook")
+    .set("Content-Type", "application/json")
+    .set("Stripe-Signature", stripe.webhooks.generateTestHeaderString({ payload, secret }))
+    .send(payload);
+};
+
+const subscriber = () => db.docs(User)[0];
+const storedEvent = (id) => db.docs(StripeEvent).find((event) => event.eventId === id);
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  db = useMemoryDb(User, StripeEvent);
+  setTransport({ name: "test", send: async (message) => sentMail.push(message) });
+});
+
+beforeEach(() => {
+  db.reset();
+  sentMail = [];
+  user = db.insert(User, { username: "alice", email: "alice@example.com", password: "hashed" });
+});
+
+afterAll(() => {
+  setTransport(null);
+  jest.restoreAllMocks();
+});
+
+describe("signature verification", () => {
+  it("rejects an event signed with another secret", async () => {
+    const res = await deliver(fixtureEvent("customer.subscription.created"), "whsec_wrong");
+    expect(res.status).toBe(400);
+    expect(db.docs(StripeEvent)).toHaveLength(0);
+    expect(subscriber().subscriptionStatus).toBe("inactive");
+  });
+
+  it("rejects an unsigned event", async () => {
+    const res = await request(app)
+      .post("/api/stripe/webhook")
+      .set("Content-Type", "application/json")
+      .send(JSON.stringify(fixtureEvent("customer.subscription.created")));
+    expect(res.status).toBe(400);
+    expect(db.docs(StripeEvent)).toHaveLength(0);
+  });
+
+  it("applies a signed event and stores it", async () => {
+    const res = await deliver(fixtureEvent("customer.subscription.created"));
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ received: true });
+
+    expect(subscriber()).toMatchObject({
+      subscriptionStatus: "active",
+      subscriptionId: "sub_test",
+      stripeCustomerId: "cus_test",
+      subscriptionPriceId: "price_monthly",
+      subscriptionCancelAtPeriodEnd: false,
+      subscriptionSyncedAt: new Date(CREATED * 1000),
+    });
+    expect(storedEvent("evt_customer.subscription.created")).toMatchObject({ status: "processed", attempts: 1 });
+  });
+
+  it("stores unhandled event types as ignored", async () => {
+    const event = { ...fixtureEvent("customer.subscription.created"), id: "evt_other", type: "customer.created" };
+    const res = await deliver(event);
+    expect(res.status).toBe(200);
+    expect(storedEvent("evt_other").status).toBe("ignored");
+    expect(subscriber().subscriptionStatus).toBe("inactive");
+  });
+});
+
+describe("redelivery", () => {
+  it("processes a duplicate delivery only once", async () => {
+    const event = fixtureEvent("customer.subscription.created");
+    expect((await deliver(event)).status).toBe(200);
+
+    // Changed since - a second run of the same event would undo this
+    await User.updateOne({ _id: user._id }, { $set: { subscriptionStatus: "past_due" } });
+
+    const res = await deliver(event);
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ received: true, duplicate: true });
+    expect(subscriber().subscriptionStatus).toBe("past_due");
+    expect(db.docs(StripeEvent)).toHaveLength(1);
+    expect(storedEvent(event.id).attempts).toBe(1);
+  });
+
+  it("sends a payment failure email once", async () => {
+    await deliver(fixtureEvent("customer.subscription.created"));
+    const failed = fixtureEvent("invoice.payment_failed", { created: CREATED + 10 });
+
+    await deliver(failed);
+    await deliver(failed);
+    expect(subscriber().subscriptionStatus).toBe("past_due");
+    expect(sentMail).toHaveLength(1);
+  });
+
+  it("answers 500 when processing fails and succeeds on Stripe's retry", async () => {
+    const event = fixtureEvent("customer.subscription.created");
+    User.updateOne.mockImplementationOnce(() => {
+      throw new Error("Database unavailable");
+    });
+
+    const first = await deliver(event);
+    expect(first.status).toBe(500);
+    expect(storedEvent(event.id)).toMatchObject({ status: "failed", error: "Database unavailable" });
+
+    const retry = await deliver(event);
+    expect(retry.status).toBe(200);
+    expect(storedEvent(event.id)).toMatchObject({ status: "processed", attempts: 2 });
+    expect(subscriber().subscriptionStatus).toBe("active");
+  });
+});
+
+describe("out-of-order events", () => {
+  it("ignores an event older than the last one applied", async () => {
+    const updated = fixtureEvent("customer.subscription.updated", { created: CREATED + 60 });
+    const created = fixtureEvent("customer.subscription.created", { created: CREATED });
+
+    expect((await deliver(updated)).status).toBe(200);
+    expect((await deliver(created)).status).toBe(200);
+
+    // The later event's cancel_at_period_end: true wins
+    expect(subscriber().subscriptionCancelAtPeriodEnd).toBe(true);
+    expect(subscriber().subscriptionSyncedAt).toEqual(new Date((CREATED + 60) * 1000));
+    expect(storedEvent(created.id).status).toBe("processed");
+  });
+
+  it("keeps a cancelled subscription cancelled when an older update arrives late", async () => {
+    await deliver(fixtureEvent("customer.subscription.created", { created: CREATED }));
+    await deliver(fixtureEvent("customer.subscription.deleted", { created: CREATED + 120 }));
+    await deliver(fixtureEvent("customer.subscription.updated", { created: CREATED + 60 }));
+
+    expect(subscriber().subscriptionStatus).toBe("inactive");
+  });
+
+  it("ignores a stale payment failure", async () => {
+    await deliver(fixtureEvent("customer.subscription.updated", { created: CREATED + 60 }));
+    await deliver(fixtureEvent("invoice.payment_failed", { created: CREATED + 30 }));
+
+    expect(subscriber().subscriptionStatus).toBe("active");
+    expect(sentMail).toHaveLength(0);
+  });
+
+  it("applies events in order when they arrive in order", async () => {
+    await deliver(fixtureEvent("customer.subscription.created", { created: CREATED }));
+    await deliver(fixtureEvent("customer.subscription.updated", { created: CREATED + 60 }));
+    await deliver(fixtureEvent("customer.subscription.deleted", { created: CREATED + 120 }));
+
+    expect(subscriber().subscriptionStatus).toBe("inactive");
+    expect(subscriber().subscriptionSyncedAt).toEqual(new Date((CREATED + 120) * 1000));
+  });
+});
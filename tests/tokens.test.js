@@ -0,0 +1,142 @@
+/**
+ * Refresh token rotation, reuse detection and "log out all devices"
+ */
+process.env.JWTPRIVATEKEY = process.env.JWTPRIVATEKEY || "test-secret";
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || "sk_test_x";
+
+const { useMemoryDb } = require("./helpers/memoryDb");
+const express = require("express");
+const request = require("supertest");
+const bcrypt = require("bcrypt");
+
+const { User } = require("../models/user");
+const { RefreshToken } = require("../models/refreshToken");
+const { AuthAudit } = require("../models/authAudit");
+const authRoutes = require("../routes/auth");
+const userRoutes = require("../routes/users");
+
+const app = express();
+app.use(express.json());
+app.use("/api/auth", authRoutes);
+app.use("/api/users", userRoutes);
+
+const PASSWORD = "Sup3r-secret!";
+let db;
+
+const login = async () => {
+  const res = await request(app).post("/api/auth").send({ username: "alice", password: PASSWORD });
+  expect(res.status).toBe(200);
+  return res.body.user;
+};
+
+const refresh = (refreshToken) => request(app).post("/api/auth/refresh").send({ refreshToken });
+const getMe = (token) => request(app).get("/api/users/me").set("Authorization", `Bearer ${token}`);
+
+beforeAll(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  db = useMemoryDb(User, RefreshToken, AuthAudit);
+});
+
+beforeEach(async () => {
+  db.reset();
+  db.insert(User, {
+    username: "alice",
+    email: "alice@example.com",
+    password: await bcrypt.hash(PASSWORD, 4),
+    emailVerified: true,
+  });
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe("POST /api/auth/refresh", () => {
+  it("exchanges a refresh token for a new pair", async () => {
+    const { token, refreshToken } = await login();
+
+    const res = await refresh(refreshToken);
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body.refreshToken).toEqual(expect.any(String));
+    expect(res.body.refreshToken).not.toBe(refreshToken);
+
+    // Both belong to the same login
+    const records = db.docs(RefreshToken);
+    expect(records).toHaveLength(2);
+    expect(records[0].family).toBe(records[1].family);
+    expect(records[0].revokedReason).toBe("rotated");
+    expect(String(records[0].replacedBy)).toBe(String(records[1]._id));
+
+    expect((await getMe(token)).status).toBe(200);
+    expect((await getMe(res.body.token)).status).toBe(200);
+  });
+
+  it("rejects a token that was already rotated and revokes its family", async () => {
+    const { refreshToken: first } = await login();
+    const { body: rotated } = await refresh(first);
+
+    const reuse = await refresh(first);
+    expect(reuse.status).toBe(401);
+
+    // The token handed out by the legitimate rotation is dead too
+    expect((await refresh(rotated.refreshToken)).status).toBe(401);
+    for (const record of db.docs(RefreshToken)) {
+      expect(record.revokedAt).toBeInstanceOf(Date);
+    }
+    expect(db.docs(RefreshToken).map((record) => record.revokedReason)).toContain("reuse-detected");
+  });
+
+  it("leaves other logins alone when a token is reused", async () => {
+    const { refreshToken: first } = await login();
+    const { refreshToken: otherDevice } = await login();
+    await refresh(first);
+
+    expect((await refresh(first)).status).toBe(401);
+    expect((await refresh(otherDevice)).status).toBe(200);
+  });
+
+  it("rejects an unknown token", async () => {
+    expect((await refresh("not-a-real-token")).status).toBe(401);
+  });
+});
+
+describe("POST /api/auth/logout", () => {
+  it("revokes the refresh token's family", async () => {
+    const { refreshToken } = await login();
+
+    const res = await request(app).post("/api/auth/logout").send({ refreshToken });
+    expect(res.status).toBe(200);
+    expect((await refresh(refreshToken)).status).toBe(401);
+  });
+});
+
+describe("POST /api/auth/logout-all", () => {
+  it("rejects access tokens issued before it", async () => {
+    const { token, refreshToken } = await login();
+    const { token: otherToken, refreshToken: otherRefresh } = await login();
+
+    const res = await request(app)
+      .post("/api/auth/logout-all")
+      .set("Authorization", `Bearer ${token}`);
+    expect(res.status).toBe(200);
+
+    for (const oldToken of [token, otherToken]) {
+      const me = await getMe(oldToken);
+      expect(me.status).toBe(401);
+      expect(me.body.message).toBe("Token has been revoked.");
+    }
+    expect((await refresh(refreshToken)).status).toBe(401);
+    expect((await refresh(otherRefresh)).status).toBe(401);
+  });
+
+  it("still lets the user sign in again afterwards", async () => {
+    const { token } = await login();
+    await request(app).post("/api/auth/logout-all").set("Authorization", `Bearer ${token}`);
+
+    const { token: fresh } = await login();
+    expect((await getMe(fresh)).status).toBe(200);
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * TRUST_PROXY parsing, and the client IP Express sees with it
+ */
+const express = require("express");
+const request = require("supertest");
+const { parseTrustProxy } = require("../utils/trustProxy");
+
+const appWith = (value) => {
+  const app = express();
+  const trustProxy = parseTrustProxy(value);
+  if (trustProxy !== undefined) app.set("trust proxy", trustProxy);
+  app.get("/ip", (req, res) => res.send({ ip: req.ip }));
+  return app;
+};
+
+const ipBehindProxy = async (value) => {
+  const res = await request(appWith(value)).get("/ip").set("X-Forwarded-For", "203.0.113.7");
+  return res.body.ip;
+};
+
+describe("parseTrustProxy", () => {
+  it("leaves the setting alone when unset or empty", () => {
+    expect(parseTrustProxy(undefined)).toBeUndefined();
+    expect(parseTrustProxy(" ")).toBeUndefined();
+  });
+
+  it("parses booleans, hop counts and address lists", () => {
+    expect(parseTrustProxy("true")).toBe(true);
+    expect(parseTrustProxy("false")).toBe(false);
+    expect(parseTrustProxy("1")).toBe(1);
+    expect(parseTrustProxy(" loopback, 10.0.0.0/8 ")).toBe("loopback, 10.0.0.0/8");
+  });
+});
+
+describe("req.ip", () => {
+  it("ignores X-Forwarded-For without TRUST_PROXY", async () => {
+    expect(await ipBehindProxy(undefined)).not.toBe("203.0.113.7");
+  });
+
+  it("uses the forwarded client IP when the proxy is trusted", async () => {
+    expect(await ipBehindProxy("1")).toBe("203.0.113.7");
+    expect(await ipBehindProxy("loopback")).toBe("203.0.113.7");
+  });
+});
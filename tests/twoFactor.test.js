@@ -0,0 +1,213 @@
+/**
+ * TOTP codes (RFC 6238), replay protection and single-use recovery codes
+ */
+process.env.JWTPRIVATEKEY = process.env.JWTPRIVATEKEY || "test-secret";
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || "sk_test_x";
+
+const { useMemoryDb } = require("./helpers/memoryDb");
+const express = require("express");
+const request = require("supertest");
+const bcrypt = require("bcrypt");
+
+const { User, hashToken } = require("../models/user");
+const { RefreshToken } = require("../models/refreshToken");
+const { AuthAudit } = require("../models/authAudit");
+const { setAttemptStore } = require("../utils/attemptStore");
+const {
+  base32Encode,
+  base32Decode,
+  generateCode,
+  currentStep,
+  verifyCode,
+  encryptSecret,
+} = require("../utils/totp");
+const authRoutes = require("../routes/auth");
+
+const app = express();
+app.use(express.json());
+app.use("/api/auth", authRoutes);
+
+// The shared secret used by the RFC 6238 SHA-1 test vectors
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+const PASSWORD = "Sup3r-secret!";
+const RECOVERY_CODES = ["abcd-efgh-ijkl", "mnop-qrst-uvwx"];
+
+let db;
+let passwordHash;
+
+const stepAt = (offset = 0) => currentStep() + offset;
+const codeAt = (offset = 0) => generateCode(RFC_SECRET, stepAt(offset));
+
+const challenge = async () => {
+  const res = await request(app).post("/api/auth").send({ username: "alice", password: PASSWORD });
+  expect(res.body.twoFactorRequired).toBe(true);
+  return res.body.challengeToken;
+};
+
+const verify = async (factor) =>
+  request(app)
+    .post("/api/auth/2fa/verify")
+    .send({ challengeToken: await challenge(), ...factor });
+
+const alice = () => db.docs(User).find((user) => user.username === "alice");
+
+beforeAll(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  db = useMemoryDb(User, RefreshToken, AuthAudit);
+  passwordHash = await bcrypt.hash(PASSWORD, 4);
+});
+
+beforeEach(() => {
+  db.reset();
+  setAttemptStore(null);
+
+  db.insert(User, {
+    username: "alice",
+    email: "alice@example.com",
+    password: passwordHash,
+    emailVerified: true,
+    twoFactor: {
+      enabled: true,
+      secret: encryptSecret(RFC_SECRET),
+      recoveryCodes: RECOVERY_CODES.map((code) => hashToken(code)),
+    },
+  });
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe("utils/totp", () => {
+  it.each([
+    [59, "287082"],
+    [1111111109, "081804"],
+    [1111111111, "050471"],
+    [1234567890, "005924"],
+    [2000000000, "279037"],
+    [20000000000, "353130"],
+  ])("matches the RFC 6238 vector at T=%i", (seconds, code) => {
+    expect(generateCode(RFC_SECRET, Math.floor(seconds / 30))).toBe(code);
+    expect(verifyCode(RFC_SECRET, code, { now: seconds * 1000 })).toBe(Math.floor(seconds / 30));
+  });
+
+  it("round-trips base32", () => {
+    expect(base32Decode(RFC_SECRET).toString()).toBe("12345678901234567890");
+    expect(base32Decode(RFC_SECRET.toLowerCase()).toString()).toBe("12345678901234567890");
+  });
+
+  it("accepts one step of clock drift and no more", () => {
+    const seconds = 1111111109;
+    const step = Math.floor(seconds / 30);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { now: seconds * 1000 })).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { now: seconds * 1000 })).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { now: seconds * 1000 })).toBeNull();
+  });
+
+  it("rejects malformed codes", () => {
+    expect(verifyCode(RFC_SECRET, "94287082", { now: 59000 })).toBeNull();
+    expect(verifyCode(RFC_SECRET, "28708", { now: 59000 })).toBeNull();
+    expect(verifyCode(RFC_SECRET, "abcdef", { now: 59000 })).toBeNull();
+    expect(verifyCode(RFC_SECRET, undefined, { now: 59000 })).toBeNull();
+  });
+});
+
+describe("POST /api/auth/2fa/verify with a TOTP code", () => {
+  it("signs in with the current code", async () => {
+    const res = await verify({ code: codeAt() });
+    expect(res.status).toBe(200);
+    expect(res.body.user.token).toEqual(expect.any(String));
+    expect(alice().twoFactor.lastUsedStep).toBe(stepAt());
+  });
+
+  it("rejects a code that was already used", async () => {
+    const code = codeAt();
+    expect((await verify({ code })).status).toBe(200);
+
+    const replay = await verify({ code });
+    expect(replay.status).toBe(401);
+  });
+
+  it("rejects an earlier code once a later one was used", async () => {
+    expect((await verify({ code: codeAt() })).status).toBe(200);
+
+    const res = await verify({ code: codeAt(-1) });
+    expect(res.status).toBe(401);
+  });
+
+  it("accepts a later code", async () => {
+    expect((await verify({ code: codeAt() })).status).toBe(200);
+
+    // One step ahead is within the allowed clock drift
+    const step = stepAt(1);
+    const res = await verify({ code: generateCode(RFC_SECRET, step) });
+    expect(res.status).toBe(200);
+    expect(alice().twoFactor.lastUsedStep).toBe(step);
+  });
+
+  it("rejects a wrong code", async () => {
+    const res = await verify({ code: codeAt(5) });
+    expect(res.status).toBe(401);
+  });
+});
+
+describe("POST /api/auth/2fa/verify with a recovery code", () => {
+  it("signs in once per recovery code", async () => {
+    const first = await verify({ recoveryCode: RECOVERY_CODES[0] });
+    expect(first.status).toBe(200);
+    expect(alice().twoFactor.recoveryCodes).toEqual([hashToken(RECOVERY_CODES[1])]);
+
+    const reuse = await verify({ recoveryCode: RECOVERY_CODES[0] });
+    expect(reuse.status).toBe(401);
+
+    const second = await verify({ recoveryCode: RECOVERY_CODES[1] });
+    expect(second.status).toBe(200);
+    expect(alice().twoFactor.recoveryCodes).toEqual([]);
+  });
+
+  it("ignores case and separators", async () => {
+    const res = await verify({ recoveryCode: "ABCD EFGH IJKL" });
+    expect(res.status).toBe(200);
+  });
+
+  it("records the use in the audit log", async () => {
+    await verify({ recoveryCode: RECOVERY_CODES[0] });
+    const event = db.docs(AuthAudit).find((entry) => entry.event === "recovery_code_used");
+    expect(event.details).toEqual({ remaining: 1 });
+  });
+});
+
+describe("enrollment", () => {
+  it("enables 2FA with a code from the new secret and returns single-use recovery codes", async () => {
+    db.reset();
+    const user = db.insert(User, {
+      username: "bob",
+      email: "bob@example.com",
+      password: passwordHash,
+      emailVerified: true,
+    });
+    const auth = { Authorization: `Bearer ${user.generateAuthToken()}` };
+
+    const setup = await request(app).post("/api/auth/2fa/setup").set(auth);
+    expect(setup.status).toBe(200);
+    expect(setup.body.otpauthUrl).toContain(`secret=${setup.body.secret}`);
+
+    const wrong = await request(app).post("/api/auth/2fa/enable").set(auth).send({ code: "000000" });
+    expect(wrong.status).toBe(400);
+
+    const code = generateCode(setup.body.secret, stepAt());
+    const enable = await request(app).post("/api/auth/2fa/enable").set(auth).send({ code });
+    expect(enable.status).toBe(200);
+    expect(enable.body.recoveryCodes).toHaveLength(10);
+    expect(new Set(enable.body.recoveryCodes).size).toBe(10);
+
+    const [bob] = db.docs(User);
+    expect(bob.twoFactor.enabled).toBe(true);
+    expect(bob.twoFactor.secret).not.toContain(setup.body.secret);
+    expect(bob.twoFactor.recoveryCodes).toEqual(enable.body.recoveryCodes.map((recovery) => hashToken(recovery)));
+    // The code used to enroll can't be used again to sign in
+    expect(bob.twoFactor.lastUsedStep).toBe(stepAt());
+  });
+});
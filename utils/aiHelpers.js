@@ -1,6 +1,7 @@
 /**
  * AI Helper utilities for handling timeouts, retries, and resilience
  */
+const { checkAiBudget, AiUnavailableError } = require("../service/budgetService");
 
 /**
  * Wrap a promise with a timeout
@@ -10,13 +11,14 @@
  * @returns {Promise} - Resolves with promise result or rejects on timeout
  */
 const withTimeout = (promise, ms, operationName = 'Operation') => {
+  let id;
   const timeout = new Promise((_, reject) => {
-    const id = setTimeout(() => {
-      clearTimeout(id);
+    id = setTimeout(() => {
       reject(new Error(`${operationName} timed out after ${ms}ms`));
     }, ms);
   });
-  return Promise.race([promise, timeout]);
+  // Clear the timer once either side settles so it can't keep the process alive
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(id));
 };
 
 /**
@@ -118,11 +120,13 @@ const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 /**
  * Execute an AI operation with timeout and retry
  * Combines both utilities for convenience
+ * Refuses to run while AI is paused or over budget (throws AiUnavailableError).
  * @param {Function} fn - Async function to execute
  * @param {Object} options - Options
  * @param {number} options.timeout - Timeout in ms (default: 30000)
  * @param {number} options.maxRetries - Max retries (default: 3)
  * @param {string} options.operationName - Name for logging
+ * @param {string} options.userId - User the call is made for (for per-user budgets)
  * @returns {Promise} - Result of the operation
  */
 const executeWithResilience = async (fn, options = {}) => {
@@ -130,9 +134,12 @@ const executeWithResilience = async (fn, options = {}) => {
     timeout = 30000,
     maxRetries = 3,
     operationName = 'AI operation',
-    onRetry = null
+    onRetry = null,
+    userId
   } = options;
 
+  await checkAiBudget({ userId });
+
   return retryWithBackoff(
     () => withTimeout(fn(), timeout, operationName),
     {
@@ -144,6 +151,24 @@ const executeWithResilience = async (fn, options = {}) => {
   );
 };
 
+/**
+ * Send the friendly response for a paused/over-budget AI call
+ * @param {Response} res - Express response
+ * @param {Error} error - Error caught by the controller
+ * @returns {boolean} - False if the error is something else
+ */
+const handleAiUnavailable = (res, error) => {
+  if (!(error instanceof AiUnavailableError) || res.headersSent) return false;
+
+  if (error.retryAfter) res.set("Retry-After", String(error.retryAfter));
+  res.status(error.status).json({
+    code: "01",
+    message: error.message,
+    reason: error.reason,
+  });
+  return true;
+};
+
 /**
  * Timeout configurations for different AI operations
  */
@@ -170,6 +195,8 @@ module.exports = {
   isRetryableError,
   sleep,
   executeWithResilience,
+  handleAiUnavailable,
+  AiUnavailableError,
   AI_TIMEOUTS,
   RETRY_CONFIGS
 };
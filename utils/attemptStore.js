@@ -0,0 +1,147 @@
+/**
+ * Stores for failed login counters
+ *
+ * Both stores expose the same async interface:
+ * - get(key): entry or null
+ * - recordFailure(key, windowMs): increments the counter, returns the entry
+ * - lock(key, until): locks the key until the given date
+ * - reset(key): forgets the key
+ *
+ * An entry looks like { count, firstAttemptAt, lastAttemptAt, lockedUntil }.
+ * Select with LOGIN_ATTEMPT_STORE ("mongo" or "memory"); tests default to memory.
+ */
+const { LoginAttempt } = require("../models/loginAttempt");
+
+/**
+ * In-memory store - per process, lost on restart. Meant for tests and local dev.
+ */
+class MemoryAttemptStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (Date.now() > entry.expiresAt) {
+      this.entries.delete(key);
+      return null;
+    }
+    return { ...entry };
+  }
+
+  async recordFailure(key, windowMs) {
+    const now = new Date();
+    const entry = (await this.get(key)) || { count: 0, firstAttemptAt: now };
+
+    entry.count++;
+    entry.lastAttemptAt = now;
+    entry.expiresAt = Math.max(
+      now.getTime() + windowMs,
+      entry.lockedUntil ? entry.lockedUntil.getTime() : 0
+    );
+
+    this.entries.set(key, entry);
+    return { ...entry };
+  }
+
+  async lock(key, until) {
+    const entry = this.entries.get(key) || { count: 0, firstAttemptAt: new Date() };
+    entry.lockedUntil = until;
+    entry.expiresAt = Math.max(entry.expiresAt || 0, until.getTime());
+    this.entries.set(key, entry);
+  }
+
+  async reset(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * MongoDB store - shared across instances, entries expire through a TTL index
+ */
+class MongoAttemptStore {
+  async get(key) {
+    const entry = await LoginAttempt.findOne({
+      key,
+      expiresAt: { $gt: new Date() },
+    }).lean();
+    return entry || null;
+  }
+
+  async recordFailure(key, windowMs) {
+    const now = new Date();
+    const existing = await this.get(key);
+
+    // Start a fresh window when the previous one has expired
+    if (!existing) {
+      await LoginAttempt.deleteOne({ key });
+    }
+
+    const expiresAt = new Date(
+      Math.max(
+        now.getTime() + windowMs,
+        existing && existing.lockedUntil ? existing.lockedUntil.getTime() : 0
+      )
+    );
+
+    return LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { count: 1 },
+        $set: { lastAttemptAt: now, expiresAt },
+        $setOnInsert: { firstAttemptAt: now },
+      },
+      { upsert: true, new: true, lean: true }
+    );
+  }
+
+  async lock(key, until) {
+    await LoginAttempt.updateOne(
+      { key },
+      { $set: { lockedUntil: until }, $max: { expiresAt: until } },
+      { upsert: true }
+    );
+  }
+
+  async reset(key) {
+    await LoginAttempt.deleteOne({ key });
+  }
+}
+
+let activeStore = null;
+
+/**
+ * Resolve the store configured in the environment
+ * @returns {MemoryAttemptStore|MongoAttemptStore}
+ */
+const getAttemptStore = () => {
+  if (activeStore) return activeStore;
+
+  const type =
+    process.env.LOGIN_ATTEMPT_STORE ||
+    (process.env.NODE_ENV === "test" ? "memory" : "mongo");
+
+  activeStore = type === "memory" ? new MemoryAttemptStore() : new MongoAttemptStore();
+  return activeStore;
+};
+
+/**
+ * Override the active store (useful for tests)
+ * @param {Object|null} store - Store instance, or null to reset
+ */
+const setAttemptStore = (store) => {
+  activeStore = store;
+};
+
+module.exports = {
+  MemoryAttemptStore,
+  MongoAttemptStore,
+  getAttemptStore,
+  setAttemptStore,
+};
@@ -19,6 +19,8 @@ class SimpleCache {
     this.cleanupInterval = setInterval(() => {
       this.cleanup();
     }, options.cleanupInterval || 300000); // Every 5 minutes
+    // Housekeeping only - don't keep the process alive for it
+    this.cleanupInterval.unref();
   }
 
   /**
@@ -190,6 +192,12 @@ const imageAnalysisCache = new SimpleCache({
   maxSize: 200
 });
 
+// How recently generated recipes were made, by cocktailId (see generationTags)
+const generatedRecipes = new SimpleCache({
+  defaultTTL: 86400000,  // 24 hours
+  maxSize: 5000
+});
+
 // Cache configuration
 const CACHE_CONFIG = {
   RECIPE_TTL: 3600000,       // 1 hour
@@ -214,10 +222,20 @@ const addToSurprisePool = (recipe) => {
   surpriseMePool.set(key, recipe);
 };
 
+/**
+ * Number of (unexpired) recipes in the surprise pool
+ */
+const getSurprisePoolSize = () => {
+  surpriseMePool.cleanup();
+  return surpriseMePool.cache.size;
+};
+
 /**
  * Get a random recipe from the surprise pool
  */
 const getRandomFromPool = () => {
+  // Drop expired entries first so one doesn't get picked and come back empty
+  surpriseMePool.cleanup();
   const keys = Array.from(surpriseMePool.cache.keys());
   if (keys.length === 0) return null;
   
@@ -236,9 +254,11 @@ module.exports = {
   SimpleCache,
   recipeCache,
   imageAnalysisCache,
+  generatedRecipes,
   surpriseMePool,
   addToSurprisePool,
   getRandomFromPool,
+  getSurprisePoolSize,
   CACHE_CONFIG
 };
 
@@ -0,0 +1,127 @@
+/**
+ * Mail delivery with pluggable transports
+ *
+ * Select a transport with MAIL_TRANSPORT:
+ * - "console" (default): prints messages to stdout, handy for local dev
+ * - "file": writes each message as JSON into MAIL_DIR (default ./tmp/mail)
+ * - "smtp": sends through nodemailer using SMTP_URL
+ *
+ * The console and file transports write reset and verification links in
+ * plain text, so they're refused when NODE_ENV=production. A misconfigured
+ * transport throws rather than quietly not sending mail.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const MAIL_FROM = process.env.MAIL_FROM || "Cocktail Recipe Generator <no-reply@cocktailrecipay.app>";
+
+/**
+ * Console transport - logs the message instead of sending it
+ */
+const consoleTransport = {
+  name: "console",
+  send: async (message) => {
+    console.log(
+      `[Mail] To: ${message.to}\n[Mail] Subject: ${message.subject}\n${message.text}`
+    );
+    return { accepted: [message.to] };
+  },
+};
+
+/**
+ * File transport - one JSON file per message, easy to inspect in tests
+ */
+const createFileTransport = (dir = process.env.MAIL_DIR || path.join(process.cwd(), "tmp", "mail")) => ({
+  name: "file",
+  dir,
+  send: async (message) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}.json`;
+    await fs.promises.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+    return { accepted: [message.to], file: fileName };
+  },
+});
+
+/**
+ * SMTP transport via nodemailer
+ */
+const createSmtpTransport = () => {
+  if (!process.env.SMTP_URL) {
+    throw new Error("MAIL_TRANSPORT=smtp requires SMTP_URL");
+  }
+
+  let nodemailer;
+  try {
+    nodemailer = require("nodemailer");
+  } catch (error) {
+    throw new Error("MAIL_TRANSPORT=smtp requires the nodemailer package");
+  }
+
+  const transporter = nodemailer.createTransport(process.env.SMTP_URL);
+  return {
+    name: "smtp",
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+let activeTransport = null;
+
+/**
+ * Resolve the transport configured in the environment
+ * @returns {Object} - Transport with a send(message) method
+ * @throws {Error} - If the configured transport can't be used
+ */
+const getTransport = () => {
+  if (activeTransport) return activeTransport;
+
+  const name = process.env.MAIL_TRANSPORT || "console";
+  if (process.env.NODE_ENV === "production" && name !== "smtp") {
+    throw new Error(`MAIL_TRANSPORT=${name} isn't allowed in production - use smtp`);
+  }
+
+  switch (name) {
+    case "file":
+      activeTransport = createFileTransport();
+      break;
+    case "smtp":
+      activeTransport = createSmtpTransport();
+      break;
+    default:
+      activeTransport = consoleTransport;
+  }
+
+  return activeTransport;
+};
+
+/**
+ * Override the active transport (useful for tests)
+ * @param {Object|null} transport - Transport with a send(message) method, or null to reset
+ */
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} message.html - Optional HTML body
+ * @returns {Promise<Object>} - Transport result
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const transport = getTransport();
+  return transport.send({ from: MAIL_FROM, to, subject, text, html });
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  getTransport,
+  consoleTransport,
+  createFileTransport,
+};
@@ -0,0 +1,170 @@
+/**
+ * Time-based one-time passwords (RFC 6238) and secret encryption helpers
+ */
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // seconds
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Data to encode
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (case and padding insensitive)
+ * @param {string} input - Base32 text
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 TOTP secret (160 bits)
+ * @returns {string}
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute the TOTP code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (seconds since epoch / period)
+ * @returns {string} - Zero-padded code
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Current TOTP time step
+ * @param {number} now - Timestamp in ms (default: Date.now())
+ * @returns {number}
+ */
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_PERIOD);
+
+/**
+ * Verify a code, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { window: steps of drift allowed (default 1), now }
+ * @returns {number|null} - The matching time step, or null if invalid
+ */
+const verifyCode = (secret, code, options = {}) => {
+  const { window = 1, now = Date.now() } = options;
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) return null;
+
+  const step = currentStep(now);
+  for (let drift = -window; drift <= window; drift++) {
+    const expected = generateCode(secret, step + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step + drift;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator apps
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the user's email
+ * @param {string} issuer - App name shown in the authenticator
+ * @returns {string}
+ */
+const buildOtpauthUrl = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Secrets are encrypted at rest with AES-256-GCM
+const encryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWTPRIVATEKEY || "")
+    .digest();
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} plaintext - Secret to encrypt
+ * @returns {string} - "iv:tag:ciphertext" in base64
+ */
+const encryptSecret = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString("base64")).join(":");
+};
+
+/**
+ * Decrypt a secret produced by encryptSecret
+ * @param {string} stored - "iv:tag:ciphertext" in base64
+ * @returns {string}
+ */
+const decryptSecret = (stored) => {
+  const [iv, tag, ciphertext] = stored.split(":").map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8");
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  currentStep,
+  verifyCode,
+  buildOtpauthUrl,
+  encryptSecret,
+  decryptSecret,
+};
@@ -0,0 +1,24 @@
+/**
+ * Express "trust proxy" setting from TRUST_PROXY
+ *
+ * Behind a reverse proxy req.ip is the proxy's address unless Express is told
+ * to trust it, so every client would share one IP (and one failed-login counter).
+ *
+ * - unset: proxies aren't trusted (req.ip is the socket address)
+ * - "true" / "false": trust every proxy, or none
+ * - a number: trust that many hops, e.g. "1" for a single load balancer
+ * - anything else: addresses or subnets to trust, e.g. "loopback, 10.0.0.0/8"
+ * @param {string} value - The TRUST_PROXY value
+ * @returns {boolean|number|string|undefined} - undefined leaves Express' default
+ */
+const parseTrustProxy = (value) => {
+  if (value === undefined || value.trim() === "") return undefined;
+
+  const trimmed = value.trim();
+  if (trimmed === "true") return true;
+  if (trimmed === "false") return false;
+  if (/^\d+$/.test(trimmed)) return Number(trimmed);
+  return trimmed;
+};
+
+module.exports = { parseTrustProxy };